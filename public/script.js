@@ -1,5 +1,26 @@
 let importedFile = null;
 
+// Escapes text for safe insertion into innerHTML (translations may contain markup and entities)
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+// Describes a maxwidth overflow, e.g. "12/10 char, 2 over" (src/width.js, served by /shared.js)
+const { describeOverflow } = window.shared.width;
+const { validateTranslation } = window.shared.validation;
+
+// Hides and clears an error block
+function clearErrorBlock(id) {
+	const block = document.getElementById(id);
+	block.style.display = 'none';
+	block.innerHTML = '';
+}
+
 // Tab switching
 document.querySelectorAll('.tab').forEach((tab) => {
 	tab.addEventListener('click', () => {
@@ -10,10 +31,63 @@ document.querySelectorAll('.tab').forEach((tab) => {
 	});
 });
 
+// Selected project (null when the server has only one project)
+function currentProject() {
+	return document.getElementById('projectSelect').value || null;
+}
+
+// Appends the selected project as query parameter
+function withProject(url) {
+	const project = currentProject();
+	return project ? `${url}?project=${encodeURIComponent(project)}` : url;
+}
+
+// Load projects; the selector is only shown when the projects file defines several projects
+async function loadProjects() {
+	try {
+		const response = await fetch('/api/projects');
+		const data = await response.json();
+		if (data.success && data.projects.length > 1) {
+			const select = document.getElementById('projectSelect');
+			select.innerHTML = '';
+			data.projects.forEach((project) => {
+				const option = document.createElement('option');
+				option.value = project;
+				option.textContent = project;
+				option.selected = project === data.defaultProject;
+				select.appendChild(option);
+			});
+			document.getElementById('projectSelector').style.display = 'flex';
+		}
+	} catch (error) {
+		console.error('Failed to load projects:', error);
+	}
+}
+// Each project has its own sheet and languages: reload languages and drop results of the previous project
+document.getElementById('projectSelect').addEventListener('change', async () => {
+	['importMessage', 'exportMessage'].forEach((id) => {
+		const msg = document.getElementById(id);
+		msg.style.display = 'none';
+		msg.textContent = '';
+	});
+	clearErrorBlock('maxwidthErrorBlock');
+	clearErrorBlock('placeholderErrorBlock');
+	clearErrorBlock('stateExcludedBlock');
+	clearErrorBlock('unmatchedMaskBlock');
+	clearErrorBlock('gapReportBlock');
+	await loadLanguages();
+	await loadReviewStates();
+	editorEdits.clear();
+	editorErrors.clear();
+	editorRows.clear();
+	await loadEditorRows();
+	await previewImport();
+});
+
 // Load available languages on page load
 async function loadLanguages() {
 	try {
-		const response = await fetch('/api/languages');
+		const response = await fetch(withProject('/api/languages'));
 		const data = await response.json();
 		if (data.success) {
 			const select = document.getElementById('languageSelect');
@@ -25,6 +99,15 @@ async function loadLanguages() {
 				select.appendChild(option);
 			});
 			select.disabled = false;
+			['reviewLanguageSelect', 'editorLanguageSelect'].forEach((id) => {
+				const copy = document.getElementById(id);
+				copy.innerHTML = select.innerHTML;
+				copy.disabled = false;
+			});
+			if (data.sourceLanguage) {
+				document.getElementById('sourceLanguageHint').textContent =
+					`Only ${data.sourceLanguage} source language files are supported`;
+			}
 		}
 	} catch (error) {
 		console.error('Failed to load languages:', error);
@@ -56,6 +139,7 @@ async function previewImport() {
 	try {
 		const formData = new FormData();
 		formData.append('xlf', importedFile);
+		if (currentProject()) formData.append('project', currentProject());
 		const response = await fetch('/api/preview-import', {
 			method: 'POST',
 			body: formData,
@@ -92,6 +176,7 @@ document.getElementById('importBtn').addEventListener('click', async () => {
 	try {
 		const formData = new FormData();
 		formData.append('xlf', importedFile);
+		if (currentProject()) formData.append('project', currentProject());
 		const response = await fetch('/api/import', {
 			method: 'POST',
 			body: formData,
@@ -130,17 +215,122 @@ document.getElementById('maskFile').addEventListener('change', (e) => {
 	const msg = document.getElementById('exportMessage');
 	msg.style.display = 'none';
 	msg.textContent = '';
-	const errorBlock = document.getElementById('maxwidthErrorBlock');
-	errorBlock.style.display = 'none';
-	errorBlock.innerHTML = '';
+	clearErrorBlock('maxwidthErrorBlock');
+	clearErrorBlock('placeholderErrorBlock');
+	clearErrorBlock('stateExcludedBlock');
+	clearErrorBlock('unmatchedMaskBlock');
+	clearErrorBlock('gapReportBlock');
 });
+// Builds the export request: the mask file is uploaded as is, the server reads its IDs
+function buildExportForm(fields) {
+	const formData = new FormData();
+	Object.entries({ ...fields, project: currentProject() }).forEach(([name, value]) => {
+		if (value !== null && value !== undefined) formData.append(name, value);
+	});
+	if (maskFileData) formData.append('mask', maskFileData);
+	['maskIds', 'maskCategories', 'excludeCategories', 'maskPatterns'].forEach((id) => {
+		const value = document.getElementById(id).value.trim();
+		if (value) formData.append(id, value);
+	});
+	return formData;
+}
+// Reports mask IDs that have no row in the sheet, listed when the IDs are known (single-language export)
+function showUnmatchedMaskIds(count, ids = null) {
+	if (!count) return;
+	const block = document.getElementById('unmatchedMaskBlock');
+	block.style.display = 'block';
+	block.style.fontSize = '0.85em';
+	block.innerHTML = ids
+		? `<b>${count} labels of the mask are missing from the database (import the org's source file to add them):</b>` +
+			`<ul style='margin:8px 0 0 18px; word-break:break-all;'>` +
+			ids.map((id) => `<li>${escapeHtml(id)}</li>`).join('') +
+			`</ul>`
+		: `<b>${count} labels of the mask are missing from the database (import the org's source file to add them).</b> ` +
+			`They are listed as not-in-sheet in the gap report.`;
+}
+// Summarizes the labels left out of the exported file by reason, with a CSV download for translators
+// (the CSV also lists the units with broken placeholders exported anyway, includedCount)
+function showGapReport(counts, downloadGapReport, includedCount = 0) {
+	const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+	if (total === 0 && includedCount === 0) return;
+	const block = document.getElementById('gapReportBlock');
+	block.style.display = 'block';
+	block.style.fontSize = '0.85em';
+	block.innerHTML =
+		`<b>${total} translation units were left out</b>` +
+		(total > 0
+			? ': ' +
+				Object.entries(counts)
+					.filter(([, count]) => count > 0)
+					.map(([reason, count]) => `${count} ${escapeHtml(reason)}`)
+					.join(', ')
+			: '') +
+		(includedCount > 0 ? `, ${includedCount} with broken placeholders were exported anyway` : '') +
+		(downloadGapReport
+			? `<br><button class="btn btn-secondary" id="gapReportBtn">Download gap report (CSV)</button>`
+			: `<br>See gaps.csv in the ZIP for the list.`);
+	if (downloadGapReport) {
+		document.getElementById('gapReportBtn').addEventListener('click', downloadGapReport);
+	}
+}
+// Adds up the gap counts of several files by reason
+function sumGapCounts(gapCountsList) {
+	const total = {};
+	gapCountsList.forEach((gapCounts) =>
+		Object.entries(gapCounts).forEach(([reason, count]) => (total[reason] = (total[reason] || 0) + count)),
+	);
+	return total;
+}
+// Reads the X-Export-Summary header of a streamed download (report counts)
+function readExportSummary(response) {
+	const header = response.headers.get('X-Export-Summary');
+	return header ? JSON.parse(decodeURIComponent(header)) : {};
+}
+// Saves the body of a download response under the file name of its Content-Disposition header
+async function saveDownload(response, fallbackName) {
+	const disposition = response.headers.get('Content-Disposition') || '';
+	const match = disposition.match(/filename="?([^";]+)"?/);
+	const blob = await response.blob();
+	const url = window.URL.createObjectURL(blob);
+	const a = document.createElement('a');
+	a.href = url;
+	a.download = match ? match[1] : fallbackName;
+	document.body.appendChild(a);
+	a.click();
+	window.URL.revokeObjectURL(url);
+	document.body.removeChild(a);
+}
+// Fetches the reports of a single-language export as JSON (without the file)
+async function fetchExportReport(fields) {
+	const response = await fetch('/api/export', {
+		method: 'POST',
+		body: buildExportForm({ ...fields, report: 'json' }),
+	});
+	return response.ok ? response.json() : null;
+}
+// Reads the error of a failed export (JSON, or the status when the stream was aborted)
+async function readExportError(response) {
+	try {
+		return (await response.json()).error;
+	} catch (error) {
+		return `${response.status} ${response.statusText}`;
+	}
+}
 // Export XLF
 document.getElementById('exportBtn').addEventListener('click', async () => {
 	const language = document.getElementById('languageSelect').value;
-	// Hide error block on export click
-	const errorBlock = document.getElementById('maxwidthErrorBlock');
-	errorBlock.style.display = 'none';
-	errorBlock.innerHTML = '';
+	// The format select holds XLIFF versions plus 'stf'
+	const formatValue = document.getElementById('versionSelect').value;
+	const format = formatValue === 'stf' ? 'stf' : 'xlf';
+	const version = formatValue === 'stf' ? '1.2' : formatValue;
+	const includePlaceholderErrors = document.getElementById('includePlaceholderErrors').checked;
+	const statePolicy = document.getElementById('statePolicySelect').value;
+	// Hide error blocks on export click
+	clearErrorBlock('maxwidthErrorBlock');
+	clearErrorBlock('placeholderErrorBlock');
+	clearErrorBlock('stateExcludedBlock');
+	clearErrorBlock('unmatchedMaskBlock');
+	clearErrorBlock('gapReportBlock');
 	if (!language) {
 		alert('Please select a target language');
 		return;
@@ -148,75 +338,194 @@ document.getElementById('exportBtn').addEventListener('click', async () => {
 	const btn = document.getElementById('exportBtn');
 	const loader = document.getElementById('exportLoader');
 	const message = document.getElementById('exportMessage');
+	const fields = { language, version, format, includePlaceholderErrors, statePolicy };
 	btn.disabled = true;
 	loader.style.display = 'block';
 	message.style.display = 'none';
 	try {
-		// If a mask file is selected, parse its IDs client-side and send them with the request
-		let maskIds = null;
-		if (maskFileData) {
-			const maskText = await maskFileData.text();
-			const parser = new DOMParser();
-			const xmlDoc = parser.parseFromString(maskText, 'application/xml');
-			const units = xmlDoc.querySelectorAll('trans-unit');
-			maskIds = Array.from(units)
-				.map((u) => u.getAttribute('id'))
-				.filter(Boolean);
-		}
+		// The file is streamed by the server; the reports come as counts in X-Export-Summary
 		const response = await fetch('/api/export', {
 			method: 'POST',
-			headers: {
-				'Content-Type': 'application/json',
-			},
-			body: JSON.stringify({ language, maskIds }),
+			body: buildExportForm({ ...fields, download: true }),
 		});
 
 		if (response.ok) {
-			// Parse JSON response with file data and metadata
-			const data = await response.json();
+			const summary = readExportSummary(response);
+			const gapCounts = summary.gapCounts || {};
+			await saveDownload(response, `export_${language}.${format}`);
 
-			// Check for maxwidth errors in response body
-			if (data.maxwidthErrors && Array.isArray(data.maxwidthErrors) && data.maxwidthErrors.length > 0) {
+			// The download carries counts only; the units behind them come from the JSON report
+			// (the server does not render the file again for it)
+			const needsReport =
+				gapCounts.maxwidth > 0 ||
+				summary.placeholderErrors > 0 ||
+				gapCounts['review-state'] > 0 ||
+				gapCounts['not-in-sheet'] > 0;
+			const report = needsReport ? await fetchExportReport(fields) : null;
+
+			if (report && report.maxwidthErrors.length > 0) {
+				const errorBlock = document.getElementById('maxwidthErrorBlock');
 				errorBlock.style.display = 'block';
-				errorBlock.style.wordBreak = 'break-all';
-				errorBlock.style.maxHeight = '';
-				errorBlock.style.overflowY = '';
 				errorBlock.style.fontSize = '0.85em';
+				errorBlock.style.wordBreak = 'break-all';
 				errorBlock.innerHTML =
 					`<b>The following translations exceed maxwidth and were NOT included in the exported file:</b><br>` +
 					`<ul style='margin:8px 0 0 18px; word-break:break-all; font-size:0.85em;'>` +
-					data.maxwidthErrors
+					report.maxwidthErrors
 						.map(
 							(e) =>
-								`<li style='margin-bottom:2px;'><b>${e.id}</b>: <span style='color:#b71c1c; word-break:break-all;'>${e.value}</span> (max: ${e.maxwidth})</li>`,
+								`<li style='margin-bottom:2px;'><b>${escapeHtml(e.id)}</b>: <span style='color:#b71c1c; word-break:break-all;'>${escapeHtml(e.value)}</span> (${escapeHtml(describeOverflow(e))})</li>`,
 						)
 						.join('') +
 					`</ul>` +
 					`<div style='margin-top:8px;color:#b71c1c;'><b>You must fix these entries before import.</b></div>`;
 			}
 
-			// Decode base64 content and create blob for download
-			const binaryString = atob(data.content);
-			const bytes = new Uint8Array(binaryString.length);
-			for (let i = 0; i < binaryString.length; i++) {
-				bytes[i] = binaryString.charCodeAt(i);
+			if (report && report.placeholderErrors.length > 0) {
+				const action = includePlaceholderErrors ? 'were included anyway' : 'were NOT included';
+				const describe = (e) =>
+					[
+						e.missing.length > 0 ? `missing ${e.missing.join(' ')}` : '',
+						e.extra.length > 0 ? `extra ${e.extra.join(' ')}` : '',
+					]
+						.filter(Boolean)
+						.join('; ');
+				const placeholderBlock = document.getElementById('placeholderErrorBlock');
+				placeholderBlock.style.display = 'block';
+				placeholderBlock.style.fontSize = '0.85em';
+				placeholderBlock.style.wordBreak = 'break-all';
+				placeholderBlock.innerHTML =
+					`<b>The following translations have missing, extra or changed placeholders and ${action} in the exported file:</b><br>` +
+					`<ul style='margin:8px 0 0 18px; word-break:break-all; font-size:0.85em;'>` +
+					report.placeholderErrors
+						.map(
+							(e) =>
+								`<li style='margin-bottom:2px;'><b>${escapeHtml(e.id)}</b>: <span style='color:#b71c1c; word-break:break-all;'>${escapeHtml(e.value)}</span> (${escapeHtml(describe(e))})<br><small>Source: ${escapeHtml(e.source)}</small></li>`,
+						)
+						.join('') +
+					`</ul>` +
+					`<div style='margin-top:8px;color:#b71c1c;'><b>Broken placeholders fail at runtime in the org.</b></div>`;
 			}
-			const blob = new Blob([bytes], { type: 'application/xml' });
-			const url = window.URL.createObjectURL(blob);
-			const a = document.createElement('a');
-			a.href = url;
-			a.download = data.filename;
-			document.body.appendChild(a);
-			a.click();
-			window.URL.revokeObjectURL(url);
-			document.body.removeChild(a);
+
+			// Translations below the selected review state were left out
+			if (report && report.stateExcluded.length > 0) {
+				const stateBlock = document.getElementById('stateExcludedBlock');
+				stateBlock.style.display = 'block';
+				stateBlock.style.fontSize = '0.85em';
+				stateBlock.innerHTML =
+					`<b>${report.stateExcluded.length} translations were NOT included because they are not ${statePolicy === 'approved' ? 'approved' : 'reviewed'} yet:</b>` +
+					`<ul style='margin:8px 0 0 18px; word-break:break-all;'>` +
+					report.stateExcluded
+						.map((e) => `<li><b>${escapeHtml(e.id)}</b>: ${escapeHtml(e.value)} (${escapeHtml(e.state)})</li>`)
+						.join('') +
+					`</ul>`;
+			}
+
+			showUnmatchedMaskIds(gapCounts['not-in-sheet'], report && report.unmatchedMaskIds);
+			const downloadGapReport = async () => {
+				const reportResponse = await fetch('/api/export', {
+					method: 'POST',
+					body: buildExportForm({ ...fields, report: 'gaps' }),
+				});
+				if (reportResponse.ok) {
+					await saveDownload(reportResponse, `gaps_${language}.csv`);
+				} else {
+					alert(`Error: ${await readExportError(reportResponse)}`);
+				}
+			};
+			showGapReport(gapCounts, downloadGapReport, includePlaceholderErrors ? summary.placeholderErrors || 0 : 0);
+
 			message.className = 'message success';
-			message.textContent = `✅ XLF file exported successfully for ${language}`;
+			const unreviewedCount = gapCounts.unreviewed || 0;
+			const termErrorCount = summary.termErrors || 0;
+			message.textContent =
+				`✅ ${format === 'stf' ? 'STF' : 'XLF'} file exported successfully for ${language}` +
+				(summary.unitCount !== undefined ? ` - ${summary.unitCount} units` : '') +
+				(unreviewedCount > 0 ? ` (${unreviewedCount} translations awaiting review after a source change were skipped)` : '') +
+				(termErrorCount > 0 ? ` - ${termErrorCount} translations do not follow the glossary, run lint-terms for details` : '');
 			message.style.display = 'block';
 		} else {
-			const data = await response.json();
 			message.className = 'message error';
-			message.textContent = `Error: ${data.error}`;
+			message.textContent = `Error: ${await readExportError(response)}`;
+			message.style.display = 'block';
+		}
+	} catch (error) {
+		message.className = 'message error';
+		message.textContent = `Error: ${error.message}`;
+		message.style.display = 'block';
+	} finally {
+		loader.style.display = 'none';
+		btn.disabled = false;
+	}
+});
+// Export all languages as one ZIP bundle
+document.getElementById('exportAllBtn').addEventListener('click', async () => {
+	// The ZIP bundle always contains XLIFF files
+	const formatValue = document.getElementById('versionSelect').value;
+	const version = formatValue === 'stf' ? '1.2' : formatValue;
+	const includePlaceholderErrors = document.getElementById('includePlaceholderErrors').checked;
+	const statePolicy = document.getElementById('statePolicySelect').value;
+	clearErrorBlock('maxwidthErrorBlock');
+	clearErrorBlock('placeholderErrorBlock');
+	clearErrorBlock('stateExcludedBlock');
+	clearErrorBlock('unmatchedMaskBlock');
+	clearErrorBlock('gapReportBlock');
+	const btn = document.getElementById('exportAllBtn');
+	const loader = document.getElementById('exportLoader');
+	const message = document.getElementById('exportMessage');
+	btn.disabled = true;
+	loader.style.display = 'block';
+	message.style.display = 'none';
+	try {
+		// The ZIP is streamed by the server; the per-language gap counts come in X-Export-Summary
+		const response = await fetch('/api/export-all', {
+			method: 'POST',
+			body: buildExportForm({ version, includePlaceholderErrors, statePolicy, download: true }),
+		});
+
+		if (response.ok) {
+			const languages = readExportSummary(response).languages || [];
+			await saveDownload(response, 'translations.zip');
+
+			// Summarise maxwidth errors per language; details are in the ZIP report
+			const withErrors = languages.filter((l) => l.gapCounts.maxwidth > 0);
+			if (withErrors.length > 0) {
+				const errorBlock = document.getElementById('maxwidthErrorBlock');
+				errorBlock.style.display = 'block';
+				errorBlock.style.fontSize = '0.85em';
+				errorBlock.innerHTML =
+					`<b>Translations exceeding maxwidth were NOT included (see maxwidth-errors.csv in the ZIP):</b>` +
+					`<ul style='margin:8px 0 0 18px;'>` +
+					withErrors
+						.map((l) => `<li>${escapeHtml(l.language)}: ${l.gapCounts.maxwidth}</li>`)
+						.join('') +
+					`</ul>`;
+			}
+
+			const withExcluded = languages.filter((l) => l.gapCounts['review-state'] > 0);
+			if (withExcluded.length > 0) {
+				const stateBlock = document.getElementById('stateExcludedBlock');
+				stateBlock.style.display = 'block';
+				stateBlock.style.fontSize = '0.85em';
+				stateBlock.innerHTML =
+					`<b>Translations below the selected review state were NOT included (see report.json in the ZIP):</b>` +
+					`<ul style='margin:8px 0 0 18px;'>` +
+					withExcluded.map((l) => `<li>${escapeHtml(l.language)}: ${l.gapCounts['review-state']}</li>`).join('') +
+					`</ul>`;
+			}
+
+			// Every language lists the unmatched mask IDs, so they are counted once
+			const gapCounts = sumGapCounts(languages.map((l) => l.gapCounts));
+			const unmatchedCount = languages.length > 0 ? languages[0].gapCounts['not-in-sheet'] || 0 : 0;
+			showUnmatchedMaskIds(unmatchedCount);
+			showGapReport(gapCounts, null);
+
+			message.className = 'message success';
+			message.textContent = `✅ ZIP exported successfully for ${languages.length} languages`;
+			message.style.display = 'block';
+		} else {
+			message.className = 'message error';
+			message.textContent = `Error: ${await readExportError(response)}`;
 			message.style.display = 'block';
 		}
 	} catch (error) {
@@ -233,9 +542,319 @@ document.getElementById('languageSelect').addEventListener('change', () => {
 	const msg = document.getElementById('exportMessage');
 	msg.style.display = 'none';
 	msg.textContent = '';
-	const errorBlock = document.getElementById('maxwidthErrorBlock');
-	errorBlock.style.display = 'none';
-	errorBlock.innerHTML = '';
+	clearErrorBlock('maxwidthErrorBlock');
+	clearErrorBlock('placeholderErrorBlock');
+	clearErrorBlock('stateExcludedBlock');
+	clearErrorBlock('unmatchedMaskBlock');
+	clearErrorBlock('gapReportBlock');
+});
+// Review states: list translations of a language and change their state in bulk
+async function loadReviewStates() {
+	const language = document.getElementById('reviewLanguageSelect').value;
+	const state = document.getElementById('reviewStateFilter').value;
+	const wrapper = document.getElementById('reviewTableWrapper');
+	const loader = document.getElementById('reviewLoader');
+	const message = document.getElementById('reviewMessage');
+	document.getElementById('reviewSelectAll').checked = false;
+	document.getElementById('setStateBtn').disabled = true;
+	if (!language) {
+		wrapper.style.display = 'none';
+		document.getElementById('reviewCounts').style.display = 'none';
+		return;
+	}
+	loader.style.display = 'block';
+	try {
+		const params = new URLSearchParams({ language });
+		if (state) params.set('state', state);
+		if (currentProject()) params.set('project', currentProject());
+		const response = await fetch(`/api/review-states?${params}`);
+		const data = await response.json();
+		if (!data.success) {
+			message.className = 'message error';
+			message.textContent = `Error: ${data.error}`;
+			message.style.display = 'block';
+			return;
+		}
+		document.getElementById('reviewCountDraft').textContent = data.counts.draft;
+		document.getElementById('reviewCountReviewed').textContent = data.counts.reviewed;
+		document.getElementById('reviewCountApproved').textContent = data.counts.approved;
+		document.getElementById('reviewCounts').style.display = 'flex';
+		document.getElementById('reviewRows').innerHTML = data.rows
+			.map(
+				(r) =>
+					`<tr><td><input type="checkbox" class="review-select" value="${escapeHtml(r.id)}" /></td>` +
+					`<td>${escapeHtml(r.id)}</td><td>${escapeHtml(r.source)}</td><td>${escapeHtml(r.value)}</td>` +
+					`<td><span class="state-badge ${r.state}">${r.state}</span>` +
+					`${r.machine ? ' <span class="state-badge machine">machine</span>' : ''}</td></tr>`,
+			)
+			.join('');
+		wrapper.style.display = data.rows.length > 0 ? 'block' : 'none';
+	} catch (error) {
+		message.className = 'message error';
+		message.textContent = `Error: ${error.message}`;
+		message.style.display = 'block';
+	} finally {
+		loader.style.display = 'none';
+	}
+}
+// IDs of the checked rows of the review table
+function selectedReviewIds() {
+	return Array.from(document.querySelectorAll('.review-select:checked')).map((box) => box.value);
+}
+['reviewLanguageSelect', 'reviewStateFilter'].forEach((id) => {
+	document.getElementById(id).addEventListener('change', () => {
+		document.getElementById('reviewMessage').style.display = 'none';
+		loadReviewStates();
+	});
+});
+document.getElementById('reviewSelectAll').addEventListener('change', (e) => {
+	document.querySelectorAll('.review-select').forEach((box) => (box.checked = e.target.checked));
+	document.getElementById('setStateBtn').disabled = selectedReviewIds().length === 0;
+});
+document.getElementById('reviewRows').addEventListener('change', () => {
+	document.getElementById('setStateBtn').disabled = selectedReviewIds().length === 0;
+});
+document.getElementById('setStateBtn').addEventListener('click', async () => {
+	const language = document.getElementById('reviewLanguageSelect').value;
+	const state = document.getElementById('reviewTargetState').value;
+	const ids = selectedReviewIds();
+	if (!language || ids.length === 0) return;
+	const btn = document.getElementById('setStateBtn');
+	const message = document.getElementById('reviewMessage');
+	btn.disabled = true;
+	try {
+		const response = await fetch('/api/review-states', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({ language, state, ids, project: currentProject() }),
+		});
+		const data = await response.json();
+		if (data.success) {
+			message.className = 'message success';
+			message.textContent = `✅ ${data.message}`;
+		} else {
+			message.className = 'message error';
+			message.textContent = `Error: ${data.error}`;
+		}
+		message.style.display = 'block';
+		await loadReviewStates();
+	} catch (error) {
+		message.className = 'message error';
+		message.textContent = `Error: ${error.message}`;
+		message.style.display = 'block';
+		btn.disabled = false;
+	}
+});
+// Grid editor: paginated rows of one language, validated in the browser on input and saved through /api/rows
+let editorPage = 1;
+const editorEdits = new Map(); // id -> edited value (selected language)
+const editorErrors = new Map(); // id -> validation errors of the edited value
+const editorRows = new Map(); // id -> row as listed by /api/rows (loaded pages), checked against on input
+
+// Describes validation errors of a translation, e.g. "Too long: 12/10 char, 2 over"
+function describeCellErrors(errors) {
+	return errors
+		.map((e) => {
+			if (e.type === 'maxwidth') return `Too long: ${describeOverflow(e)}`;
+			if (e.type === 'placeholders') {
+				return [
+					e.missing.length > 0 ? `missing ${e.missing.join(' ')}` : '',
+					e.extra.length > 0 ? `extra ${e.extra.join(' ')}` : '',
+				]
+					.filter(Boolean)
+					.join('; ');
+			}
+			return e.message;
+		})
+		.join(' · ');
+}
+// Save is possible when there are edits and none of them is invalid
+function updateEditorSaveButton() {
+	const invalid = Array.from(editorErrors.values()).some((errors) => errors.length > 0);
+	const btn = document.getElementById('editorSaveBtn');
+	btn.disabled = editorEdits.size === 0 || invalid;
+	btn.textContent = editorEdits.size > 0 ? `Save Changes (${editorEdits.size})` : 'Save Changes';
+}
+// Shows the validation state of one grid cell
+function showCellErrors(textarea, errors) {
+	textarea.classList.toggle('invalid', errors.length > 0);
+	textarea.parentElement.querySelector('.cell-errors').textContent = describeCellErrors(errors);
+}
+async function loadEditorRows() {
+	const language = document.getElementById('editorLanguageSelect').value;
+	const wrapper = document.getElementById('editorTableWrapper');
+	const pager = document.getElementById('editorPager');
+	const loader = document.getElementById('editorLoader');
+	const message = document.getElementById('editorMessage');
+	// Keep the errors and rows of pending edits on other pages, so invalid edits still block saving
+	[editorErrors, editorRows].forEach((map) =>
+		Array.from(map.keys())
+			.filter((id) => !editorEdits.has(id))
+			.forEach((id) => map.delete(id)),
+	);
+	updateEditorSaveButton();
+	if (!language) {
+		wrapper.style.display = 'none';
+		pager.style.display = 'none';
+		return;
+	}
+	loader.style.display = 'block';
+	try {
+		const params = new URLSearchParams({ language, page: editorPage });
+		const category = document.getElementById('editorCategoryFilter').value;
+		const active = document.getElementById('editorActiveFilter').value;
+		const search = document.getElementById('editorSearch').value.trim();
+		if (category) params.set('category', category);
+		if (active) params.set('active', active);
+		if (search) params.set('search', search);
+		if (document.getElementById('editorMissingFilter').checked) params.set('missing', 'true');
+		if (currentProject()) params.set('project', currentProject());
+		const response = await fetch(`/api/rows?${params}`);
+		const data = await response.json();
+		if (!data.success) {
+			message.className = 'message error';
+			message.textContent = `Error: ${data.error}`;
+			message.style.display = 'block';
+			return;
+		}
+
+		const categorySelect = document.getElementById('editorCategoryFilter');
+		categorySelect.innerHTML =
+			'<option value="">All categories</option>' +
+			data.categories.map((c) => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+		categorySelect.value = category;
+
+		editorPage = data.page;
+		data.rows.forEach((r) => editorRows.set(r.id, r));
+		document.getElementById('editorRows').innerHTML = data.rows
+			.map((r) => {
+				const value = editorEdits.has(r.id) ? editorEdits.get(r.id) : r.translations[language];
+				const limit = r.maxwidth ? `max ${escapeHtml(r.maxwidth)} ${escapeHtml(r.sizeUnit || 'char')}` : '';
+				return (
+					`<tr><td>${escapeHtml(r.id)}${r.active ? '' : '<div class="cell-meta">inactive</div>'}</td>` +
+					`<td>${escapeHtml(r.source)}</td>` +
+					`<td><textarea data-id="${escapeHtml(r.id)}" data-original="${escapeHtml(r.translations[language])}">${escapeHtml(value)}</textarea>` +
+					`<div class="cell-meta">${limit}</div><div class="cell-errors"></div></td></tr>`
+				);
+			})
+			.join('');
+		// Show the errors of stored translations and re-validate pending edits of this page
+		document.querySelectorAll('#editorRows textarea').forEach((textarea) => {
+			const row = data.rows.find((r) => r.id === textarea.dataset.id);
+			if (editorEdits.has(row.id)) {
+				textarea.classList.add('changed');
+				validateEditorCell(textarea);
+			} else {
+				showCellErrors(textarea, row.errors[language] || []);
+			}
+		});
+		document.getElementById('editorPageInfo').textContent =
+			`Page ${data.page} of ${data.pages} (${data.total} rows)`;
+		document.getElementById('editorPrevBtn').disabled = data.page <= 1;
+		document.getElementById('editorNextBtn').disabled = data.page >= data.pages;
+		wrapper.style.display = data.rows.length > 0 ? 'block' : 'none';
+		pager.style.display = 'flex';
+	} catch (error) {
+		message.className = 'message error';
+		message.textContent = `Error: ${error.message}`;
+		message.style.display = 'block';
+	} finally {
+		loader.style.display = 'none';
+	}
+}
+// Validates the current value of a grid cell against its loaded row (same checks as the export, see validation.js)
+function validateEditorCell(textarea) {
+	const id = textarea.dataset.id;
+	const errors = validateTranslation(editorRows.get(id), textarea.value);
+	if (editorEdits.has(id)) editorErrors.set(id, errors);
+	showCellErrors(textarea, errors);
+	updateEditorSaveButton();
+}
+document.getElementById('editorRows').addEventListener('input', (e) => {
+	const textarea = e.target;
+	if (textarea.tagName !== 'TEXTAREA') return;
+	const id = textarea.dataset.id;
+	if (textarea.value === textarea.dataset.original) {
+		editorEdits.delete(id);
+		editorErrors.delete(id);
+	} else {
+		editorEdits.set(id, textarea.value);
+	}
+	textarea.classList.toggle('changed', editorEdits.has(id));
+	validateEditorCell(textarea);
+});
+// Filters and language changes drop unsaved edits after confirmation
+function reloadEditor(resetPage = true) {
+	if (editorEdits.size > 0 && !confirm(`Discard ${editorEdits.size} unsaved changes?`)) return false;
+	editorEdits.clear();
+	editorErrors.clear();
+	editorRows.clear();
+	if (resetPage) editorPage = 1;
+	document.getElementById('editorMessage').style.display = 'none';
+	loadEditorRows();
+	return true;
+}
+['editorLanguageSelect', 'editorCategoryFilter', 'editorActiveFilter', 'editorMissingFilter'].forEach((id) => {
+	document.getElementById(id).addEventListener('change', () => reloadEditor());
+});
+let searchTimer = null;
+document.getElementById('editorSearch').addEventListener('input', () => {
+	clearTimeout(searchTimer);
+	searchTimer = setTimeout(() => reloadEditor(), 400);
+});
+// Pending edits are kept across pages
+document.getElementById('editorPrevBtn').addEventListener('click', () => {
+	editorPage--;
+	loadEditorRows();
+});
+document.getElementById('editorNextBtn').addEventListener('click', () => {
+	editorPage++;
+	loadEditorRows();
+});
+document.getElementById('editorSaveBtn').addEventListener('click', async () => {
+	const language = document.getElementById('editorLanguageSelect').value;
+	if (!language || editorEdits.size === 0) return;
+	const btn = document.getElementById('editorSaveBtn');
+	const loader = document.getElementById('editorLoader');
+	const message = document.getElementById('editorMessage');
+	btn.disabled = true;
+	loader.style.display = 'block';
+	try {
+		const edits = Array.from(editorEdits, ([id, value]) => ({ id, language, value }));
+		const response = await fetch('/api/rows', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify({ edits, project: currentProject() }),
+		});
+		const data = await response.json();
+		if (data.success) {
+			// Rejected edits stay pending so they can be corrected
+			const rejectedIds = new Set(data.rejected.map((r) => r.id));
+			Array.from(editorEdits.keys())
+				.filter((id) => !rejectedIds.has(id))
+				.forEach((id) => editorEdits.delete(id));
+			message.className = data.rejected.length > 0 ? 'message error' : 'message success';
+			message.textContent =
+				`${data.rejected.length > 0 ? '' : '✅ '}${data.message}` +
+				data.rejected.map((r) => ` · ${r.id}: ${describeCellErrors(r.errors)}`).join('');
+		} else {
+			message.className = 'message error';
+			message.textContent = `Error: ${data.error}`;
+		}
+		message.style.display = 'block';
+		await loadEditorRows();
+	} catch (error) {
+		message.className = 'message error';
+		message.textContent = `Error: ${error.message}`;
+		message.style.display = 'block';
+	} finally {
+		loader.style.display = 'none';
+		updateEditorSaveButton();
+	}
 });
 // Initialize
-loadLanguages();
+loadProjects().then(loadLanguages);
@@ -0,0 +1,147 @@
+const JSZip = require('jszip');
+const { GAP_REASONS } = require('./xlf-exporter');
+
+/**
+ * Builds the download filename for an exported translation file
+ * @param {string} language - Language display name
+ * @param {Date} date - Export date (defaults to now)
+ * @param {string} extension - File extension: 'xlf' (default) or 'stf'
+ * @returns {string} - e.g. translation_French_2026-01-14.xlf
+ */
+function getExportFilename(language, date = new Date(), extension = 'xlf') {
+	const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
+	return `translation_${language}_${dateStr}.${extension}`;
+}
+
+// Escapes a value for a CSV cell
+function csvCell(value) {
+	const text = value === undefined || value === null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Keeps the gaps of units left out of the file (drops the units exported anyway, see selectExportRows)
+ * @param {Array} gaps - Gaps of an export (see selectExportRows)
+ * @returns {Array} - Gaps of skipped units
+ */
+function skippedGaps(gaps = []) {
+	return gaps.filter((gap) => !gap.included);
+}
+
+/**
+ * Counts the skipped units of an export by reason
+ * @param {Array} gaps - Gaps of an export (see selectExportRows)
+ * @returns {Object} - Count per reason of GAP_REASONS, e.g. { 'not-in-sheet': 0, inactive: 2, empty: 14, ... }
+ */
+function countGaps(gaps = []) {
+	const counts = Object.fromEntries(GAP_REASONS.map((reason) => [reason, 0]));
+	skippedGaps(gaps).forEach((gap) => counts[gap.reason]++);
+	return counts;
+}
+
+/**
+ * Builds the combined report of an all-languages export
+ * @param {Array} files - Per-language results of generateAllXLF
+ * @param {Date} date - Export date (defaults to now)
+ * @returns {Object} - { generatedAt, languages: [{ language, filename, unitCount, maxwidthErrors, ... }] }
+ */
+function buildExportReport(files, date = new Date()) {
+	return {
+		generatedAt: date.toISOString(),
+		languages: files.map((file) => ({
+			language: file.language,
+			filename: getExportFilename(file.language, date),
+			unitCount: file.unitCount,
+			maxwidthErrors: file.maxwidthErrors,
+			placeholderErrors: file.placeholderErrors,
+			unreviewedRows: file.unreviewedRows,
+			stateExcluded: file.stateExcluded,
+			termErrors: file.termErrors,
+			gapCounts: countGaps(file.gaps),
+		})),
+	};
+}
+
+/**
+ * Builds a CSV listing maxwidth errors of all languages
+ * @param {Array} files - Per-language results of generateAllXLF
+ * @returns {string} - CSV with language, id, value, maxwidth, size-unit, width, overflow columns
+ */
+function buildMaxwidthReportCSV(files) {
+	const lines = [['language', 'id', 'value', 'maxwidth', 'size-unit', 'width', 'overflow'].join(',')];
+	files.forEach((file) => {
+		file.maxwidthErrors.forEach((e) => {
+			lines.push(
+				[file.language, e.id, e.value, e.maxwidth, e.sizeUnit, e.width, e.overflow].map(csvCell).join(','),
+			);
+		});
+	});
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds a CSV listing the units left out of exported files, for translators
+ * Units with broken placeholders exported anyway are listed too, their detail starts with 'exported anyway'.
+ * @param {Array} files - Per-language export results with gaps ({ language, gaps })
+ * @returns {string} - CSV with language, id, reason, detail, source, value columns
+ */
+function buildGapReportCSV(files) {
+	const lines = [['language', 'id', 'reason', 'detail', 'source', 'value'].join(',')];
+	files.forEach((file) => {
+		(file.gaps || []).forEach((gap) => {
+			lines.push([file.language, gap.id, gap.reason, gap.detail, gap.source, gap.value].map(csvCell).join(','));
+		});
+	});
+	return lines.join('\n') + '\n';
+}
+
+// Adds the files of an all-languages export and the reports to a new ZIP
+function buildExportZip(files) {
+	const date = new Date();
+	const zip = new JSZip();
+
+	files.forEach((file) => {
+		zip.file(getExportFilename(file.language, date), file.stream || file.xlfContent);
+	});
+
+	zip.file('report.json', JSON.stringify(buildExportReport(files, date), null, '\t') + '\n');
+	zip.file('maxwidth-errors.csv', buildMaxwidthReportCSV(files));
+	zip.file('gaps.csv', buildGapReportCSV(files));
+
+	return zip;
+}
+
+/**
+ * Bundles the XLF files of an all-languages export into a ZIP
+ * Contains one XLF per language plus report.json (all errors per language),
+ * maxwidth-errors.csv (maxwidth errors of all languages in one table) and gaps.csv (skipped units of all languages)
+ *
+ * @param {Array} files - Per-language results of generateAllXLF
+ * @returns {Promise<Buffer>} - ZIP file content
+ */
+async function createExportBundle(files) {
+	return buildExportZip(files).generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+/**
+ * Bundles the XLF files of an all-languages export into a ZIP stream
+ * Same content as createExportBundle; files exported with the stream option are compressed as they are rendered,
+ * so the ZIP is never held in memory.
+ *
+ * @param {Array} files - Per-language results of generateAllXLF
+ * @returns {Readable} - ZIP file stream
+ */
+function createExportBundleStream(files) {
+	return buildExportZip(files).generateNodeStream({ type: 'nodebuffer', compression: 'DEFLATE', streamFiles: true });
+}
+
+module.exports = {
+	getExportFilename,
+	buildExportReport,
+	buildMaxwidthReportCSV,
+	buildGapReportCSV,
+	countGaps,
+	skippedGaps,
+	createExportBundle,
+	createExportBundleStream,
+};
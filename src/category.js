@@ -0,0 +1,30 @@
+/**
+ * Categories of trans-unit IDs
+ * The category is the metadata type at the start of a Salesforce ID (CustomLabel, PicklistValue, ...),
+ * stored in the sheet's category column on import and used by filters, masks and diffs.
+ */
+
+/**
+ * Extracts category from id (first part before the first dot)
+ * @param {string} id - Full id like "PicklistValue.Contact.Type.Owner"
+ * @returns {string} - Category part like "PicklistValue"
+ */
+function extractCategory(id) {
+	if (!id || typeof id !== 'string') return '';
+	const parts = id.split('.');
+	return parts[0] || '';
+}
+
+/**
+ * Gets the category of a sheet row: the category column, or the category of its ID when the cell is empty
+ * @param {Object} row - Sheet row
+ * @returns {string} - Category
+ */
+function rowCategory(row) {
+	return row.category || extractCategory(row.id);
+}
+
+module.exports = {
+	extractCategory,
+	rowCategory,
+};
@@ -1,10 +1,64 @@
 #!/usr/bin/env node
 
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
 const path = require('path');
-const { syncXLFtoSheet, generateXLF, getLanguages } = require('./main');
+const { pipeline } = require('stream/promises');
+const {
+	parseTranslationFile,
+	syncXLFtoSheet,
+	importTranslations,
+	getReviewQueue,
+	resolveReviews,
+	generateXLF,
+	generateAllXLF,
+	getCoverage,
+	checkTerminology,
+	getReviewStates,
+	setReviewState,
+	addLanguage,
+	machineTranslate,
+	checkSheet,
+	repairSheet,
+	getLanguages,
+} = require('./main');
+const { configureStore, describeStore } = require('./store');
+const { selectProject, listProjects, getActiveProject } = require('./projects');
+const { describePlaceholderError } = require('./placeholders');
+const { describeNamespaceCollision } = require('./namespace');
+const { describeOverflow } = require('./width');
+const { describeTermError } = require('./glossary');
+const { COVERAGE_FORMATS, formatCoverageCSV, formatCoverageTable } = require('./coverage');
+const { parseMaskFile, createExportMask, describeMask } = require('./mask');
+const { DIFF_FORMATS, diffSegments, formatDiffText, formatDiffMarkdown } = require('./diff');
+
+/**
+ * Removes a global "--flag <value>" pair from the argument list
+ * @param {Array<string>} argv - Argument list (mutated)
+ * @param {string} flag - Flag name including dashes
+ * @returns {string|null} - Flag value or null when absent
+ */
+function takeOption(argv, flag) {
+	const idx = argv.indexOf(flag);
+	if (idx === -1) return null;
+	const [, value] = argv.splice(idx, 2);
+	return value || null;
+}
 
 const args = process.argv.slice(2);
+
+// Global project and store options apply to every command, so strip them before positional parsing
+try {
+	selectProject(takeOption(args, '--project'));
+} catch (error) {
+	console.error(`Error: ${error.message}`);
+	process.exit(1);
+}
+configureStore({
+	backend: takeOption(args, '--store'),
+	filePath: takeOption(args, '--store-file'),
+});
+
 const command = args[0];
 
 /**
@@ -18,32 +72,145 @@ Usage:
   node src/cli.js <command> [options]
 
 Commands:
-  import <file>                        Import XLF file to Google Sheets
-  export <language> <file> [--mask <file>]  Export translated XLF from Google Sheets
+  import <file>                        Import XLF (or Source STF) file to Google Sheets
+  import-translations <file> [--dry-run]  Fill empty cells of the file's target-language column
+                                       from <target> texts (conflicts are reported, not overwritten)
+  export <language> <file> [--mask <file>] [--xliff-version <1.2|2.0>]
+                                       Export translated XLF from Google Sheets
+  export --all <dir|file.zip> [--mask <file>]
+                                       Export every available language (reads the sheet once) into a
+                                       directory or ZIP, with report.json, maxwidth-errors.csv and gaps.csv
+  review [list|accept|reject] [filters] [--dry-run]
+                                       List rows whose source changed since translation, or accept/reject
+                                       their old translations in bulk
+  states <language> [--state <state>] [--category <name>]
+                                       List translations of a language with their review state
+                                       (draft, reviewed, approved)
+  set-state <language> <draft|reviewed|approved> [--ids <id,...>] [--category <name>] [--from <state>] [--dry-run]
+                                       Change the review state of translations (stored in <language>-state)
+  coverage [--format <table|json|csv>] [--mask <file>] [--output <file>] [--missing]
+                                       Share of active rows translated per language and category,
+                                       with the missing IDs
+  diff <old> <new> [--format <text|json|markdown>] [--output <file>]
+                                       List trans-units added, removed or with changed source, maxwidth
+                                       or size-unit between two XLF files, grouped by category
+  lint-terms [language] [--mask <file>] [--json]
+                                       Check translations against the glossary: approved renderings
+                                       of glossary terms must be used, forbidden ones must not
+  doctor [--fix] [--dry-run] [--json]  Check the sheet for missing columns, duplicate or blank IDs, unknown
+                                       language headers and invalid active values; --fix repairs what it can
+  mt-fill <language> [--category <name>] [--provider <name>] [--dry-run]
+                                       Machine-translate untranslated active rows (placeholders and
+                                       maxwidth are checked) and mark them in the <language>-status column
   languages                            List available languages
+  add-language <Name> <code>           Add a translation language: appends the sheet column and registers
+                                       the Salesforce language code in the project's language map
+  projects                             List the projects of the projects file
   help                                 Show this help message
 
 Options:
-  --mask <file>                        Export mask: only export records whose IDs are present
-                                       in the specified source XLF file.
+  --mask <file>                        Export mask: only export records whose IDs are present in the
+                                       file: a source XLF (1.2 or 2.0), STF or plain ID list (one per line).
+                                       May be repeated; the IDs of all files are merged
+  --mask-ids <id,id,...>               Export mask: IDs to export (merged with the --mask files)
+  --mask-categories <name,...>         Export mask: only these categories
+  --exclude-categories <name,...>      Export mask: leave out these categories
+  --mask-pattern <regex>               Export mask: only IDs matching the regular expression (may be repeated)
+                                       Mask options combine: a record must pass each of them.
+                                       Mask IDs without a sheet row are reported by export
+  --xliff-version <1.2|2.0>            Output XLIFF version (default: 1.2, the Salesforce format)
+  --format <xlf|stf>                   Output format (default: stf for .stf files, xlf otherwise).
+                                       STF is the bilingual Salesforce Translation Format
+  --unreviewed <skip|include>          Export policy for rows in review (default: UNREVIEWED_EXPORT_POLICY)
+  --state-policy <all|reviewed|approved>
+                                       Review states to export: every translation, reviewed and approved,
+                                       or approved only (default: EXPORT_STATE_POLICY)
+  --category <name>                    review, mt-fill: only rows of this category
+  --provider <name>                    mt-fill: libretranslate, deepl or mock (default: MT_PROVIDER)
+  --min-similarity <0..1>              review: only rows whose old/new source similarity is at least this
+  --max-similarity <0..1>              review: only rows whose old/new source similarity is at most this
+  --ids <id,id,...>                    review: only these IDs
+  --output <file>                      coverage, diff: write the report to a file instead of the console
+  --report <file>                      export: write every unit left out of the file with the reason (not-in-sheet,
+                                       inactive, empty, unreviewed, review-state, maxwidth, placeholders) as CSV
+  --missing                            coverage: list missing IDs in the table format
+  --include-placeholder-errors         Export translations with broken placeholders ({0}, {!Field}, %s,
+                                       &amp;) instead of skipping them (they are reported either way)
+  --project <name>                     Project of the projects file to work on (default: its defaultProject)
+  --store <google-sheets|local>        Translation store backend (default: TRANSLATION_STORE or google-sheets)
+  --store-file <file>                  Local store file, .csv or .json (default: LOCAL_STORE_PATH or translations.csv)
 
 Examples:
   node src/cli.js import demo.xlf
+  node src/cli.js import-translations translated_fr.xlf --dry-run
   node src/cli.js export French output.xlf
   node src/cli.js export French output.xlf --mask source_en_US.xlf
+  node src/cli.js export French output.xlf --xliff-version 2.0
+  node src/cli.js export French bilingual_fr.stf
+  node src/cli.js export --all translations.zip --mask source_en_US.xlf
+  node src/cli.js export French output.xlf --mask source_en_US.xlf --report gaps_fr.csv
+  node src/cli.js export French output.xlf --mask-categories CustomLabel --mask-pattern "^CustomLabel\\.Booking"
+  node src/cli.js import demo.xlf --store local --store-file translations.csv
+  node src/cli.js review accept --min-similarity 0.9
+  node src/cli.js set-state French approved --from reviewed --category CustomLabel
+  node src/cli.js export French output.xlf --state-policy approved
+  node src/cli.js coverage --mask source_en_US.xlf
+  node src/cli.js coverage --format csv --output coverage.csv
+  node src/cli.js diff source_v1.xlf source_v2.xlf --format markdown
+  node src/cli.js mt-fill French --category CustomLabel --dry-run
   node src/cli.js languages
+  node src/cli.js add-language Russian ru
+  node src/cli.js lint-terms French
+  node src/cli.js doctor --fix --dry-run
+  node src/cli.js export French output.xlf --project partner-package
     `);
 }
 
+/**
+ * Warns about file IDs that could not be mapped to a single sheet ID
+ */
+function printNamespaceCollisions(collisions = []) {
+	if (collisions.length === 0) return;
+
+	console.warn('\nWARNING: Namespace collisions - these IDs were kept as they are in the file, not merged:');
+	collisions.forEach((c) => {
+		console.warn(`  ${c.id}: ${describeNamespaceCollision(c)}`);
+	});
+}
+
+/**
+ * Summarizes the units left out of an export by reason
+ * @param {Array} gaps - Gaps of an export result
+ * @returns {string} - e.g. '14 empty, 2 inactive'
+ */
+function describeGaps(gaps) {
+	const { countGaps } = require('./bundle');
+	return Object.entries(countGaps(gaps))
+		.filter(([, count]) => count > 0)
+		.map(([reason, count]) => `${count} ${reason}`)
+		.join(', ');
+}
+
+/**
+ * Warns about mask IDs without a sheet row
+ */
+function printUnmatchedMaskIds(ids = []) {
+	if (ids.length === 0) return;
+
+	console.warn(`\nWARNING: ${ids.length} mask IDs have no row in the sheet (labels missing from the database):`);
+	ids.forEach((id) => console.warn(`  ${id}`));
+	console.warn('\nImport the source file of the org that has these labels to add them.');
+}
+
 /**
  * Import XLF to Google Sheets
  */
 async function importXLF(filePath) {
 	try {
-		console.log(`[IMPORT] Importing ${filePath} to Google Sheets...`);
+		console.log(`[IMPORT] Importing ${filePath} to ${describeStore()}...`);
 
-		const xlfContent = await fs.readFile(filePath, 'utf-8');
-		const result = await syncXLFtoSheet(xlfContent);
+		// Read as a stream - full org exports may be hundreds of MB
+		const result = await syncXLFtoSheet(createReadStream(filePath));
 
 		if (result.success) {
 			console.log('Import completed.');
@@ -52,6 +219,13 @@ async function importXLF(filePath) {
 			console.log(`   Activated: ${result.stats.activated}`);
 			console.log(`   Unchanged: ${result.stats.unchanged}`);
 			console.log(`   Deactivated: ${result.stats.deactivated}`);
+			console.log(`   Needs review: ${result.stats.needsReview}`);
+			console.log(`   Namespaced IDs normalized: ${result.stats.normalized}`);
+			if (result.addedColumns.length > 0) {
+				console.log(`   Columns added: ${result.addedColumns.join(', ')}`);
+			}
+			(result.warnings || []).forEach((warning) => console.warn(`WARNING: ${warning}`));
+			printNamespaceCollisions(result.namespaceCollisions);
 		} else {
 			console.error(`Import failed: ${result.error}`);
 			process.exit(1);
@@ -63,37 +237,260 @@ async function importXLF(filePath) {
 }
 
 /**
- * Export XLF with translations
+ * Writes a stream to a file through a temporary file next to it, renamed once the stream has ended
+ * A stream that fails halfway leaves no truncated file behind, and an existing file unchanged.
+ * @param {Readable} stream - Content to write
+ * @param {string} file - Target file
+ * @returns {Promise<void>}
+ */
+async function writeStreamToFile(stream, file) {
+	const tempFile = `${file}.${process.pid}.tmp`;
+	try {
+		await pipeline(stream, createWriteStream(tempFile));
+		await fs.rename(tempFile, file);
+	} catch (error) {
+		await fs.rm(tempFile, { force: true });
+		throw error;
+	}
+}
+
+/**
+ * Export XLF files for all available languages into a directory or a ZIP bundle
  */
-async function exportXLF(language, outputFile, maskFile = null) {
+async function exportAllXLF(target, maskOptions, options = {}, reportFile = null) {
 	try {
-		const modeLabel = maskFile ? ` (mask: ${maskFile})` : '';
-		console.log(`Exporting ${language} translations to ${outputFile}${modeLabel}...`);
+		const asZip = target.toLowerCase().endsWith('.zip');
+		console.log(`Exporting all languages from ${describeStore()} to ${target}...`);
+
+		const mask = await loadMask(maskOptions);
+		const result = await generateAllXLF(mask, { ...options, stream: true });
 
-		let maskIds = null;
-		if (maskFile) {
-			const maskContent = await fs.readFile(maskFile, 'utf-8');
-			const { parseXLF } = require('./xlf-parser');
-			const parsed = await parseXLF(maskContent);
-			maskIds = new Set(parsed.segments.map((s) => s.id));
-			console.log(`   Mask loaded: ${maskIds.size} IDs from ${maskFile}`);
+		if (!result.success) {
+			console.error(`Export failed: ${result.error}`);
+			process.exit(1);
 		}
 
-		// Generate XLF from Google Sheets data (no template needed)
-		const result = await generateXLF(language, maskIds);
+		const {
+			createExportBundleStream,
+			buildExportReport,
+			buildMaxwidthReportCSV,
+			buildGapReportCSV,
+			getExportFilename,
+			skippedGaps,
+		} = require('./bundle');
+
+		if (asZip) {
+			await writeStreamToFile(createExportBundleStream(result.files), target);
+		} else {
+			await fs.mkdir(target, { recursive: true });
+			for (const file of result.files) {
+				await writeStreamToFile(file.stream, path.join(target, getExportFilename(file.language)));
+			}
+			await fs.writeFile(
+				path.join(target, 'report.json'),
+				JSON.stringify(buildExportReport(result.files), null, '\t') + '\n',
+			);
+			await fs.writeFile(path.join(target, 'maxwidth-errors.csv'), buildMaxwidthReportCSV(result.files));
+			await fs.writeFile(path.join(target, 'gaps.csv'), buildGapReportCSV(result.files));
+		}
+		if (reportFile) {
+			await fs.writeFile(reportFile, buildGapReportCSV(result.files));
+		}
+
+		console.log(`Export completed. ${result.files.length} languages exported.`);
+		if (result.emptyLanguages.length > 0) {
+			console.warn(`Left out (no translated units for XLIFF 2.0): ${result.emptyLanguages.join(', ')}`);
+		}
+		console.log('');
+		result.files.forEach((file) => {
+			const skippedCount = skippedGaps(file.gaps).length;
+			const issues = [
+				file.maxwidthErrors.length > 0 ? `${file.maxwidthErrors.length} maxwidth errors` : '',
+				file.placeholderErrors.length > 0 ? `${file.placeholderErrors.length} placeholder errors` : '',
+				file.unreviewedRows.length > 0 ? `${file.unreviewedRows.length} awaiting review` : '',
+				file.stateExcluded.length > 0 ? `${file.stateExcluded.length} below review state policy` : '',
+				file.termErrors.length > 0 ? `${file.termErrors.length} glossary issues` : '',
+				skippedCount > 0 ? `${skippedCount} skipped` : '',
+			].filter(Boolean);
+			console.log(`   ${file.language}: ${file.unitCount} units${issues.length ? ` (${issues.join(', ')})` : ''}`);
+		});
+
+		const errorCount = result.files.reduce((sum, file) => sum + file.maxwidthErrors.length, 0);
+		if (errorCount > 0) {
+			console.warn(`\nWARNING: ${errorCount} translations exceed maxwidth and were NOT included.`);
+			console.warn('See maxwidth-errors.csv and report.json for details.');
+		}
+		if (reportFile) {
+			console.log(`\nGap report written to ${reportFile}.`);
+		}
+		printUnmatchedMaskIds(result.unmatchedMaskIds);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Import <target> texts from a translated XLF into empty sheet cells
+ */
+async function importTranslationsXLF(filePath, dryRun = false) {
+	try {
+		const dryRunLabel = dryRun ? ' (dry run)' : '';
+		console.log(`[IMPORT] Importing translations from ${filePath} to ${describeStore()}${dryRunLabel}...`);
+
+		const result = await importTranslations(createReadStream(filePath), dryRun);
+
+		if (result.success) {
+			console.log(`Translation import completed for ${result.language}.`);
+			console.log(`   Filled: ${result.stats.filled}`);
+			console.log(`   Unchanged: ${result.stats.unchanged}`);
+			console.log(`   Untranslated in file: ${result.stats.untranslated}`);
+			console.log(`   Conflicts: ${result.stats.conflicts}`);
+			console.log(`   Source mismatches: ${result.stats.sourceMismatches}`);
+			console.log(`   Not in sheet: ${result.stats.notInSheet}`);
+			console.log(`   Out of date in file: ${result.stats.outOfDate}`);
+
+			if (result.conflicts.length > 0) {
+				console.warn('\nWARNING: The following cells already have a different translation and were NOT overwritten:');
+				result.conflicts.forEach((c) => {
+					console.warn(`  ${c.id}: sheet "${c.sheetValue}" / file "${c.xlfValue}"`);
+				});
+			}
+			printNamespaceCollisions(result.namespaceCollisions);
+			if (result.sourceMismatches.length > 0) {
+				console.warn('\nWARNING: Source text differs from the sheet, translations were skipped:');
+				result.sourceMismatches.forEach((m) => {
+					console.warn(`  ${m.id}: sheet "${m.sheetSource}" / file "${m.xlfSource}"`);
+				});
+			}
+			if (result.outOfDate.length > 0) {
+				console.warn('\nWARNING: Marked out of date in the file, translations were skipped:');
+				result.outOfDate.forEach((id) => console.warn(`  ${id}`));
+			}
+			(result.warnings || []).forEach((warning) => console.warn(`WARNING: ${warning}`));
+		} else {
+			console.error(`Translation import failed: ${result.error}`);
+			process.exit(1);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Removes the export mask options from the argument list
+ * --mask and --mask-pattern may be repeated; --mask-ids and the category options take comma-separated lists.
+ * @param {Array<string>} argv - Argument list (mutated)
+ * @returns {Object} - { files, ids, categories, excludeCategories, patterns }
+ */
+function takeMaskOptions(argv) {
+	const takeAll = (flag) => {
+		const values = [];
+		let value;
+		while ((value = takeOption(argv, flag)) !== null) values.push(value);
+		return values;
+	};
+	const takeList = (flag) => takeAll(flag).flatMap((value) => value.split(','));
+
+	return {
+		files: takeAll('--mask'),
+		ids: takeList('--mask-ids'),
+		categories: takeList('--mask-categories'),
+		excludeCategories: takeList('--exclude-categories'),
+		patterns: takeAll('--mask-pattern'),
+	};
+}
+
+/**
+ * Builds the export mask from the mask options
+ * @param {Object} options - Mask options from takeMaskOptions
+ * @param {Function} log - Progress logger (console.error keeps stdout clean for reports)
+ * @returns {Promise<Object|null>} - Export mask or null without mask options
+ */
+async function loadMask(options, log = console.log) {
+	const ids = [...options.ids];
+	for (const file of options.files) {
+		const fileIds = await parseMaskFile(createReadStream(file));
+		log(`   Mask file loaded: ${fileIds.length} IDs from ${file}`);
+		ids.push(...fileIds);
+	}
+
+	const mask = createExportMask({ ...options, ids });
+	if (mask) log(`   Mask: ${describeMask(mask)}`);
+	return mask;
+}
+
+/**
+ * Export XLF with translations
+ */
+async function exportXLF(language, outputFile, maskOptions, options = {}, reportFile = null) {
+	try {
+		const version = options.version || '1.2';
+		const formatLabel = options.format === 'stf' ? ' (STF)' : version !== '1.2' ? ` (XLIFF ${version})` : '';
+		console.log(`Exporting ${language} translations from ${describeStore()} to ${outputFile}${formatLabel}...`);
+
+		const mask = await loadMask(maskOptions);
+
+		// Generate XLF from the translation store (no template needed), written unit by unit
+		const result = await generateXLF(language, mask, { ...options, stream: true });
 
 		if (result.success) {
-			await fs.writeFile(outputFile, result.xlfContent);
-			console.log(`Export completed. ${result.segmentCount} segments exported.`);
+			await writeStreamToFile(result.stream, outputFile);
+			console.log(`Export completed. ${result.unitCount} units exported.`);
+			const { skippedGaps, buildGapReportCSV } = require('./bundle');
+			const skippedCount = skippedGaps(result.gaps).length;
+			if (skippedCount > 0) {
+				console.log(`   Skipped units: ${describeGaps(result.gaps)}`);
+			}
+			if (reportFile) {
+				await fs.writeFile(reportFile, buildGapReportCSV([{ language, gaps: result.gaps }]));
+				console.log(`Gap report written to ${reportFile} (${skippedCount} skipped units).`);
+			}
 			if (result.maxwidthErrors && result.maxwidthErrors.length > 0) {
 				console.warn(
 					'\nWARNING: The following translations exceed maxwidth and were NOT included in the exported file:',
 				);
 				result.maxwidthErrors.forEach((e) => {
-					console.warn(`  ${e.id}: ${e.value} (max: ${e.maxwidth})`);
+					console.warn(`  ${e.id}: ${e.value} (${describeOverflow(e)})`);
 				});
 				console.warn('\nThese entries must be fixed before import.');
 			}
+			if (result.placeholderErrors && result.placeholderErrors.length > 0) {
+				const action = options.includePlaceholderErrors ? 'were included anyway' : 'were NOT included';
+				console.warn(
+					`\nWARNING: The following translations have missing, extra or changed placeholders and ${action} in the exported file:`,
+				);
+				result.placeholderErrors.forEach((e) => {
+					console.warn(`  ${e.id}: ${e.value} (${describePlaceholderError(e)}; source: ${e.source})`);
+				});
+				console.warn('\nBroken placeholders fail at runtime in the org. Fix these entries in the sheet.');
+			}
+			if (result.unreviewedRows && result.unreviewedRows.length > 0) {
+				const action = options.unreviewedPolicy === 'include' ? 'were included' : 'were NOT included';
+				console.warn(
+					`\nWARNING: The following translations were made for a previous source text and ${action} in the exported file:`,
+				);
+				result.unreviewedRows.forEach((e) => {
+					console.warn(`  ${e.id}: "${e.previousSource}" -> "${e.source}" (similarity: ${e.similarity})`);
+				});
+				console.warn('\nRun "node src/cli.js review" to accept or reject them.');
+			}
+			if (result.stateExcluded && result.stateExcluded.length > 0) {
+				console.warn(
+					`\nWARNING: ${result.stateExcluded.length} translations were NOT included because their review state is below the export policy:`,
+				);
+				result.stateExcluded.forEach((e) => {
+					console.warn(`  ${e.id}: ${e.value} (${e.state})`);
+				});
+			}
+			if (result.termErrors && result.termErrors.length > 0) {
+				console.warn('\nWARNING: The following translations do not follow the glossary (they were included):');
+				result.termErrors.forEach((e) => {
+					console.warn(`  ${e.id}: ${e.value} (${describeTermError(e)})`);
+				});
+			}
+			printUnmatchedMaskIds(result.unmatchedMaskIds);
 		} else {
 			console.error(`Export failed: ${result.error}`);
 			process.exit(1);
@@ -104,6 +501,203 @@ async function exportXLF(language, outputFile, maskFile = null) {
 	}
 }
 
+/**
+ * List, accept or reject rows whose translations await review after a source change
+ */
+async function reviewTranslations(action, filter, dryRun = false) {
+	try {
+		if (action === 'list') {
+			const result = await getReviewQueue(filter);
+			if (!result.success) {
+				console.error(`Review failed: ${result.error}`);
+				process.exit(1);
+			}
+
+			console.log('Rows in review:\n');
+			result.rows.forEach((r) => {
+				console.log(`   ${r.id} (similarity: ${r.similarity})`);
+				console.log(`      was: ${r.previousSource}`);
+				console.log(`      now: ${r.source}`);
+			});
+			console.log(`\n   Total: ${result.rows.length} rows`);
+			return;
+		}
+
+		const dryRunLabel = dryRun ? ' (dry run)' : '';
+		console.log(`[REVIEW] Applying ${action} in ${describeStore()}${dryRunLabel}...`);
+
+		const result = await resolveReviews(action, filter, dryRun);
+
+		if (result.success) {
+			console.log(`${result.message}.`);
+			result.ids.forEach((id) => console.log(`   ${id}`));
+		} else {
+			console.error(`Review failed: ${result.error}`);
+			process.exit(1);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * List translations of a language with their review state
+ */
+async function listReviewStates(language, filter) {
+	try {
+		const result = await getReviewStates(language, filter);
+		if (!result.success) {
+			console.error(`Listing review states failed: ${result.error}`);
+			process.exit(1);
+		}
+
+		console.log(`${language} translations:\n`);
+		result.rows.forEach((r) => {
+			console.log(`   [${r.state}] ${r.id}${r.machine ? ' (machine)' : ''}${r.active ? '' : ' (inactive)'}`);
+			console.log(`      ${r.source} -> ${r.value}`);
+		});
+		const counts = Object.entries(result.counts).map(([state, count]) => `${count} ${state}`);
+		console.log(`\n   Listed: ${result.rows.length} rows (${counts.join(', ')})`);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Change the review state of translations
+ */
+async function changeReviewState(language, state, filter, dryRun = false) {
+	try {
+		const dryRunLabel = dryRun ? ' (dry run)' : '';
+		console.log(`[STATE] Setting ${language} translations to ${state} in ${describeStore()}${dryRunLabel}...`);
+
+		const result = await setReviewState(language, state, filter, dryRun);
+
+		if (result.success) {
+			console.log(`${result.message}.`);
+			result.updated.forEach((id) => console.log(`   ${id}`));
+		} else {
+			console.error(`Set state failed: ${result.error}`);
+			process.exit(1);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Report translation coverage per language and category
+ */
+async function showCoverage(format, maskOptions, outputFile = null, showMissing = false) {
+	try {
+		if (!COVERAGE_FORMATS.includes(format)) {
+			console.error(`Error: Unknown coverage format '${format}'. Use ${COVERAGE_FORMATS.join(', ')}`);
+			process.exit(1);
+		}
+
+		const mask = await loadMask(maskOptions, console.error);
+		const result = await getCoverage(mask);
+
+		if (!result.success) {
+			console.error(`Coverage failed: ${result.error}`);
+			process.exit(1);
+		}
+
+		let report;
+		if (format === 'json') {
+			const { success, ...coverage } = result;
+			report = JSON.stringify(coverage, null, '\t') + '\n';
+		} else if (format === 'csv') {
+			report = formatCoverageCSV(result);
+		} else {
+			report = formatCoverageTable(result, showMissing);
+		}
+
+		if (outputFile) {
+			await fs.writeFile(outputFile, report);
+			console.log(`Coverage report written to ${outputFile} (${result.totalRows} active rows).`);
+		} else {
+			process.stdout.write(report);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Compare the trans-units of two XLF files
+ */
+async function diffFiles(oldFile, newFile, format, outputFile = null) {
+	try {
+		if (!DIFF_FORMATS.includes(format)) {
+			console.error(`Error: Unknown diff format '${format}'. Use ${DIFF_FORMATS.join(', ')}`);
+			process.exit(1);
+		}
+
+		const oldParsed = await parseTranslationFile(createReadStream(oldFile));
+		const newParsed = await parseTranslationFile(createReadStream(newFile));
+		[...(oldParsed.warnings || []), ...(newParsed.warnings || [])].forEach((warning) =>
+			console.warn(`WARNING: ${warning}`),
+		);
+
+		const diff = diffSegments(oldParsed.segments, newParsed.segments);
+
+		let report;
+		if (format === 'json') {
+			report = JSON.stringify(diff, null, '\t') + '\n';
+		} else if (format === 'markdown') {
+			report = formatDiffMarkdown(diff);
+		} else {
+			report = formatDiffText(diff);
+		}
+
+		if (outputFile) {
+			await fs.writeFile(outputFile, report);
+			console.log(`Diff written to ${outputFile}.`);
+		} else {
+			process.stdout.write(report);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Check translations against the glossary
+ */
+async function lintTerminology(language = null, maskOptions, asJson = false) {
+	try {
+		const mask = await loadMask(maskOptions, console.error);
+		const result = await checkTerminology(language, mask);
+
+		if (!result.success) {
+			console.error(`Terminology check failed: ${result.error}`);
+			process.exit(1);
+		}
+
+		if (asJson) {
+			const { success, ...report } = result;
+			console.log(JSON.stringify(report, null, '\t'));
+		} else {
+			console.log(`Checked ${result.languages.length} languages against ${result.terms} glossary terms.\n`);
+			result.languages.forEach(({ language: lang, termErrors }) => {
+				console.log(`${lang}: ${termErrors.length} issues`);
+				termErrors.forEach((e) => console.log(`   ${e.id}: ${e.value} (${describeTermError(e)})`));
+			});
+			console.log(`\nTotal: ${result.total} issues`);
+		}
+		if (result.total > 0) process.exitCode = 1;
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
 /**
  * List available languages
  */
@@ -118,6 +712,153 @@ async function listLanguages() {
 	console.log(`\n   Total: ${languages.length} languages`);
 }
 
+/**
+ * Prints sheet problems grouped by severity
+ */
+function printProblems(problems) {
+	['error', 'warning'].forEach((severity) => {
+		const list = problems.filter((p) => p.severity === severity);
+		if (list.length === 0) return;
+		console.log(`\n${severity === 'error' ? 'Errors' : 'Warnings'} (${list.length}):`);
+		list.forEach((p) => console.log(`   [${p.type}] ${p.message}${p.fixable ? ' (fixable)' : ''}`));
+	});
+}
+
+/**
+ * Check the sheet schema and optionally repair it
+ */
+async function runDoctor(fix = false, dryRun = false, asJson = false) {
+	try {
+		if (!fix) {
+			const result = await checkSheet();
+			if (!result.success) {
+				console.error(`Doctor failed: ${result.error}`);
+				process.exit(1);
+			}
+
+			if (asJson) {
+				console.log(JSON.stringify(result.problems, null, '\t'));
+			} else {
+				console.log(`Checked ${describeStore()}: ${result.errors} errors, ${result.warnings} warnings.`);
+				printProblems(result.problems);
+				if (result.problems.some((p) => p.fixable)) {
+					console.log('\nRun "node src/cli.js doctor --fix" to repair fixable problems.');
+				}
+			}
+			if (result.errors > 0) process.exitCode = 1;
+			return;
+		}
+
+		const dryRunLabel = dryRun ? ' (dry run)' : '';
+		if (!asJson) console.log(`[DOCTOR] Repairing ${describeStore()}${dryRunLabel}...`);
+
+		const result = await repairSheet(dryRun);
+		if (!result.success) {
+			console.error(`Repair failed: ${result.error}`);
+			process.exit(1);
+		}
+
+		if (asJson) {
+			const { success, message, ...report } = result;
+			console.log(JSON.stringify(report, null, '\t'));
+			return;
+		}
+
+		console.log(`${result.message}.`);
+		result.addedColumns.forEach((col) => console.log(`   Column added: ${col}`));
+		result.merged.forEach((m) => console.log(`   Merged ${m.id} (rows ${m.rows.join(', ')})`));
+		if (result.conflicts.length > 0) {
+			console.warn('\nWARNING: Duplicates had different translations, the value of the first row was kept:');
+			result.conflicts.forEach((c) => {
+				console.warn(`  ${c.id} [${c.column}]: ${c.values.map((v) => `"${v}"`).join(' / ')}`);
+			});
+		}
+		if (result.problems.length > 0) {
+			console.log('\nRemaining problems (not fixable automatically):');
+			printProblems(result.problems);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Add a translation language column and register its language code
+ */
+async function addLanguageColumn(name, code) {
+	try {
+		console.log(`Adding language ${name} (${code}) to ${describeStore()}...`);
+
+		const result = await addLanguage(name, code);
+
+		if (result.success) {
+			console.log(`${result.message}.`);
+			console.log(`   Column added: ${result.columnAdded ? 'yes' : 'no (already existed)'}`);
+			if (result.registered) {
+				console.log(`   Language map saved to ${result.projectsFile}`);
+			}
+		} else {
+			console.error(`Add language failed: ${result.error}`);
+			process.exit(1);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Fill untranslated rows of a language with machine translations
+ */
+async function machineTranslateLanguage(language, options) {
+	try {
+		const dryRunLabel = options.dryRun ? ' (dry run)' : '';
+		console.log(`[MT] Translating empty ${language} rows in ${describeStore()}${dryRunLabel}...`);
+
+		const result = await machineTranslate(language, options);
+
+		if (!result.success) {
+			console.error(`Machine translation failed: ${result.error}`);
+			process.exit(1);
+		}
+
+		console.log(`${result.message}.`);
+		if (result.statusColumnAdded) {
+			console.log(`   Column ${options.dryRun ? 'to add' : 'added'}: ${result.statusColumn}`);
+		}
+		if (result.skipped.length > 0) {
+			console.warn(`\nWARNING: ${result.skipped.length} machine translations were not written:`);
+			result.skipped.forEach((s) => {
+				if (s.reason === 'placeholders') {
+					console.warn(`  ${s.id}: placeholders ${describePlaceholderError(s)}`);
+				} else if (s.reason === 'maxwidth') {
+					console.warn(`  ${s.id}: maxwidth ${describeOverflow(s)}`);
+				} else {
+					console.warn(`  ${s.id}: empty translation`);
+				}
+			});
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * List configured projects
+ */
+function showProjects() {
+	const active = getActiveProject().name;
+	console.log('Projects:\n');
+
+	listProjects().forEach((name) => {
+		console.log(`   ${name === active ? '*' : ' '} ${name}`);
+	});
+
+	console.log(`\n   Total: ${listProjects().length} projects (* active)`);
+}
+
 /**
  * Main CLI handler
  */
@@ -138,25 +879,172 @@ async function main() {
 			await importXLF(importFile);
 			break;
 
+		case 'import-translations':
+			const translatedFile = args[1];
+			if (!translatedFile) {
+				console.error('Error: Please specify translated XLF file to import');
+				console.log('Usage: node src/cli.js import-translations <file> [--dry-run]');
+				process.exit(1);
+			}
+			await importTranslationsXLF(translatedFile, args.includes('--dry-run'));
+			break;
+
 		case 'export':
-			const language = args[1];
+			const exportAll = args[1] === '--all';
+			const language = exportAll ? null : args[1];
 			const outputFile = args[2];
 
-			if (!language || !outputFile) {
+			if ((!language && !exportAll) || !outputFile) {
 				console.error('Error: Please specify language and output file');
-				console.log('Usage: node src/cli.js export <language> <output-file> [--mask <file>]');
+				console.log(
+					'Usage: node src/cli.js export <language|--all> <output-file|dir|zip> [--mask <file>] [--xliff-version <1.2|2.0>]',
+				);
+				process.exit(1);
+			}
+			// Mask options: node cli.js export French out.xlf --mask source.xlf --exclude-categories PicklistValue
+			const maskOptions = takeMaskOptions(args);
+			const versionFlagIdx = args.indexOf('--xliff-version');
+			const xliffVersion = versionFlagIdx !== -1 ? args[versionFlagIdx + 1] : '1.2';
+			// STF is chosen with --format stf or a .stf output file
+			const formatOption = takeOption(args, '--format');
+			const exportOptions = {
+				format: formatOption || (outputFile.toLowerCase().endsWith('.stf') ? 'stf' : 'xlf'),
+				version: xliffVersion,
+				includePlaceholderErrors: args.includes('--include-placeholder-errors'),
+				unreviewedPolicy: takeOption(args, '--unreviewed') || undefined,
+				statePolicy: takeOption(args, '--state-policy') || undefined,
+			};
+			const reportFile = takeOption(args, '--report');
+			if (exportAll) {
+				await exportAllXLF(outputFile, maskOptions, exportOptions, reportFile);
+			} else {
+				await exportXLF(language, outputFile, maskOptions, exportOptions, reportFile);
+			}
+			break;
+
+		case 'review':
+			const reviewAction = args[1] && !args[1].startsWith('--') ? args[1] : 'list';
+			if (!['list', 'accept', 'reject'].includes(reviewAction)) {
+				console.error(`Error: Unknown review action '${reviewAction}'`);
+				console.log('Usage: node src/cli.js review [list|accept|reject] [filters] [--dry-run]');
 				process.exit(1);
 			}
-			// Parse optional --mask flag: node cli.js export French out.xlf --mask source.xlf
-			const maskFlagIdx = args.indexOf('--mask');
-			const maskFile = maskFlagIdx !== -1 ? args[maskFlagIdx + 1] : null;
-			await exportXLF(language, outputFile, maskFile);
+			const minSimilarity = takeOption(args, '--min-similarity');
+			const maxSimilarity = takeOption(args, '--max-similarity');
+			const reviewIds = takeOption(args, '--ids');
+			await reviewTranslations(
+				reviewAction,
+				{
+					category: takeOption(args, '--category') || undefined,
+					minSimilarity: minSimilarity !== null ? Number(minSimilarity) : undefined,
+					maxSimilarity: maxSimilarity !== null ? Number(maxSimilarity) : undefined,
+					ids: reviewIds ? reviewIds.split(',').map((id) => id.trim()) : undefined,
+				},
+				args.includes('--dry-run'),
+			);
+			break;
+
+		case 'states':
+			const statesLanguage = args[1];
+			if (!statesLanguage || statesLanguage.startsWith('--')) {
+				console.error('Error: Please specify language');
+				console.log('Usage: node src/cli.js states <language> [--state <state>] [--category <name>]');
+				process.exit(1);
+			}
+			await listReviewStates(statesLanguage, {
+				state: takeOption(args, '--state') || undefined,
+				category: takeOption(args, '--category') || undefined,
+			});
+			break;
+
+		case 'set-state':
+			const stateLanguage = args[1];
+			const newState = args[2];
+			if (!stateLanguage || !newState || newState.startsWith('--')) {
+				console.error('Error: Please specify language and review state');
+				console.log(
+					'Usage: node src/cli.js set-state <language> <draft|reviewed|approved> [--ids <id,...>] [--category <name>] [--from <state>] [--dry-run]',
+				);
+				process.exit(1);
+			}
+			const stateIds = takeOption(args, '--ids');
+			await changeReviewState(
+				stateLanguage,
+				newState,
+				{
+					ids: stateIds ? stateIds.split(',').map((id) => id.trim()) : undefined,
+					category: takeOption(args, '--category') || undefined,
+					from: takeOption(args, '--from') || undefined,
+				},
+				args.includes('--dry-run'),
+			);
+			break;
+
+		case 'coverage':
+			await showCoverage(
+				takeOption(args, '--format') || 'table',
+				takeMaskOptions(args),
+				takeOption(args, '--output'),
+				args.includes('--missing'),
+			);
+			break;
+
+		case 'diff':
+			const diffOld = args[1];
+			const diffNew = args[2];
+			if (!diffOld || !diffNew || diffNew.startsWith('--')) {
+				console.error('Error: Please specify the old and the new XLF file');
+				console.log('Usage: node src/cli.js diff <old> <new> [--format <text|json|markdown>] [--output <file>]');
+				process.exit(1);
+			}
+			await diffFiles(diffOld, diffNew, takeOption(args, '--format') || 'text', takeOption(args, '--output'));
+			break;
+
+		case 'mt-fill':
+			const mtLanguage = args[1];
+			if (!mtLanguage || mtLanguage.startsWith('--')) {
+				console.error('Error: Please specify language to translate');
+				console.log('Usage: node src/cli.js mt-fill <language> [--category <name>] [--provider <name>] [--dry-run]');
+				process.exit(1);
+			}
+			await machineTranslateLanguage(mtLanguage, {
+				category: takeOption(args, '--category'),
+				provider: takeOption(args, '--provider'),
+				dryRun: args.includes('--dry-run'),
+			});
+			break;
+
+		case 'lint-terms':
+			await lintTerminology(
+				args[1] && !args[1].startsWith('--') ? args[1] : null,
+				takeMaskOptions(args),
+				args.includes('--json'),
+			);
 			break;
 
 		case 'languages':
 			await listLanguages();
 			break;
 
+		case 'add-language':
+			const newLanguage = args[1];
+			const newLanguageCode = args[2];
+			if (!newLanguage || !newLanguageCode) {
+				console.error('Error: Please specify language name and Salesforce language code');
+				console.log('Usage: node src/cli.js add-language <Name> <code>');
+				process.exit(1);
+			}
+			await addLanguageColumn(newLanguage, newLanguageCode);
+			break;
+
+		case 'doctor':
+			await runDoctor(args.includes('--fix'), args.includes('--dry-run'), args.includes('--json'));
+			break;
+
+		case 'projects':
+			showProjects();
+			break;
+
 		default:
 			console.error(`Error: Unknown command '${command}'`);
 			showHelp();
@@ -1,4 +1,10 @@
 // Configuration for XLF Translator
+require('dotenv').config();
+const path = require('path');
+const { initProjects, getActiveProject } = require('./projects');
+
+// Built-in project settings. Used when no projects file exists; otherwise each project of the
+// projects file defines its own sheet, tab, languages, source language, exclusion rules and namespace (see below).
 
 const GOOGLE_SHEET_ID = '14KzQfO6fOl2S4gs_dQ415d5ir8gCFNDXzK37v0eGeDE';
 const SHEET_NAME = 'BN_Translation';
@@ -35,12 +41,36 @@ const LANGUAGES = {
 	Hebrew: 'he',
 };
 
-// Required base columns (must exist in sheet)
-const BASE_COLUMNS = ['id', 'category', 'maxwidth', 'size-unit', 'English'];
+// Source language of the project: XLF language code of the source texts and the sheet column that holds them.
+// Imports only accept files with this source-language; exports write it as source-language / srcLang.
+// Also the defaults of projects in the projects file that do not set sourceLanguage / sourceColumn.
+const SOURCE_LANGUAGE = 'en_US';
+const SOURCE_COLUMN = 'English';
+
+// Required base columns (must exist in sheet), followed by the source column of the active project
+const BASE_COLUMNS = ['id', 'category', 'maxwidth', 'size-unit'];
 
 // System columns
 const SYSTEM_COLUMNS = ['active']; // active (true/false) - marks if record is present in current XLF
 
+// Review columns (optional) - when present, a changed source text keeps the old translations for review
+// instead of clearing them:
+//   source-review     - 'needs-review' while the translations were made for previous-source
+//   previous-source   - source text the current translations were made for
+//   source-similarity - similarity between previous and current source (0..1, 1 = identical)
+const REVIEW_COLUMNS = ['source-review', 'previous-source', 'source-similarity'];
+const NEEDS_REVIEW = 'needs-review';
+
+// Unit metadata columns (optional, added by the first import of a file that carries notes or other unit data):
+//   note          - translator notes of the trans-unit, one line per <note>
+//   unit-metadata - JSON with the other trans-unit attributes and <context-group> elements, written back on export
+const NOTE_COLUMN = 'note';
+const UNIT_METADATA_COLUMN = 'unit-metadata';
+const METADATA_COLUMNS = [NOTE_COLUMN, UNIT_METADATA_COLUMN];
+
+// How exports treat rows in review: 'skip' (leave them out) or 'include' (export the old translations)
+const UNREVIEWED_EXPORT_POLICY = 'skip';
+
 // Regex patterns for trans-unit IDs that should be excluded during import.
 // Each entry is tested via RegExp.test(id) — use anchors (^) or literals as needed.
 const ID_EXCLUDE_PATTERNS = [/^PicklistValue\.Standard\./];
@@ -48,12 +78,113 @@ const ID_EXCLUDE_PATTERNS = [/^PicklistValue\.Standard\./];
 // Salesforce namespace prefix used by the managed package.
 const NAMESPACE_PREFIX = 'bn2gp__';
 
+// Machine translation (cli.js mt-fill): provider 'libretranslate', 'deepl' or 'mock' (offline, for tests),
+// endpoint and API key. Machine translations are marked with MT_STATUS in the language's status column.
+const MT_PROVIDER = process.env.MT_PROVIDER || 'libretranslate';
+const MT_API_URL = process.env.MT_API_URL || '';
+const MT_API_KEY = process.env.MT_API_KEY || '';
+
+// Companion columns of a language column, added to the sheet on first use:
+//   '<Language>-status' (e.g. 'French-status') - MT_STATUS while the translation is unedited machine output
+//   '<Language>-state'  (e.g. 'French-state')  - review state of the translation; empty counts as 'draft'
+// A translation can be machine output and reviewed at the same time, so the two are kept apart.
+const STATUS_COLUMN_SUFFIX = '-status';
+const STATE_COLUMN_SUFFIX = '-state';
+const MT_STATUS = 'machine';
+const REVIEW_STATES = ['draft', 'reviewed', 'approved'];
+
+// Which review states exports include: 'all' (every translation), 'reviewed' (reviewed and approved)
+// or 'approved' (approved only). Excluded translations are reported like maxwidth errors.
+const EXPORT_STATE_POLICY = process.env.EXPORT_STATE_POLICY || 'all';
+
+// Glossary (cli.js lint-terms, export checks): tab of the project's sheet, or glossary.csv next to the local
+// store file. GLOSSARY_PATH points to a CSV/JSON glossary file instead. Approved renderings go in the
+// language column, forbidden ones in '<Language>-forbidden'; several renderings are separated by ';'.
+const GLOSSARY_SHEET_NAME = process.env.GLOSSARY_SHEET_NAME || 'Glossary';
+const GLOSSARY_PATH = process.env.GLOSSARY_PATH || '';
+const FORBIDDEN_COLUMN_SUFFIX = '-forbidden';
+
+// Seconds a loaded glossary is reused by exports and lint-terms (0 = read it for every operation)
+const GLOSSARY_CACHE_TTL =
+	process.env.GLOSSARY_CACHE_TTL !== undefined ? Number(process.env.GLOSSARY_CACHE_TTL) || 0 : 60;
+
+// Translation store backend: 'google-sheets' (default) or 'local' (CSV/JSON file, no Google credentials needed).
+// Both can be overridden per run via TRANSLATION_STORE / LOCAL_STORE_PATH or the CLI --store / --store-file flags.
+const STORE_BACKEND = process.env.TRANSLATION_STORE || 'google-sheets';
+
+// Path of the local store file. The format is picked from the extension: .json or .csv
+// A project can set its own file (localStorePath) so projects do not share one local store;
+// LOCAL_STORE_PATH overrides it for every project of a run, like the CLI --store-file flag.
+const LOCAL_STORE_PATH_OVERRIDE = process.env.LOCAL_STORE_PATH || '';
+const LOCAL_STORE_PATH = 'translations.csv';
+
+// Google Sheets read cache: seconds a read tab stays cached in the process (0 = off). Writes made through
+// this app clear it; edits made directly in the sheet show up once the entry expires.
+const SHEETS_CACHE_TTL = Number(process.env.SHEETS_CACHE_TTL) || 0;
+
+// Seconds the header row alone stays cached (language list of every page load), at least SHEETS_CACHE_TTL.
+// On by default: headers only change when a column is added, and columns added by this app clear the cache.
+const SHEETS_HEADERS_TTL =
+	process.env.SHEETS_HEADERS_TTL !== undefined ? Number(process.env.SHEETS_HEADERS_TTL) || 0 : 60;
+
+// Logs every Google Sheets API request and cache hit/miss to stderr ('[Sheets]' lines) when 'true'.
+// The counts are kept either way (GET /api/health).
+const SHEETS_LOG = process.env.SHEETS_LOG === 'true';
+
+// Projects file (JSON, validated against projects.schema.json on startup) with several named projects.
+// Without it the built-in settings above form the only project, 'default'.
+const PROJECTS_CONFIG_PATH = process.env.PROJECTS_CONFIG || path.join(__dirname, '../projects.json');
+
+initProjects(PROJECTS_CONFIG_PATH, {
+	sheetId: GOOGLE_SHEET_ID,
+	sheetName: SHEET_NAME,
+	languages: LANGUAGES,
+	sourceLanguage: SOURCE_LANGUAGE,
+	sourceColumn: SOURCE_COLUMN,
+	idExcludePatterns: ID_EXCLUDE_PATTERNS,
+	namespacePrefix: NAMESPACE_PREFIX,
+});
+
 module.exports = {
-	GOOGLE_SHEET_ID,
-	SHEET_NAME,
-	LANGUAGES,
-	BASE_COLUMNS,
 	SYSTEM_COLUMNS,
-	ID_EXCLUDE_PATTERNS,
-	NAMESPACE_PREFIX,
+	REVIEW_COLUMNS,
+	NOTE_COLUMN,
+	UNIT_METADATA_COLUMN,
+	METADATA_COLUMNS,
+	NEEDS_REVIEW,
+	UNREVIEWED_EXPORT_POLICY,
+	MT_PROVIDER,
+	MT_API_URL,
+	MT_API_KEY,
+	STATUS_COLUMN_SUFFIX,
+	STATE_COLUMN_SUFFIX,
+	MT_STATUS,
+	REVIEW_STATES,
+	EXPORT_STATE_POLICY,
+	GLOSSARY_SHEET_NAME,
+	GLOSSARY_PATH,
+	FORBIDDEN_COLUMN_SUFFIX,
+	GLOSSARY_CACHE_TTL,
+	STORE_BACKEND,
+	SHEETS_CACHE_TTL,
+	SHEETS_HEADERS_TTL,
+	SHEETS_LOG,
+	PROJECTS_CONFIG_PATH,
 };
+
+// Project settings resolve to the active project on every access (CLI --project, project of an API request),
+// so read them as config.LANGUAGES etc. at call time instead of destructuring them on require.
+Object.defineProperties(module.exports, {
+	GOOGLE_SHEET_ID: { enumerable: true, get: () => getActiveProject().sheetId },
+	SHEET_NAME: { enumerable: true, get: () => getActiveProject().sheetName },
+	LANGUAGES: { enumerable: true, get: () => getActiveProject().languages },
+	SOURCE_LANGUAGE: { enumerable: true, get: () => getActiveProject().sourceLanguage },
+	SOURCE_COLUMN: { enumerable: true, get: () => getActiveProject().sourceColumn },
+	BASE_COLUMNS: { enumerable: true, get: () => [...BASE_COLUMNS, getActiveProject().sourceColumn] },
+	ID_EXCLUDE_PATTERNS: { enumerable: true, get: () => getActiveProject().idExcludePatterns },
+	NAMESPACE_PREFIX: { enumerable: true, get: () => getActiveProject().namespacePrefix },
+	LOCAL_STORE_PATH: {
+		enumerable: true,
+		get: () => LOCAL_STORE_PATH_OVERRIDE || getActiveProject().localStorePath || LOCAL_STORE_PATH,
+	},
+});
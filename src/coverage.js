@@ -0,0 +1,144 @@
+const { filterActiveRows } = require('./xlf-exporter');
+const { applyExportMask } = require('./mask');
+const { rowCategory } = require('./category');
+
+// Supported report formats
+const COVERAGE_FORMATS = ['table', 'json', 'csv'];
+
+// Share of translated rows in percent, one decimal (100 when there is nothing to translate)
+function percent(translated, total) {
+	return total === 0 ? 100 : Math.round((translated / total) * 1000) / 10;
+}
+
+/**
+ * Computes translation coverage of active rows per language and category
+ * @param {Array} sheetData - Data from Google Sheets
+ * @param {Array<string>} languages - Language display names (columns) to measure
+ * @param {Object|null} mask - Optional export mask (only rows passing the mask are counted)
+ * @returns {Object} - { totalRows, languages: [{ language, total, translated, missing, percent, missingIds,
+ *   categories: [{ category, total, translated, missing, percent, missingIds }] }] }
+ */
+function computeCoverage(sheetData, languages, mask = null) {
+	const rows = applyExportMask(
+		filterActiveRows(sheetData).filter((row) => row.id),
+		mask,
+	);
+
+	const coverage = languages.map((language) => {
+		const categories = new Map();
+		const missingIds = [];
+
+		rows.forEach((row) => {
+			const category = rowCategory(row);
+			if (!categories.has(category)) {
+				categories.set(category, { category, total: 0, translated: 0, missingIds: [] });
+			}
+			const entry = categories.get(category);
+			entry.total++;
+
+			if (row[language] && String(row[language]).trim() !== '') {
+				entry.translated++;
+			} else {
+				entry.missingIds.push(row.id);
+				missingIds.push(row.id);
+			}
+		});
+
+		return {
+			language,
+			total: rows.length,
+			translated: rows.length - missingIds.length,
+			missing: missingIds.length,
+			percent: percent(rows.length - missingIds.length, rows.length),
+			missingIds,
+			categories: Array.from(categories.values())
+				.sort((a, b) => a.category.localeCompare(b.category))
+				.map((entry) => ({
+					category: entry.category,
+					total: entry.total,
+					translated: entry.translated,
+					missing: entry.missingIds.length,
+					percent: percent(entry.translated, entry.total),
+					missingIds: entry.missingIds,
+				})),
+		};
+	});
+
+	return { totalRows: rows.length, languages: coverage };
+}
+
+// Escapes a value for a CSV cell
+function csvCell(value) {
+	const text = value === undefined || value === null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a coverage report as CSV
+ * One line per language and category; the language total has an empty category column.
+ * Missing IDs are separated by spaces.
+ * @param {Object} coverage - Result of computeCoverage
+ * @returns {string} - CSV text
+ */
+function formatCoverageCSV(coverage) {
+	const lines = [['language', 'category', 'total', 'translated', 'missing', 'percent', 'missing-ids'].join(',')];
+	coverage.languages.forEach((lang) => {
+		[{ ...lang, category: '' }, ...lang.categories].forEach((entry) => {
+			lines.push(
+				[
+					lang.language,
+					entry.category,
+					entry.total,
+					entry.translated,
+					entry.missing,
+					entry.percent,
+					entry.missingIds.join(' '),
+				]
+					.map(csvCell)
+					.join(','),
+			);
+		});
+	});
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a coverage report as a plain-text table
+ * @param {Object} coverage - Result of computeCoverage
+ * @param {boolean} showMissing - List the missing IDs under each language
+ * @returns {string} - Table text
+ */
+function formatCoverageTable(coverage, showMissing = false) {
+	const header = ['Language / Category', 'Translated', 'Total', 'Coverage'];
+	const tableRows = [];
+	coverage.languages.forEach((lang) => {
+		tableRows.push([lang.language, lang.translated, lang.total, `${lang.percent}%`]);
+		lang.categories.forEach((entry) => {
+			tableRows.push([`  ${entry.category || '(none)'}`, entry.translated, entry.total, `${entry.percent}%`]);
+		});
+	});
+
+	const widths = header.map((title, i) => Math.max(title.length, ...tableRows.map((r) => String(r[i]).length)));
+	// First column left-aligned, numbers right-aligned
+	const formatRow = (r) =>
+		r.map((cell, i) => (i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i]))).join('  ');
+
+	const lines = [formatRow(header), widths.map((w) => '-'.repeat(w)).join('  '), ...tableRows.map(formatRow)];
+
+	if (showMissing) {
+		coverage.languages.forEach((lang) => {
+			if (lang.missingIds.length === 0) return;
+			lines.push('', `Missing in ${lang.language} (${lang.missing}):`);
+			lang.missingIds.forEach((id) => lines.push(`  ${id}`));
+		});
+	}
+
+	return lines.join('\n') + '\n';
+}
+
+module.exports = {
+	COVERAGE_FORMATS,
+	computeCoverage,
+	formatCoverageCSV,
+	formatCoverageTable,
+};
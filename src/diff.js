@@ -0,0 +1,206 @@
+const { sourceSimilarity } = require('./similarity');
+const { extractCategory } = require('./category');
+
+// Supported report formats
+const DIFF_FORMATS = ['text', 'json', 'markdown'];
+
+// Change lists of a category, in report order
+const CHANGE_TYPES = ['added', 'removed', 'sourceChanged', 'maxwidthChanged', 'sizeUnitChanged'];
+
+// Indexes segments by ID, the first segment wins when a file repeats an ID
+function indexSegments(segments) {
+	const byId = new Map();
+	segments.forEach((segment) => {
+		if (segment.id && !byId.has(segment.id)) byId.set(segment.id, segment);
+	});
+	return byId;
+}
+
+// Normalizes maxwidth/size-unit values; null means the format has no such attribute (STF)
+function attributeValue(value) {
+	return value === null || value === undefined ? null : String(value);
+}
+
+/**
+ * Compares the segments of two translation files
+ * Source texts, maxwidth and size-unit are compared per ID; maxwidth and size-unit are only compared
+ * when both files carry them (STF files have neither).
+ * @param {Array<Object>} oldSegments - Segments of the old file (from parseXLF)
+ * @param {Array<Object>} newSegments - Segments of the new file
+ * @returns {Object} - { summary: { added, removed, sourceChanged, maxwidthChanged, sizeUnitChanged, unchanged },
+ *   categories: [{ category, added: [{ id, source }], removed: [{ id, source }],
+ *   sourceChanged: [{ id, oldSource, newSource, similarity }], maxwidthChanged: [{ id, old, new }],
+ *   sizeUnitChanged: [{ id, old, new }] }] }
+ */
+function diffSegments(oldSegments, newSegments) {
+	const oldById = indexSegments(oldSegments);
+	const newById = indexSegments(newSegments);
+	const categories = new Map();
+	let unchanged = 0;
+
+	const categoryEntry = (id) => {
+		const category = extractCategory(id);
+		if (!categories.has(category)) {
+			categories.set(category, { category, ...Object.fromEntries(CHANGE_TYPES.map((type) => [type, []])) });
+		}
+		return categories.get(category);
+	};
+
+	newById.forEach((segment, id) => {
+		const previous = oldById.get(id);
+		if (!previous) {
+			categoryEntry(id).added.push({ id, source: segment.source });
+			return;
+		}
+
+		let changed = false;
+		if (previous.source !== segment.source) {
+			categoryEntry(id).sourceChanged.push({
+				id,
+				oldSource: previous.source,
+				newSource: segment.source,
+				similarity: sourceSimilarity(previous.source, segment.source),
+			});
+			changed = true;
+		}
+
+		[
+			['maxwidth', 'maxwidthChanged'],
+			['sizeUnit', 'sizeUnitChanged'],
+		].forEach(([field, type]) => {
+			const oldValue = attributeValue(previous[field]);
+			const newValue = attributeValue(segment[field]);
+			if (oldValue === null || newValue === null || oldValue === newValue) return;
+			categoryEntry(id)[type].push({ id, old: oldValue, new: newValue });
+			changed = true;
+		});
+
+		if (!changed) unchanged++;
+	});
+
+	oldById.forEach((segment, id) => {
+		if (!newById.has(id)) categoryEntry(id).removed.push({ id, source: segment.source });
+	});
+
+	const sorted = Array.from(categories.values()).sort((a, b) => a.category.localeCompare(b.category));
+	sorted.forEach((entry) => CHANGE_TYPES.forEach((type) => entry[type].sort((a, b) => a.id.localeCompare(b.id))));
+
+	const summary = Object.fromEntries(
+		CHANGE_TYPES.map((type) => [type, sorted.reduce((sum, entry) => sum + entry[type].length, 0)]),
+	);
+
+	return { summary: { ...summary, unchanged }, categories: sorted };
+}
+
+// Describes an empty attribute value ("" when the unit has no maxwidth/size-unit)
+function showAttribute(value) {
+	return value === '' ? '(none)' : value;
+}
+
+// One-line summary of the change counts
+function describeSummary(summary) {
+	return (
+		`${summary.added} added, ${summary.removed} removed, ${summary.sourceChanged} source changed, ` +
+		`${summary.maxwidthChanged} maxwidth changed, ${summary.sizeUnitChanged} size-unit changed`
+	);
+}
+
+/**
+ * Formats a diff as plain text, grouped by category
+ * Lines start with + (added), - (removed), ~ (source changed) or the changed attribute.
+ * @param {Object} diff - Result of diffSegments
+ * @returns {string} - Report text
+ */
+function formatDiffText(diff) {
+	const lines = [`Changes: ${describeSummary(diff.summary)} (${diff.summary.unchanged} unchanged)`];
+
+	diff.categories.forEach((entry) => {
+		lines.push('', entry.category || '(none)');
+		entry.added.forEach((unit) => lines.push(`  + ${unit.id}: ${JSON.stringify(unit.source)}`));
+		entry.removed.forEach((unit) => lines.push(`  - ${unit.id}: ${JSON.stringify(unit.source)}`));
+		entry.sourceChanged.forEach((unit) =>
+			lines.push(
+				`  ~ ${unit.id}: ${JSON.stringify(unit.oldSource)} -> ${JSON.stringify(unit.newSource)} ` +
+					`(similarity ${unit.similarity})`,
+			),
+		);
+		entry.maxwidthChanged.forEach((unit) =>
+			lines.push(`  maxwidth ${unit.id}: ${showAttribute(unit.old)} -> ${showAttribute(unit.new)}`),
+		);
+		entry.sizeUnitChanged.forEach((unit) =>
+			lines.push(`  size-unit ${unit.id}: ${showAttribute(unit.old)} -> ${showAttribute(unit.new)}`),
+		);
+	});
+
+	return lines.join('\n') + '\n';
+}
+
+// Escapes text for a Markdown table cell or list item
+function markdownText(value) {
+	const text = String(value).replace(/\r?\n/g, ' ').replace(/([\\`*_|<>[\]])/g, '\\$1');
+	return text === '' ? '*(empty)*' : text;
+}
+
+/**
+ * Formats a diff as Markdown for release notes and pull request descriptions
+ * @param {Object} diff - Result of diffSegments
+ * @returns {string} - Markdown text
+ */
+function formatDiffMarkdown(diff) {
+	const { summary } = diff;
+	const lines = [
+		'## Translation unit changes',
+		'',
+		'| Change | Count |',
+		'| --- | ---: |',
+		`| Added | ${summary.added} |`,
+		`| Removed | ${summary.removed} |`,
+		`| Source changed | ${summary.sourceChanged} |`,
+		`| maxwidth changed | ${summary.maxwidthChanged} |`,
+		`| size-unit changed | ${summary.sizeUnitChanged} |`,
+	];
+
+	diff.categories.forEach((entry) => {
+		lines.push('', `### ${markdownText(entry.category || '(none)')}`);
+
+		[
+			['Added', entry.added],
+			['Removed', entry.removed],
+		].forEach(([title, units]) => {
+			if (units.length === 0) return;
+			lines.push('', `**${title} (${units.length})**`, '');
+			units.forEach((unit) => lines.push(`- \`${unit.id}\`: ${markdownText(unit.source)}`));
+		});
+
+		if (entry.sourceChanged.length > 0) {
+			lines.push('', `**Source changed (${entry.sourceChanged.length})**`, '');
+			lines.push('| ID | Old source | New source | Similarity |', '| --- | --- | --- | ---: |');
+			entry.sourceChanged.forEach((unit) =>
+				lines.push(
+					`| \`${unit.id}\` | ${markdownText(unit.oldSource)} | ${markdownText(unit.newSource)} | ` +
+						`${unit.similarity} |`,
+				),
+			);
+		}
+
+		[
+			['maxwidth changed', entry.maxwidthChanged],
+			['size-unit changed', entry.sizeUnitChanged],
+		].forEach(([title, units]) => {
+			if (units.length === 0) return;
+			lines.push('', `**${title} (${units.length})**`, '');
+			units.forEach((unit) =>
+				lines.push(`- \`${unit.id}\`: ${showAttribute(unit.old)} → ${showAttribute(unit.new)}`),
+			);
+		});
+	});
+
+	return lines.join('\n') + '\n';
+}
+
+module.exports = {
+	DIFF_FORMATS,
+	diffSegments,
+	formatDiffText,
+	formatDiffMarkdown,
+};
@@ -0,0 +1,227 @@
+const config = require('./config');
+const { isActiveValue } = require('./xlf-exporter');
+const { SYSTEM_COLUMNS, REVIEW_COLUMNS, METADATA_COLUMNS } = config;
+
+/**
+ * Sheet schema checks and repairs
+ * Problems are plain objects: { type, severity ('error' | 'warning'), message, fixable, ...details }
+ *   missing-column          - a BASE_COLUMNS / SYSTEM_COLUMNS column is missing (fix: column appended)
+ *   partial-review-columns  - only some REVIEW_COLUMNS exist, so review tracking is off
+ *   unknown-column          - header that is neither a system column, a language in LANGUAGES nor its status/state column
+ *   missing-language-column - LANGUAGES entry without sheet column
+ *   blank-id                - row without id followed by data rows (fix: empty rows removed)
+ *   duplicate-id            - id on several rows (fix: rows merged, differing translations reported)
+ *   invalid-active          - active is not TRUE/FALSE (fix: normalized)
+ */
+
+// Status and review state columns of a language ('French-status', 'French-state')
+function isCompanionColumn(column, languages) {
+	return [config.STATUS_COLUMN_SUFFIX, config.STATE_COLUMN_SUFFIX].some(
+		(suffix) => column.endsWith(suffix) && languages[column.slice(0, -suffix.length)],
+	);
+}
+
+// True when every cell of the row is empty
+function isEmptyRow(row) {
+	return Object.values(row).every((value) => value === undefined || value === null || String(value).trim() === '');
+}
+
+/**
+ * Groups sheet rows by id, keeping only IDs that appear more than once
+ * @param {Array} sheetData - Sheet rows
+ * @returns {Map<string, Array<number>>} - id → sheet row numbers (header is row 1)
+ */
+function findDuplicateIds(sheetData) {
+	const rowsById = new Map();
+	sheetData.forEach((row, i) => {
+		if (!row.id || row.id.trim() === '') return;
+		if (!rowsById.has(row.id)) rowsById.set(row.id, []);
+		rowsById.get(row.id).push(i + 2);
+	});
+
+	return new Map(Array.from(rowsById).filter(([, rows]) => rows.length > 1));
+}
+
+/**
+ * Checks sheet headers and rows for schema problems
+ * @param {Array<string>} sheetHeaders - Column headers
+ * @param {Array} sheetData - Sheet rows
+ * @returns {Array<Object>} - Problems (empty when the sheet is healthy)
+ */
+function diagnoseSheet(sheetHeaders, sheetData) {
+	const problems = [];
+	const languages = config.LANGUAGES;
+
+	[...config.BASE_COLUMNS, ...SYSTEM_COLUMNS]
+		.filter((col) => !sheetHeaders.includes(col))
+		.forEach((column) => {
+			problems.push({
+				type: 'missing-column',
+				severity: 'error',
+				column,
+				fixable: true,
+				message: `Required column "${column}" is missing`,
+			});
+		});
+
+	const reviewColumns = REVIEW_COLUMNS.filter((col) => sheetHeaders.includes(col));
+	if (reviewColumns.length > 0 && reviewColumns.length < REVIEW_COLUMNS.length) {
+		problems.push({
+			type: 'partial-review-columns',
+			severity: 'warning',
+			columns: REVIEW_COLUMNS.filter((col) => !sheetHeaders.includes(col)),
+			fixable: false,
+			message: `Review columns incomplete, source changes clear translations. Missing: ${REVIEW_COLUMNS.filter((col) => !sheetHeaders.includes(col)).join(', ')}`,
+		});
+	}
+
+	const knownColumns = [...config.BASE_COLUMNS, ...SYSTEM_COLUMNS, ...REVIEW_COLUMNS, ...METADATA_COLUMNS];
+	sheetHeaders
+		.filter((col) => !knownColumns.includes(col) && !languages[col])
+		.filter((col) => !isCompanionColumn(col, languages))
+		.forEach((column) => {
+			problems.push({
+				type: 'unknown-column',
+				severity: 'warning',
+				column,
+				fixable: false,
+				message: `Column "${column}" is not a known column or a language in LANGUAGES (never exported)`,
+			});
+		});
+
+	Object.keys(languages)
+		.filter((lang) => lang !== config.SOURCE_COLUMN && !sheetHeaders.includes(lang))
+		.forEach((column) => {
+			problems.push({
+				type: 'missing-language-column',
+				severity: 'warning',
+				column,
+				fixable: false,
+				message: `Language "${column}" (${languages[column]}) has no sheet column. Run add-language to add it`,
+			});
+		});
+
+	// Rows without id are fine at the end of the data, not between data rows
+	let lastIdIndex = -1;
+	sheetData.forEach((row, i) => {
+		if (row.id && row.id.trim() !== '') lastIdIndex = i;
+	});
+	sheetData.slice(0, lastIdIndex).forEach((row, i) => {
+		if (row.id && row.id.trim() !== '') return;
+		const empty = isEmptyRow(row);
+		problems.push({
+			type: 'blank-id',
+			severity: empty ? 'warning' : 'error',
+			row: i + 2,
+			fixable: empty,
+			message: empty
+				? `Row ${i + 2} is empty`
+				: `Row ${i + 2} has data but no id (${row[config.SOURCE_COLUMN] || 'no source text'})`,
+		});
+	});
+
+	findDuplicateIds(sheetData).forEach((rows, id) => {
+		problems.push({
+			type: 'duplicate-id',
+			severity: 'error',
+			id,
+			rows,
+			fixable: true,
+			message: `ID ${id} is on rows ${rows.join(', ')}`,
+		});
+	});
+
+	if (sheetHeaders.includes('active')) {
+		sheetData.forEach((row, i) => {
+			if (!row.id || typeof row.active === 'boolean' || row.active === 'TRUE' || row.active === 'FALSE') return;
+			problems.push({
+				type: 'invalid-active',
+				severity: 'warning',
+				id: row.id,
+				row: i + 2,
+				value: row.active,
+				fixable: true,
+				message: `Row ${i + 2} (${row.id}): active is "${row.active}", expected TRUE or FALSE`,
+			});
+		});
+	}
+
+	return problems;
+}
+
+/**
+ * Repairs sheet rows: merges duplicate IDs, removes empty rows between data rows and normalizes active
+ * Duplicates are merged into the first row: empty cells are filled from later rows, differing
+ * translations keep the first row's value and are reported as conflicts. The merged row is active
+ * when any of the duplicates is.
+ *
+ * @param {Array<string>} sheetHeaders - Column headers
+ * @param {Array} sheetData - Sheet rows
+ * @returns {Object} - { rows, merged: [{ id, rows }], conflicts: [{ id, column, values }], removedRows, activeNormalized }
+ */
+function repairSheetData(sheetHeaders, sheetData) {
+	const languageColumns = sheetHeaders.filter((col) => config.LANGUAGES[col] && col !== config.SOURCE_COLUMN);
+	const duplicates = findDuplicateIds(sheetData);
+	const firstById = new Map();
+	const merged = [];
+	const conflicts = [];
+	const removedRows = [];
+	let activeNormalized = 0;
+
+	const rows = [];
+	sheetData.forEach((row, i) => {
+		if (!row.id || row.id.trim() === '') {
+			if (isEmptyRow(row)) {
+				removedRows.push(i + 2);
+			} else {
+				rows.push({ ...row });
+			}
+			return;
+		}
+
+		const first = firstById.get(row.id);
+		if (!first) {
+			const copy = { ...row };
+			firstById.set(row.id, copy);
+			rows.push(copy);
+			return;
+		}
+
+		// Later duplicate: merge into the first row
+		sheetHeaders.forEach((col) => {
+			const value = row[col] || '';
+			if (col === 'active' || value.trim() === '') return;
+			if (!first[col] || first[col].trim() === '') {
+				first[col] = value;
+			} else if (first[col] !== value && languageColumns.includes(col)) {
+				let conflict = conflicts.find((c) => c.id === row.id && c.column === col);
+				if (!conflict) {
+					conflict = { id: row.id, column: col, values: [first[col]] };
+					conflicts.push(conflict);
+				}
+				if (!conflict.values.includes(value)) conflict.values.push(value);
+			}
+		});
+		first.active = isActiveValue(first.active) || isActiveValue(row.active);
+		removedRows.push(i + 2);
+	});
+
+	duplicates.forEach((rowNumbers, id) => merged.push({ id, rows: rowNumbers }));
+
+	if (sheetHeaders.includes('active')) {
+		rows.forEach((row) => {
+			if (!row.id || row.active === true || row.active === false) return;
+			const active = isActiveValue(row.active);
+			if (row.active !== (active ? 'TRUE' : 'FALSE')) activeNormalized++;
+			row.active = active;
+		});
+	}
+
+	return { rows, merged, conflicts, removedRows, activeNormalized };
+}
+
+module.exports = {
+	findDuplicateIds,
+	diagnoseSheet,
+	repairSheetData,
+};
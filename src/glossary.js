@@ -0,0 +1,215 @@
+const fs = require('fs');
+const config = require('./config');
+const { FORBIDDEN_COLUMN_SUFFIX } = config;
+const { readTab, describeStore } = require('./store');
+
+/**
+ * Glossary and terminology checks
+ * The glossary uses the column names of the translation sheet: one row per English term,
+ * approved renderings in the language column and forbidden ones in '<Language>-forbidden':
+ *
+ *   English     | French          | French-forbidden | German
+ *   Reservation | Réservation     | Booking; Résa    | Reservierung; Buchung
+ *   Room Type   | Type de chambre |                  | Zimmertyp
+ *
+ * A term matches the source as a whole word, case-insensitively, including its English plural
+ * (Reservations). When terms overlap, the longest one wins (Room Type, not Room).
+ * Renderings match at the start of a word, case-insensitively, so inflected forms ("Réservations",
+ * "Bookings") count. A translation passes when it contains one of the approved renderings and no
+ * forbidden one.
+ */
+
+// Separates several renderings in one glossary cell
+const TERM_SEPARATOR = ';';
+
+function splitTerms(value) {
+	return String(value || '')
+		.split(TERM_SEPARATOR)
+		.map((term) => term.trim())
+		.filter(Boolean);
+}
+
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive pattern of an English source term, also matching its plural
+function termPattern(term) {
+	return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?:e?s)?(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// Case-insensitive pattern of a rendering at the start of a word, so inflected forms match too
+const renderingPatterns = new Map();
+function renderingPattern(term) {
+	if (!renderingPatterns.has(term)) {
+		renderingPatterns.set(term, new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}`, 'iu'));
+	}
+	return renderingPatterns.get(term);
+}
+
+// The one matcher of approved and forbidden renderings
+function containsRendering(translation, term) {
+	return renderingPattern(term).test(translation);
+}
+
+/**
+ * Builds glossary entries from glossary rows
+ * @param {Array} rows - Glossary rows (objects keyed by column name)
+ * @returns {Array<Object>} - Entries { term, approved: { language: [...] }, forbidden: { language: [...] } },
+ *   longest term first
+ */
+function parseGlossary(rows) {
+	const languages = Object.keys(config.LANGUAGES).filter((lang) => lang !== config.SOURCE_COLUMN);
+
+	return rows
+		.filter((row) => row[config.SOURCE_COLUMN] && row[config.SOURCE_COLUMN].trim() !== '')
+		.map((row) => {
+			const entry = { term: row[config.SOURCE_COLUMN].trim(), approved: {}, forbidden: {} };
+			languages.forEach((lang) => {
+				const approved = splitTerms(row[lang]);
+				const forbidden = splitTerms(row[`${lang}${FORBIDDEN_COLUMN_SUFFIX}`]);
+				if (approved.length > 0) entry.approved[lang] = approved;
+				if (forbidden.length > 0) entry.forbidden[lang] = forbidden;
+			});
+			return entry;
+		})
+		.sort((a, b) => b.term.length - a.term.length);
+}
+
+// Loaded glossaries by source -> { promise, expires }, kept for GLOSSARY_CACHE_TTL seconds
+const glossaryCache = new Map();
+
+// Identifies the glossary of the active project: its file (with modification time) or store tab,
+// and the columns it is parsed with
+function glossaryCacheKey() {
+	const source = config.GLOSSARY_PATH
+		? `file:${config.GLOSSARY_PATH}:${fs.statSync(config.GLOSSARY_PATH).mtimeMs}`
+		: `tab:${describeStore()}:${config.GOOGLE_SHEET_ID}:${config.GLOSSARY_SHEET_NAME}`;
+	return JSON.stringify([source, config.SOURCE_COLUMN, Object.keys(config.LANGUAGES)]);
+}
+
+async function readGlossary() {
+	if (config.GLOSSARY_PATH) {
+		const { createLocalStore } = require('./local-store');
+		return parseGlossary(await createLocalStore(config.GLOSSARY_PATH).readSheet());
+	}
+	return parseGlossary(await readTab(config.GLOSSARY_SHEET_NAME));
+}
+
+/**
+ * Loads the glossary of the active project
+ * Read from GLOSSARY_PATH when set, otherwise from the GLOSSARY_SHEET_NAME tab of the store
+ * (a tab of the Google Sheet, or glossary.csv next to the local store file). The parsed glossary is
+ * reused for GLOSSARY_CACHE_TTL seconds; a changed GLOSSARY_PATH file is read again right away.
+ * @returns {Promise<Array<Object>>} - Glossary entries (empty when there is no glossary; do not modify)
+ */
+async function loadGlossary() {
+	if (config.GLOSSARY_PATH && !fs.existsSync(config.GLOSSARY_PATH)) {
+		throw new Error(`Glossary file not found: ${config.GLOSSARY_PATH}`);
+	}
+
+	const key = glossaryCacheKey();
+	const cached = glossaryCache.get(key);
+	if (cached && (cached.expires === null || cached.expires > Date.now())) {
+		return cached.promise;
+	}
+
+	const entry = { promise: readGlossary(), expires: null }; // null while it is loading
+	glossaryCache.set(key, entry);
+	try {
+		await entry.promise;
+		entry.expires = Date.now() + config.GLOSSARY_CACHE_TTL * 1000;
+	} catch (error) {
+		glossaryCache.delete(key);
+		throw error;
+	}
+	return entry.promise;
+}
+
+/**
+ * Finds the glossary terms used in a source text
+ * @param {Array<Object>} glossary - Glossary entries (longest first, see parseGlossary)
+ * @param {string} source - Source text
+ * @returns {Array<Object>} - Matching entries; terms inside a longer matching term are left out
+ */
+function findTerms(glossary, source) {
+	const covered = [];
+	const found = [];
+
+	glossary.forEach((entry) => {
+		const spans = Array.from(source.matchAll(termPattern(entry.term)), (m) => [m.index, m.index + m[0].length]);
+		const free = spans.filter(([start, end]) => !covered.some(([s, e]) => start >= s && end <= e));
+		if (free.length === 0) return;
+		covered.push(...free);
+		found.push(entry);
+	});
+
+	return found;
+}
+
+/**
+ * Checks a translation against the glossary terms of its source
+ * @param {Array<Object>} glossary - Glossary entries
+ * @param {string} source - Source text
+ * @param {string} translation - Translated text
+ * @param {string} language - Language display name (e.g. 'French')
+ * @returns {Array<Object>} - Issues { term, type: 'missing' | 'forbidden', expected, found }
+ */
+function checkTerms(glossary, source, translation, language) {
+	const issues = [];
+
+	findTerms(glossary, source || '').forEach((entry) => {
+		const approved = entry.approved[language] || [];
+		const forbidden = (entry.forbidden[language] || []).filter((term) => containsRendering(translation, term));
+
+		if (forbidden.length > 0) {
+			issues.push({ term: entry.term, type: 'forbidden', expected: approved, found: forbidden });
+		} else if (approved.length > 0 && !approved.some((term) => containsRendering(translation, term))) {
+			issues.push({ term: entry.term, type: 'missing', expected: approved, found: [] });
+		}
+	});
+
+	return issues;
+}
+
+/**
+ * Checks the translations of sheet rows against the glossary
+ * @param {Array} rows - Sheet rows (rows without translation are ignored)
+ * @param {string} language - Language display name
+ * @param {Array<Object>} glossary - Glossary entries
+ * @returns {Array<Object>} - Term errors { id, value, source, term, type, expected, found }
+ */
+function lintTerms(rows, language, glossary) {
+	if (!glossary || glossary.length === 0) return [];
+
+	const termErrors = [];
+	rows.forEach((row) => {
+		if (!row[language] || row[language].trim() === '') return;
+		checkTerms(glossary, row[config.SOURCE_COLUMN], row[language], language).forEach((issue) => {
+			termErrors.push({ id: row.id, value: row[language], source: row[config.SOURCE_COLUMN] || '', ...issue });
+		});
+	});
+	return termErrors;
+}
+
+/**
+ * Describes a term error for log output
+ * @param {Object} error - Term error from lintTerms
+ * @returns {string} - e.g. 'forbidden "Booking" for "Reservation" (use "Réservation")'
+ */
+function describeTermError(error) {
+	const expected = error.expected.map((term) => `"${term}"`).join(' or ');
+	if (error.type === 'forbidden') {
+		const found = error.found.map((term) => `"${term}"`).join(', ');
+		return `forbidden ${found} for "${error.term}"${expected ? ` (use ${expected})` : ''}`;
+	}
+	return `"${error.term}" not translated as ${expected}`;
+}
+
+module.exports = {
+	parseGlossary,
+	loadGlossary,
+	checkTerms,
+	lintTerms,
+	describeTermError,
+};
@@ -2,7 +2,7 @@ const { google } = require('googleapis');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
-const { GOOGLE_SHEET_ID, SHEET_NAME } = require('./config');
+const config = require('./config');
 
 /**
  * Initializes Google Sheets API client
@@ -47,19 +47,173 @@ function getGoogleSheetsClient() {
 }
 
 /**
- * Gets sheet headers (column names)
- * @returns {Promise<Array>} - Array of column names
+ * Converts a 0-based column index to a sheet column letter (0 -> A, 25 -> Z, 26 -> AA, 33 -> AH)
+ * @param {number} index - Column index
+ * @returns {string} - Column letter(s)
+ */
+function columnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+/**
+ * Read cache and API call log
+ * Reads of the same range share one API request while it is in flight, and with SHEETS_CACHE_TTL set
+ * its result is reused until it expires. Writes clear the cached ranges of their spreadsheet.
+ * Reads that feed a write (read-modify-write by row number) pass fresh: true and always go to the API,
+ * so a cached copy never overwrites edits made in the sheet or lands on rows that moved.
+ * API requests, cache hits and misses are counted (getApiStats) so usage can be checked against quotas,
+ * and logged to stderr ([Sheets] lines) with SHEETS_LOG=true.
+ */
+const cache = new Map(); // "<spreadsheetId>!<range>" (or "!#tabs" for the tab list) -> { promise, expires }
+const stats = { apiCalls: 0, cacheHits: 0, cacheMisses: 0 };
+
+function logSheets(message) {
+    if (config.SHEETS_LOG) {
+        console.warn(`[Sheets] ${message}`);
+    }
+}
+
+// Sends one API request, counting it
+function callApi(description, request) {
+    stats.apiCalls++;
+    logSheets(`API call #${stats.apiCalls}: ${description}`);
+    return request();
+}
+
+/**
+ * Returns the API usage of this process
+ * @returns {Object} - { apiCalls, cacheHits, cacheMisses, cacheTtl (seconds, 0 = cache off) }
  */
-async function getSheetHeaders() {
+function getApiStats() {
+    return { ...stats, cacheTtl: config.SHEETS_CACHE_TTL };
+}
+
+// Cached (or in-flight) read of a range, or null
+function findCached(range) {
+    const entry = cache.get(`${config.GOOGLE_SHEET_ID}!${range}`);
+    return entry && (entry.expires === null || entry.expires > Date.now()) ? entry : null;
+}
+
+/**
+ * Sends a read request of the active spreadsheet, or answers it from the cache when possible
+ * @param {string} range - Cache key within the spreadsheet (A1 range, or '#tabs')
+ * @param {Function} request - (sheets, spreadsheetId) => Promise of the result
+ * @param {boolean} fresh - Skip the cache (the result still refreshes it)
+ * @param {number} ttl - Seconds the result stays cached (0 = only while the request is in flight)
+ * @returns {Promise<*>} - Result (shared with other callers, do not modify)
+ */
+function cachedRead(range, request, fresh, ttl) {
+    const cached = fresh ? null : findCached(range);
+    if (cached) {
+        stats.cacheHits++;
+        logSheets(`cache hit: ${range}${cached.expires === null ? ' (request in flight)' : ''}`);
+        return cached.promise;
+    }
+    if (!fresh) {
+        stats.cacheMisses++;
+    }
+    logSheets(`${fresh ? 'uncached read' : 'cache miss'}: ${range}`);
+
+    const spreadsheetId = config.GOOGLE_SHEET_ID;
+    const key = `${spreadsheetId}!${range}`;
     const sheets = getGoogleSheetsClient();
+    const entry = { expires: null }; // null while the request is in flight
+    entry.promise = callApi(`read ${range}`, () => request(sheets, spreadsheetId));
+    cache.set(key, entry);
 
-    try {
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: GOOGLE_SHEET_ID,
-            range: `${SHEET_NAME}!1:1`,
-        });
+    entry.promise.then(
+        () => {
+            entry.expires = Date.now() + ttl * 1000;
+            if (ttl <= 0 && cache.get(key) === entry) cache.delete(key);
+        },
+        () => {
+            if (cache.get(key) === entry) cache.delete(key);
+        }
+    );
+    return entry.promise;
+}
+
+/**
+ * Reads the values of a range, from the cache when possible
+ * @param {string} range - A1 range (a tab name reads the whole tab)
+ * @param {boolean} fresh - Skip the cache (the result still refreshes it)
+ * @param {number} ttl - Seconds the result stays cached (0 = only while the request is in flight)
+ * @returns {Promise<Array<Array<string>>>} - Rows of cells (shared with other callers, do not modify)
+ */
+function getValues(range, fresh = false, ttl = config.SHEETS_CACHE_TTL) {
+    return cachedRead(
+        range,
+        (sheets, spreadsheetId) => sheets.spreadsheets.values.get({ spreadsheetId, range })
+            .then(response => response.data.values || []),
+        fresh,
+        ttl
+    );
+}
+
+/**
+ * Lists the tab names of the spreadsheet, cached like the header row (SHEETS_HEADERS_TTL)
+ * @returns {Promise<Array<string>>} - Tab titles
+ */
+function getTabTitles() {
+    return cachedRead(
+        '#tabs',
+        (sheets, spreadsheetId) => sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' })
+            .then(response => (response.data.sheets || []).map(s => s.properties.title)),
+        false,
+        Math.max(config.SHEETS_CACHE_TTL, config.SHEETS_HEADERS_TTL)
+    );
+}
 
-        const headers = response.data.values ? response.data.values[0] : [];
+/**
+ * Drops the cached reads of the active spreadsheet (called after every write)
+ */
+function invalidateCache() {
+    const prefix = `${config.GOOGLE_SHEET_ID}!`;
+    let cleared = 0;
+    for (const key of cache.keys()) {
+        if (key.startsWith(prefix)) {
+            cache.delete(key);
+            cleared++;
+        }
+    }
+    if (cleared > 0) {
+        logSheets(`cache cleared (${cleared} ranges)`);
+    }
+}
+
+/**
+ * Reads the header row as it is in the sheet, blank cells included, so positions are column indexes
+ * Taken from a cached read of the whole tab when there is one. A read of the header row alone is cached
+ * for SHEETS_HEADERS_TTL, so the language list does not cost an API request on every page load.
+ * @param {boolean} fresh - Skip the cache (for headers that feed a write)
+ * @returns {Promise<Array<string>>} - Header cells from column A (shared with other callers, do not modify)
+ */
+async function getHeaderRow(fresh = false) {
+    const tab = fresh ? null : findCached(config.SHEET_NAME);
+    if (tab) {
+        stats.cacheHits++;
+        logSheets(`cache hit: ${config.SHEET_NAME} (headers)`);
+    }
+    const ttl = Math.max(config.SHEETS_CACHE_TTL, config.SHEETS_HEADERS_TTL);
+    const values = await (tab ? tab.promise : getValues(`${config.SHEET_NAME}!1:1`, fresh, ttl));
+    return values.length > 0 ? values[0] : [];
+}
+
+/**
+ * Gets sheet headers (column names)
+ * @param {Object} options - { fresh: skip the cache (for headers that feed a write) }
+ * @returns {Promise<Array>} - Array of column names
+ */
+async function getSheetHeaders(options = {}) {
+    try {
+        const headers = await getHeaderRow(options.fresh);
         return headers.filter(h => h); // Remove empty headers
     } catch (error) {
         throw new Error(`Failed to read sheet headers: ${error.message}`);
@@ -67,46 +221,85 @@ async function getSheetHeaders() {
 }
 
 /**
- * Reads all data from Google Sheet
- * @returns {Promise<Array>} - Array of row objects
+ * Lays out a row object on the columns of the header row
+ * Header lists drop blank header cells, so each value goes to the index of its header in the raw row,
+ * not to its index in the list. Cells of blank headers and of headers not written are null, which the
+ * API leaves as they are.
+ * @param {Object} item - Row object
+ * @param {Array<string>} headerRow - Header row from getHeaderRow
+ * @param {Array<string>} columns - Columns to write
+ * @returns {Array} - Cell values from column A
  */
-async function readSheet() {
-    const sheets = getGoogleSheetsClient();
+function toRowValues(item, headerRow, columns) {
+    return headerRow.map(header => {
+        if (!header || !columns.includes(header)) return null;
+        const value = item[header];
+        return value !== undefined ? value : '';
+    });
+}
 
+/**
+ * Reads the header row for a write and checks that it holds every column to write
+ * @param {Array<string>|null} headers - Columns to write, when the caller has them (the header row then comes
+ *   from the cache when possible); null writes every column and reads the header row fresh
+ * @returns {Promise<Object>} - { headerRow, columns }
+ */
+async function getWriteLayout(headers) {
+    const headerRow = await getHeaderRow(!headers);
+    const columns = headers || headerRow.filter(h => h);
+    const missing = columns.filter(col => !headerRow.includes(col));
+    if (missing.length > 0) {
+        throw new Error(`Columns not found in the header row: ${missing.join(', ')}`);
+    }
+    return { headerRow, columns };
+}
+
+/**
+ * Reads the headers and all rows of a tab with one request
+ * @param {Object} options - { sheetName: tab to read (defaults to the translation tab, SHEET_NAME),
+ *   fresh: skip the cache - required when the rows are written back }
+ * @returns {Promise<Object>} - { headers: column names as in getSheetHeaders, rows: array of row objects }
+ */
+async function readSheetData(options = {}) {
+    const { sheetName = config.SHEET_NAME, fresh = false } = options;
     try {
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId: GOOGLE_SHEET_ID,
-            range: `${SHEET_NAME}!A:AH`, // A to AH covers all columns
-        });
+        const values = await getValues(sheetName, fresh); // Whole tab, however many columns it has
 
-        const rows = response.data.values;
-        
-        if (!rows || rows.length === 0) {
-            return [];
+        if (values.length === 0) {
+            return { headers: [], rows: [] };
         }
 
         // First row is headers
-        const headers = rows[0];
-        const data = [];
+        const headers = values[0];
+        const rows = [];
 
         // Convert rows to objects
-        for (let i = 1; i < rows.length; i++) {
-            const row = rows[i];
+        for (let i = 1; i < values.length; i++) {
+            const row = values[i];
             const obj = {};
-            
+
             headers.forEach((header, index) => {
                 obj[header] = row[index] || '';
             });
-            
-            data.push(obj);
+
+            rows.push(obj);
         }
 
-        return data;
+        return { headers: headers.filter(h => h), rows };
     } catch (error) {
         throw new Error(`Failed to read Google Sheet: ${error.message}`);
     }
 }
 
+/**
+ * Reads all data from Google Sheet
+ * @param {string} sheetName - Tab to read (defaults to the translation tab, SHEET_NAME)
+ * @returns {Promise<Array>} - Array of row objects
+ */
+async function readSheet(sheetName = config.SHEET_NAME) {
+    return (await readSheetData({ sheetName })).rows;
+}
+
 /**
  * Writes data to Google Sheet (preserves existing headers)
  * @param {Array} data - Array of row objects
@@ -117,112 +310,189 @@ async function writeSheet(data) {
 
     try {
         // Get existing headers
-        const headers = await getSheetHeaders();
-        
-        if (headers.length === 0) {
+        const { headerRow, columns } = await getWriteLayout(null);
+
+        if (columns.length === 0) {
             throw new Error('No headers found in sheet');
         }
 
-        // Prepare rows
-        const rows = [headers];
+        // Header row as it is (blank cells included), then the rows laid out on its columns
+        const rows = [headerRow, ...data.map(item => toRowValues(item, headerRow, columns))];
 
-        // Convert objects to rows based on existing headers
-        data.forEach(item => {
-            const row = headers.map(col => {
-                const value = item[col];
-                return value !== undefined ? value : '';
-            });
-            rows.push(row);
-        });
+        // Clear the data rows first so rows beyond the new data do not survive
+        const dataRange = `${config.SHEET_NAME}!A2:${columnLetter(headerRow.length - 1)}`;
+        await callApi(`clear ${dataRange}`, () => sheets.spreadsheets.values.clear({
+            spreadsheetId: config.GOOGLE_SHEET_ID,
+            range: dataRange,
+        }));
 
         // Overwrite existing data starting from A1
-        await sheets.spreadsheets.values.update({
-            spreadsheetId: GOOGLE_SHEET_ID,
-            range: `${SHEET_NAME}!A1`,
+        await callApi(`write ${rows.length} rows`, () => sheets.spreadsheets.values.update({
+            spreadsheetId: config.GOOGLE_SHEET_ID,
+            range: `${config.SHEET_NAME}!A1`,
             valueInputOption: 'RAW',
             resource: {
                 values: rows,
             },
-        });
+        }));
 
     } catch (error) {
         throw new Error(`Failed to write to Google Sheet: ${error.message}`);
+    } finally {
+        invalidateCache();
     }
 }
 
 /**
  * Updates specific rows in Google Sheet
  * @param {Array} updates - Array of {row: number, data: object}
+ * @param {Array} headers - Current sheet headers, when the caller has them (saves a fresh read of the header row)
  * @returns {Promise<void>}
  */
-async function updateRows(updates) {
+async function updateRows(updates, headers = null) {
     const sheets = getGoogleSheetsClient();
 
     try {
-        const headers = await getSheetHeaders();
-        
+        const { headerRow, columns } = await getWriteLayout(headers);
+
         const batchData = updates.map(update => {
-            const row = headers.map(col => {
-                const value = update.data[col];
-                return value !== undefined ? value : '';
-            });
-            
+            const row = toRowValues(update.data, headerRow, columns);
+
             return {
-                range: `${SHEET_NAME}!A${update.row}`,
+                range: `${config.SHEET_NAME}!A${update.row}`,
                 values: [row],
             };
         });
 
-        await sheets.spreadsheets.values.batchUpdate({
-            spreadsheetId: GOOGLE_SHEET_ID,
+        await callApi(`update ${batchData.length} rows`, () => sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: config.GOOGLE_SHEET_ID,
             resource: {
                 valueInputOption: 'RAW',
                 data: batchData,
             },
-        });
+        }));
 
     } catch (error) {
         throw new Error(`Failed to update Google Sheet rows: ${error.message}`);
+    } finally {
+        invalidateCache();
     }
 }
 
 /**
  * Appends rows to Google Sheet
  * @param {Array} data - Array of row objects to append
+ * @param {Array} headers - Current sheet headers, when the caller has them (saves a fresh read of the header row)
  * @returns {Promise<void>}
  */
-async function appendRows(data) {
+async function appendRows(data, headers = null) {
     const sheets = getGoogleSheetsClient();
 
     try {
-        const headers = await getSheetHeaders();
-        
-        const rows = data.map(item => 
-            headers.map(col => {
-                const value = item[col];
-                return value !== undefined ? value : '';
-            })
-        );
-
-        const lastColumn = String.fromCharCode(65 + headers.length - 1);
-        await sheets.spreadsheets.values.append({
-            spreadsheetId: GOOGLE_SHEET_ID,
-            range: `${SHEET_NAME}!A:${lastColumn}`,
+        const { headerRow, columns } = await getWriteLayout(headers);
+
+        const rows = data.map(item => toRowValues(item, headerRow, columns));
+
+        const lastColumn = columnLetter(headerRow.length - 1);
+        await callApi(`append ${rows.length} rows`, () => sheets.spreadsheets.values.append({
+            spreadsheetId: config.GOOGLE_SHEET_ID,
+            range: `${config.SHEET_NAME}!A:${lastColumn}`,
             valueInputOption: 'RAW',
             resource: {
                 values: rows,
             },
-        });
+        }));
 
     } catch (error) {
         throw new Error(`Failed to append rows to Google Sheet: ${error.message}`);
+    } finally {
+        invalidateCache();
+    }
+}
+
+/**
+ * Appends a column to the sheet (header cell in row 1), growing the grid when it has no free column
+ * @param {string} name - Column header
+ * @returns {Promise<void>}
+ */
+async function addColumn(name) {
+    const sheets = getGoogleSheetsClient();
+
+    try {
+        // The new column goes after the last cell of the header row; getSheetHeaders drops blank header
+        // cells, so its length would point into the existing columns when the row has gaps
+        const headerRow = await getHeaderRow(true);
+        if (headerRow.includes(name)) {
+            throw new Error(`Column "${name}" already exists`);
+        }
+        const position = headerRow.length;
+
+        const spreadsheet = await callApi('read tab properties', () => sheets.spreadsheets.get({
+            spreadsheetId: config.GOOGLE_SHEET_ID,
+            fields: 'sheets.properties',
+        }));
+        const tab = spreadsheet.data.sheets.find(s => s.properties.title === config.SHEET_NAME);
+        if (!tab) {
+            throw new Error(`Tab "${config.SHEET_NAME}" not found`);
+        }
+
+        // Writing past the last grid column fails, so add the missing columns first
+        const columnCount = tab.properties.gridProperties.columnCount;
+        if (columnCount < position + 1) {
+            await callApi('grow grid', () => sheets.spreadsheets.batchUpdate({
+                spreadsheetId: config.GOOGLE_SHEET_ID,
+                resource: {
+                    requests: [{
+                        appendDimension: {
+                            sheetId: tab.properties.sheetId,
+                            dimension: 'COLUMNS',
+                            length: position + 1 - columnCount,
+                        },
+                    }],
+                },
+            }));
+        }
+
+        await callApi(`add column ${name}`, () => sheets.spreadsheets.values.update({
+            spreadsheetId: config.GOOGLE_SHEET_ID,
+            range: `${config.SHEET_NAME}!${columnLetter(position)}1`,
+            valueInputOption: 'RAW',
+            resource: {
+                values: [[name]],
+            },
+        }));
+
+    } catch (error) {
+        throw new Error(`Failed to add column to Google Sheet: ${error.message}`);
+    } finally {
+        invalidateCache();
+    }
+}
+
+/**
+ * Reads an auxiliary tab of the spreadsheet (e.g. the glossary)
+ * @param {string} name - Tab name
+ * @returns {Promise<Array>} - Array of row objects (empty when the tab does not exist)
+ */
+async function readTab(name) {
+    let titles;
+    try {
+        titles = await getTabTitles();
+    } catch (error) {
+        throw new Error(`Failed to list the tabs of the Google Sheet: ${error.message}`);
     }
+    return titles.includes(name) ? readSheet(name) : [];
 }
 
 module.exports = {
     getSheetHeaders,
+    readSheetData,
     readSheet,
+    readTab,
     writeSheet,
     updateRows,
-    appendRows
+    appendRows,
+    addColumn,
+    getApiStats,
+    columnLetter
 };
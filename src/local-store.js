@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { SYSTEM_COLUMNS, REVIEW_COLUMNS } = config;
+
+/**
+ * Local file translation store
+ * Keeps the same headers and rows as the Google Sheet in a CSV or JSON file,
+ * so imports and exports can run offline, in CI or in throwaway setups.
+ *
+ * Row numbers follow the sheet convention: row 1 is the header row, data starts at row 2.
+ * Values are stored as strings; booleans are written as TRUE/FALSE like Google Sheets does.
+ */
+
+/**
+ * Returns the headers used when the store file does not exist yet
+ * @returns {Array<string>} - Base, system, review and all configured language columns
+ */
+function getDefaultHeaders() {
+	const languageColumns = Object.keys(config.LANGUAGES).filter((lang) => !config.BASE_COLUMNS.includes(lang));
+	return [...config.BASE_COLUMNS, ...SYSTEM_COLUMNS, ...REVIEW_COLUMNS, ...languageColumns];
+}
+
+// Converts a cell value to the string representation Google Sheets would return
+function toCell(value) {
+	if (value === undefined || value === null) return '';
+	if (value === true) return 'TRUE';
+	if (value === false) return 'FALSE';
+	return String(value);
+}
+
+/**
+ * Parses CSV content (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function parseCSV(content) {
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let inQuotes = false;
+
+	for (let i = 0; i < content.length; i++) {
+		const ch = content[i];
+
+		if (inQuotes) {
+			if (ch === '"') {
+				if (content[i + 1] === '"') {
+					cell += '"';
+					i++;
+				} else {
+					inQuotes = false;
+				}
+			} else {
+				cell += ch;
+			}
+			continue;
+		}
+
+		if (ch === '"') {
+			inQuotes = true;
+		} else if (ch === ',') {
+			row.push(cell);
+			cell = '';
+		} else if (ch === '\n' || ch === '\r') {
+			if (ch === '\r' && content[i + 1] === '\n') i++;
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = '';
+		} else {
+			cell += ch;
+		}
+	}
+
+	// Last line without trailing newline
+	if (cell !== '' || row.length > 0) {
+		row.push(cell);
+		rows.push(row);
+	}
+
+	return rows;
+}
+
+/**
+ * Serializes rows of cells to CSV
+ * @param {Array<Array<string>>} rows - Rows of cells
+ * @returns {string} - CSV text
+ */
+function stringifyCSV(rows) {
+	return (
+		rows
+			.map((row) =>
+				row
+					.map((value) => {
+						const cell = toCell(value);
+						return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+					})
+					.join(','),
+			)
+			.join('\n') + '\n'
+	);
+}
+
+/**
+ * Creates a store bound to a local CSV or JSON file
+ * @param {string} filePath - Path to the store file (.csv or .json)
+ * @returns {Object} - Store with getSheetHeaders, readSheetData, readSheet, readTab, writeSheet, updateRows,
+ *   appendRows, addColumn
+ */
+function createLocalStore(filePath) {
+	const resolvedPath = path.resolve(filePath);
+	const isJSON = path.extname(resolvedPath).toLowerCase() === '.json';
+
+	// Loads the file as { headers, rows } where rows are arrays of cells aligned with headers
+	function load() {
+		if (!fs.existsSync(resolvedPath)) {
+			return { headers: getDefaultHeaders(), rows: [] };
+		}
+
+		const content = fs.readFileSync(resolvedPath, 'utf-8');
+
+		if (isJSON) {
+			const json = content.trim() ? JSON.parse(content) : {};
+			const headers = json.headers || getDefaultHeaders();
+			const rows = (json.rows || []).map((item) => headers.map((col) => toCell(item[col])));
+			return { headers, rows };
+		}
+
+		const [headers = getDefaultHeaders(), ...rows] = parseCSV(content);
+		return { headers, rows };
+	}
+
+	// Writes { headers, rows } back to the file in its format
+	function save({ headers, rows }) {
+		let content;
+		if (isJSON) {
+			const objects = rows.map((row) => {
+				const obj = {};
+				headers.forEach((header, index) => {
+					obj[header] = toCell(row[index]);
+				});
+				return obj;
+			});
+			content = JSON.stringify({ headers, rows: objects }, null, '\t') + '\n';
+		} else {
+			content = stringifyCSV([headers, ...rows]);
+		}
+
+		fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+		fs.writeFileSync(resolvedPath, content);
+	}
+
+	// Converts a row object to cells ordered by headers
+	function toRow(headers, item) {
+		return headers.map((col) => toCell(item[col]));
+	}
+
+	/**
+	 * Gets store headers (column names)
+	 * @returns {Promise<Array>} - Array of column names
+	 */
+	async function getSheetHeaders() {
+		try {
+			return load().headers.filter((h) => h);
+		} catch (error) {
+			throw new Error(`Failed to read store headers: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Reads the headers and all rows from the store file (one file read)
+	 * The options of the Google Sheets store (fresh) do not apply: the file is read on every call.
+	 * @returns {Promise<Object>} - { headers: column names as in getSheetHeaders, rows: array of row objects }
+	 */
+	async function readSheetData() {
+		try {
+			const { headers, rows } = load();
+			return {
+				headers: headers.filter((h) => h),
+				rows: rows.map((row) => {
+					const obj = {};
+					headers.forEach((header, index) => {
+						obj[header] = row[index] || '';
+					});
+					return obj;
+				}),
+			};
+		} catch (error) {
+			throw new Error(`Failed to read local store ${filePath}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Reads all rows from the store file
+	 * @returns {Promise<Array>} - Array of row objects
+	 */
+	async function readSheet() {
+		return (await readSheetData()).rows;
+	}
+
+	/**
+	 * Overwrites all rows in the store file (preserves existing headers)
+	 * @param {Array} data - Array of row objects
+	 * @returns {Promise<void>}
+	 */
+	async function writeSheet(data) {
+		try {
+			const { headers } = load();
+			save({ headers, rows: data.map((item) => toRow(headers, item)) });
+		} catch (error) {
+			throw new Error(`Failed to write local store ${filePath}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Updates specific rows in the store file
+	 * The headers argument of the Google Sheets store is not needed: the file is loaded anyway.
+	 * @param {Array} updates - Array of {row: number, data: object}
+	 * @returns {Promise<void>}
+	 */
+	async function updateRows(updates) {
+		try {
+			const store = load();
+			updates.forEach((update) => {
+				const index = update.row - 2; // Sheet row number -> data array index (header is row 1)
+				if (index < 0) {
+					throw new Error(`Invalid row number: ${update.row}`);
+				}
+				while (store.rows.length < index) store.rows.push([]);
+				store.rows[index] = toRow(store.headers, update.data);
+			});
+			save(store);
+		} catch (error) {
+			throw new Error(`Failed to update local store rows: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Appends rows to the store file (the headers argument is not needed, as for updateRows)
+	 * @param {Array} data - Array of row objects to append
+	 * @returns {Promise<void>}
+	 */
+	async function appendRows(data) {
+		try {
+			const store = load();
+			data.forEach((item) => store.rows.push(toRow(store.headers, item)));
+			save(store);
+		} catch (error) {
+			throw new Error(`Failed to append rows to local store: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Appends a column to the store file (existing rows get an empty cell)
+	 * @param {string} name - Column header
+	 * @returns {Promise<void>}
+	 */
+	async function addColumn(name) {
+		try {
+			const store = load();
+			if (store.headers.includes(name)) {
+				throw new Error(`Column "${name}" already exists`);
+			}
+			store.headers.push(name);
+			save(store);
+		} catch (error) {
+			throw new Error(`Failed to add column to local store: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Reads an auxiliary table stored next to the store file, named after the tab
+	 * (e.g. tab 'Glossary' of translations.csv -> glossary.csv)
+	 * @param {string} name - Tab name
+	 * @returns {Promise<Array>} - Array of row objects (empty when the file does not exist)
+	 */
+	async function readTab(name) {
+		const tabPath = path.join(path.dirname(resolvedPath), `${name.toLowerCase()}${isJSON ? '.json' : '.csv'}`);
+		if (tabPath === resolvedPath || !fs.existsSync(tabPath)) {
+			return [];
+		}
+		return createLocalStore(tabPath).readSheet();
+	}
+
+	return {
+		name: 'local',
+		getSheetHeaders,
+		readSheetData,
+		readSheet,
+		readTab,
+		writeSheet,
+		updateRows,
+		appendRows,
+		addColumn,
+	};
+}
+
+module.exports = {
+	createLocalStore,
+	parseCSV,
+	stringifyCSV,
+};
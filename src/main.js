@@ -1,26 +1,100 @@
-const { parseXLF } = require('./xlf-parser');
-const { getSheetHeaders, readSheet, updateRows, appendRows } = require('./google-sheets');
-const { exportXLF, getAvailableLanguages } = require('./xlf-exporter');
-const { BASE_COLUMNS, ID_EXCLUDE_PATTERNS } = require('./config');
+const { parseXLF, serializeUnitMetadata } = require('./xlf-parser');
+const { isSTF, isFormatDetectable, parseSTF } = require('./stf-parser');
+const { peekText } = require('./text-stream');
+const { getSheetHeaders, readSheetData, writeSheet, updateRows, appendRows, addColumn } = require('./store');
+const {
+	exportXLF,
+	isActiveValue,
+	filterActiveRows,
+	getAvailableLanguages,
+	getLanguageCode,
+	getLanguageName,
+	getStatusColumn,
+	getStateColumn,
+	getCompanionColumns,
+	getReviewState,
+} = require('./xlf-exporter');
+const { exportSTF } = require('./stf-exporter');
+const { applyExportMask, findUnmatchedMaskIds } = require('./mask');
+const { computeCoverage } = require('./coverage');
+const { diagnoseSheet, repairSheetData, findDuplicateIds } = require('./doctor');
+const { normalizeNamespacedIds } = require('./namespace');
+const { findSalesforceLanguage } = require('./salesforce-languages');
+const { getActiveProject, registerProjectLanguage } = require('./projects');
+const { createMTProvider } = require('./mt-providers');
+const { maskPlaceholders, unmaskPlaceholders, checkPlaceholders } = require('./placeholders');
+const { checkWidth } = require('./width');
+const { validateTranslation } = require('./validation');
+const { loadGlossary, lintTerms } = require('./glossary');
+const config = require('./config');
+const { SYSTEM_COLUMNS, REVIEW_COLUMNS, NEEDS_REVIEW, REVIEW_STATES } = config;
+const { NOTE_COLUMN, UNIT_METADATA_COLUMN, METADATA_COLUMNS } = config;
+const { sourceSimilarity } = require('./similarity');
+const { extractCategory, rowCategory } = require('./category');
 
 /**
- * Extracts category from id (first part before the first dot)
- * @param {string} id - Full id like "PicklistValue.Contact.Type.Owner"
- * @returns {string} - Category part like "PicklistValue"
+ * Parses an XLF or STF translation file (detected from content) into segments
+ * Streams are detected from their first characters and parsed chunk by chunk.
+ * @param {string|Buffer|AsyncIterable} content - File content, or a stream of it (file read stream, upload)
+ * @returns {Promise<Object>} - Parsed data with segments and metadata
  */
-function extractCategory(id) {
-	if (!id || typeof id !== 'string') return '';
-	const parts = id.split('.');
-	return parts[0] || '';
+async function parseTranslationFile(content) {
+	if (typeof content === 'string') {
+		return isSTF(content) ? parseSTF(content) : parseXLF(content);
+	}
+	const { head, chunks } = await peekText(content, isFormatDetectable);
+	return isSTF(head) ? parseSTF(chunks) : parseXLF(chunks);
+}
+
+/**
+ * Gets translation columns from sheet headers (everything except base, system, review and unit metadata
+ * columns and the status/state columns of languages)
+ * @param {Array<string>} sheetHeaders - Column headers
+ * @returns {Array<string>} - Language column names
+ */
+function getLanguageColumns(sheetHeaders) {
+	const companionColumns = new Set(sheetHeaders.flatMap(getCompanionColumns));
+	return sheetHeaders.filter(
+		(h) =>
+			!config.BASE_COLUMNS.includes(h) &&
+			!SYSTEM_COLUMNS.includes(h) &&
+			!REVIEW_COLUMNS.includes(h) &&
+			!METADATA_COLUMNS.includes(h) &&
+			!companionColumns.has(h),
+	);
+}
+
+/**
+ * Puts translations back to draft after their text or source changed (the review state is cleared)
+ * @param {Object} data - Row data to write (changed in place)
+ * @param {Array<string>} languages - Language columns of the changed translations
+ * @param {boolean} clearMachineMark - Also clear the machine translation mark (the text is no longer MT output)
+ */
+function resetReviewStates(data, languages, clearMachineMark = false) {
+	languages.forEach((language) => {
+		const columns = clearMachineMark ? getCompanionColumns(language) : [getStateColumn(language)];
+		columns.filter((col) => data[col]).forEach((col) => {
+			data[col] = '';
+		});
+	});
 }
 
-// Normalizes the active field from Google Sheets (stored as string "TRUE"/"FALSE") to boolean
-function isActive(value) {
-	if (typeof value === 'boolean') return value;
-	if (typeof value === 'string') return value.toUpperCase() === 'TRUE';
-	return false;
+/**
+ * Gets the unit metadata column values (note, unit-metadata) of a segment
+ * Formats without notes or unit data (null, e.g. STF) keep the values of the existing row.
+ * @param {Object} segment - Parsed segment
+ * @param {Object} row - Existing sheet row ({} for new rows)
+ * @param {Array<string>} columns - Metadata columns in use
+ * @returns {Object} - { column: value }
+ */
+function getUnitMetadataValues(segment, row, columns) {
+	const values = { [NOTE_COLUMN]: segment.note, [UNIT_METADATA_COLUMN]: serializeUnitMetadata(segment) };
+	return Object.fromEntries(columns.map((col) => [col, values[col] ?? row[col] ?? '']));
 }
 
+// Review fields cleared once a row leaves the review state
+const CLEARED_REVIEW_FIELDS = { 'source-review': '', 'previous-source': '', 'source-similarity': '' };
+
 /**
  * Synchronizes XLF file to Google Sheets
  * Independent operation - reads XLF and updates Google Sheets
@@ -28,27 +102,52 @@ function isActive(value) {
  * Logic:
  * - Parse XLF file and extract segments
  * - Load existing Google Sheets data
+ * - Map IDs with namespace-prefixed segments to existing sheet IDs (collisions are reported, not merged)
  * - Compare and sync:
- *   - New id → add row with English text, empty translations
- *   - Existing id with changed English → update English and clear all translations
+ *   - New id → add row with source text (SOURCE_COLUMN), empty translations
+ *   - Existing id with changed source text → update source and either keep the translations
+ *     marked 'needs-review' (when the sheet has REVIEW_COLUMNS) or clear all translations
  *   - Missing id in XLF → remove or mark as inactive
+ * - Notes and other trans-unit data (extra attributes, context groups) are kept in the note and
+ *   unit-metadata columns, which are added the first time a file carries such data
  *
- * @param {string} xlfContent - XLF file content
+ * @param {string|AsyncIterable} xlfContent - XLF (or STF source) file content, or a stream of it
  * @returns {Promise<Object>} - Sync result with statistics
  */
 async function syncXLFtoSheet(xlfContent, dryRun = false) {
 	try {
-		// Parse XLF
-		const parsed = await parseXLF(xlfContent);
+		// Parse XLF (or STF)
+		const parsed = await parseTranslationFile(xlfContent);
 		let segments = parsed.segments;
 
+		// An unrecognised structure yields no segments - syncing it would deactivate every row
+		if (segments.length === 0) {
+			throw new Error(parsed.warnings.join('; ') || 'XLF file contains no trans-unit elements');
+		}
+
 		// Filter out segments whose ID matches any exclusion pattern
-		if (ID_EXCLUDE_PATTERNS && ID_EXCLUDE_PATTERNS.length > 0) {
-			segments = segments.filter((seg) => !ID_EXCLUDE_PATTERNS.some((pattern) => pattern.test(seg.id)));
+		const excludePatterns = config.ID_EXCLUDE_PATTERNS;
+		if (excludePatterns && excludePatterns.length > 0) {
+			segments = segments.filter((seg) => !excludePatterns.some((pattern) => pattern.test(seg.id)));
 		}
 
-		// Read existing Google Sheet data
-		const sheetData = await readSheet();
+		// Read existing Google Sheet data and headers (to know which columns exist)
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData({ fresh: true });
+
+		// Duplicate IDs: the first row is synced, later ones are deactivated
+		const duplicateIds = findDuplicateIds(sheetData);
+		if (duplicateIds.size > 0) {
+			parsed.warnings.push(
+				`${duplicateIds.size} IDs are on several sheet rows (e.g. ${duplicateIds.keys().next().value}). Run "doctor --fix" to merge them`,
+			);
+		}
+
+		// Map IDs carrying the namespace prefix (file from an org with the package installed) to the sheet IDs
+		const namespaced = normalizeNamespacedIds(
+			segments,
+			sheetData.filter((row) => row.id).map((row) => row.id),
+		);
+		segments = namespaced.segments;
 
 		// Create maps for comparison
 		const xlfMap = new Map();
@@ -63,9 +162,14 @@ async function syncXLFtoSheet(xlfContent, dryRun = false) {
 			}
 		});
 
-		// Get current sheet headers to know which columns exist
-		const sheetHeaders = await getSheetHeaders();
-		const languageColumns = sheetHeaders.filter((h) => !BASE_COLUMNS.includes(h) && h !== 'active');
+		const languageColumns = getLanguageColumns(sheetHeaders);
+		const reviewEnabled = REVIEW_COLUMNS.every((col) => sheetHeaders.includes(col));
+
+		// Metadata columns in use: existing ones, plus missing ones the file has values for
+		const metadataColumns = METADATA_COLUMNS.filter(
+			(col) => sheetHeaders.includes(col) || segments.some((seg) => getUnitMetadataValues(seg, {}, [col])[col]),
+		);
+		const addedColumns = metadataColumns.filter((col) => !sheetHeaders.includes(col));
 
 		const updatedData = [];
 		const stats = {
@@ -74,6 +178,9 @@ async function syncXLFtoSheet(xlfContent, dryRun = false) {
 			activated: 0,
 			unchanged: 0,
 			deactivated: 0,
+			needsReview: 0,
+			normalized: namespaced.normalized.length,
+			namespaceCollisions: namespaced.collisions.length,
 		};
 
 		// Process existing rows while preserving their order in the sheet
@@ -89,50 +196,83 @@ async function syncXLFtoSheet(xlfContent, dryRun = false) {
 				continue;
 			}
 
-			const segment = xlfMap.get(row.id);
+			let segment = xlfMap.get(row.id);
 
 			if (segment) {
+				// STF files carry no size metadata (null) - keep the sheet values
+				segment = {
+					...segment,
+					maxwidth: segment.maxwidth ?? row.maxwidth,
+					sizeUnit: segment.sizeUnit ?? row['size-unit'],
+				};
+				const metadata = getUnitMetadataValues(segment, row, metadataColumns);
+
 				// ID found in XLF - check if any fields need updating
 				const needsUpdate =
-					row.English !== segment.source ||
-					!isActive(row.active) ||
+					row[config.SOURCE_COLUMN] !== segment.source ||
+					!isActiveValue(row.active) ||
 					row.maxwidth !== segment.maxwidth ||
-					row['size-unit'] !== segment.sizeUnit;
+					row['size-unit'] !== segment.sizeUnit ||
+					metadataColumns.some((col) => (row[col] ?? '') !== metadata[col]);
 
 				if (needsUpdate) {
-					if (row.English !== segment.source) {
-						// Source text changed - update English field and clear all translations
+					if (row[config.SOURCE_COLUMN] !== segment.source) {
+						// Source text changed - update source column
 						const updatedRow = {
 							...row,
-							English: segment.source,
+							[config.SOURCE_COLUMN]: segment.source,
 							maxwidth: segment.maxwidth,
 							'size-unit': segment.sizeUnit,
+							...metadata,
 							active: true,
 						};
 
-						// Clear all language translations
-						languageColumns.forEach((col) => {
-							updatedRow[col] = '';
-						});
+						const hasTranslations = languageColumns.some((col) => row[col] && row[col].trim() !== '');
+
+						if (reviewEnabled && hasTranslations) {
+							// Keep translations for review, compared with the source they were made for
+							const previousSource =
+								row['source-review'] === NEEDS_REVIEW && row['previous-source']
+									? row['previous-source']
+									: row[config.SOURCE_COLUMN];
+
+							if (previousSource === segment.source) {
+								// Source reverted to the reviewed text - translations are valid again
+								Object.assign(updatedRow, CLEARED_REVIEW_FIELDS);
+							} else {
+								updatedRow['source-review'] = NEEDS_REVIEW;
+								updatedRow['previous-source'] = previousSource;
+								updatedRow['source-similarity'] = sourceSimilarity(previousSource, segment.source);
+								stats.needsReview++;
+							}
+						} else {
+							// Clear all language translations
+							languageColumns.forEach((col) => {
+								updatedRow[col] = '';
+							});
+						}
+						// Approvals were given for the old source
+						resetReviewStates(updatedRow, languageColumns, !(reviewEnabled && hasTranslations));
 
 						rowsToUpdate.push({ row: rowNumber, data: updatedRow });
-						if (!isActive(row.active)) {
+						if (!isActiveValue(row.active)) {
 							stats.activated++;
 						} else {
 							stats.updated++;
 						}
 					} else {
-						// Only metadata changed (maxwidth, size-unit, or active status)
+						// Only metadata changed (maxwidth, size-unit, note, unit-metadata, or active status)
 						rowsToUpdate.push({
 							row: rowNumber,
 							data: {
 								...row,
 								maxwidth: segment.maxwidth,
 								'size-unit': segment.sizeUnit,
+								...metadata,
 								active: true,
 							},
 						});
-						if (!isActive(row.active)) {
+						if (!isActiveValue(row.active)) {
 							stats.activated++;
 						} else {
 							stats.unchanged++;
@@ -146,7 +286,7 @@ async function syncXLFtoSheet(xlfContent, dryRun = false) {
 				xlfMap.delete(row.id);
 			} else {
 				// ID not found in XLF - mark as inactive if currently active
-				if (isActive(row.active)) {
+				if (isActiveValue(row.active)) {
 					rowsToUpdate.push({
 						row: rowNumber,
 						data: { ...row, active: false },
@@ -161,9 +301,10 @@ async function syncXLFtoSheet(xlfContent, dryRun = false) {
 			const newRow = {
 				id: segment.id,
 				category: extractCategory(segment.id),
-				maxwidth: segment.maxwidth,
-				'size-unit': segment.sizeUnit,
-				English: segment.source,
+				maxwidth: segment.maxwidth ?? '',
+				'size-unit': segment.sizeUnit ?? '',
+				[config.SOURCE_COLUMN]: segment.source,
+				...getUnitMetadataValues(segment, {}, metadataColumns),
 				active: true,
 			};
 
@@ -178,20 +319,36 @@ async function syncXLFtoSheet(xlfContent, dryRun = false) {
 
 		// Apply all changes to Google Sheet (skipped in dry-run mode)
 		if (!dryRun) {
+			for (const column of addedColumns) {
+				await addColumn(column);
+			}
+
+			// Added columns are appended after the existing ones
+			const columns = [...sheetHeaders, ...addedColumns];
 			if (rowsToUpdate.length > 0) {
-				await updateRows(rowsToUpdate);
+				await updateRows(rowsToUpdate, columns);
 			}
 
 			if (rowsToAdd.length > 0) {
-				await appendRows(rowsToAdd);
+				await appendRows(rowsToAdd, columns);
 			}
 		}
 
+		const namespaceSummary =
+			stats.normalized || stats.namespaceCollisions
+				? `, ${stats.normalized} namespaced IDs normalized, ${stats.namespaceCollisions} namespace collisions`
+				: '';
+		const columnSummary = addedColumns.length > 0 ? `, added columns ${addedColumns.join(', ')}` : '';
+
 		return {
 			success: true,
 			stats,
 			totalSegments: segments.length,
-			message: `Sync completed: ${stats.added} added, ${stats.updated} updated, ${stats.activated} activated, ${stats.deactivated} deactivated, ${stats.unchanged} unchanged`,
+			normalized: namespaced.normalized,
+			namespaceCollisions: namespaced.collisions,
+			addedColumns,
+			warnings: parsed.warnings,
+			message: `Sync completed: ${stats.added} added, ${stats.updated} updated, ${stats.activated} activated, ${stats.deactivated} deactivated, ${stats.unchanged} unchanged, ${stats.needsReview} need review${namespaceSummary}${columnSummary}`,
 		};
 	} catch (error) {
 		return {
@@ -201,19 +358,267 @@ async function syncXLFtoSheet(xlfContent, dryRun = false) {
 	}
 }
 
+/**
+ * Backfills sheet translations from a translated XLF (target-text import)
+ * Independent operation - reads <target> texts (or the TRANSLATION column of a bilingual STF)
+ * and fills empty cells of one language column
+ *
+ * Logic:
+ * - Resolve the language column from the file's target-language via LANGUAGES
+ * - For each trans-unit with a non-empty <target>:
+ *   - Marked out of date in a bilingual STF → reported in outOfDate, skipped
+ *     (the translation was made for an older source text)
+ *   - ID not in sheet → reported in notInSheet, skipped
+ *   - Sheet source text differs from <source> → reported in sourceMismatches, skipped
+ *     (the translation was made for another source text)
+ *   - Empty cell → filled
+ *   - Same value → unchanged
+ *   - Different value → reported in conflicts, never overwritten
+ *
+ * @param {string|AsyncIterable} xlfContent - Translated XLF or bilingual STF file content, or a stream of it
+ * @param {boolean} dryRun - When true, computes the report without writing to the sheet
+ * @returns {Promise<Object>} - Import result with statistics and conflict report
+ */
+async function importTranslations(xlfContent, dryRun = false) {
+	try {
+		const parsed = await parseTranslationFile(xlfContent);
+
+		const language = getLanguageName(parsed.targetLanguage);
+		if (!language) {
+			throw new Error(`Unknown target language: ${parsed.targetLanguage}. Add it to the project languages`);
+		}
+
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData({ fresh: true });
+		if (!sheetHeaders.includes(language)) {
+			throw new Error(`Language column "${language}" does not exist in the sheet`);
+		}
+
+		// Translated files usually come from an org with the package installed: map prefixed IDs to sheet IDs
+		const namespaced = normalizeNamespacedIds(
+			parsed.segments,
+			sheetData.filter((row) => row.id).map((row) => row.id),
+		);
+
+		// Map id → { row, rowNumber } (row number: array index + 2 for 1-based rows and the header row)
+		const sheetMap = new Map();
+		sheetData.forEach((row, i) => {
+			if (row.id) {
+				sheetMap.set(row.id, { row, rowNumber: i + 2 });
+			}
+		});
+
+		const stats = {
+			filled: 0,
+			unchanged: 0,
+			conflicts: 0,
+			sourceMismatches: 0,
+			notInSheet: 0,
+			outOfDate: 0,
+			untranslated: 0,
+		};
+		const conflicts = [];
+		const sourceMismatches = [];
+		const notInSheet = [];
+		const outOfDate = [];
+		const rowsToUpdate = [];
+
+		for (const segment of namespaced.segments) {
+			const target = segment.target ? segment.target.trim() : '';
+			if (!target) {
+				stats.untranslated++;
+				continue;
+			}
+
+			if (segment.outOfDate) {
+				outOfDate.push(segment.id);
+				stats.outOfDate++;
+				continue;
+			}
+
+			const entry = sheetMap.get(segment.id);
+			if (!entry) {
+				notInSheet.push(segment.id);
+				stats.notInSheet++;
+				continue;
+			}
+
+			const { row, rowNumber } = entry;
+
+			if (row[config.SOURCE_COLUMN] !== segment.source) {
+				sourceMismatches.push({ id: segment.id, sheetSource: row[config.SOURCE_COLUMN], xlfSource: segment.source });
+				stats.sourceMismatches++;
+				continue;
+			}
+
+			const current = row[language] || '';
+			if (current.trim() === '') {
+				const data = { ...row, [language]: segment.target };
+				resetReviewStates(data, [language], true);
+				rowsToUpdate.push({ row: rowNumber, data });
+				stats.filled++;
+			} else if (current === segment.target) {
+				stats.unchanged++;
+			} else {
+				conflicts.push({ id: segment.id, sheetValue: current, xlfValue: segment.target });
+				stats.conflicts++;
+			}
+		}
+
+		if (!dryRun && rowsToUpdate.length > 0) {
+			await updateRows(rowsToUpdate, sheetHeaders);
+		}
+
+		return {
+			success: true,
+			language,
+			stats,
+			conflicts,
+			sourceMismatches,
+			notInSheet,
+			outOfDate,
+			namespaceCollisions: namespaced.collisions,
+			totalSegments: parsed.segments.length,
+			warnings: parsed.warnings,
+			message: `Translation import completed for ${language}: ${stats.filled} filled, ${stats.unchanged} unchanged, ${stats.conflicts} conflicts, ${stats.sourceMismatches} source mismatches, ${stats.notInSheet} not in sheet, ${stats.outOfDate} out of date`,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Selects rows in the 'needs-review' state that match a filter
+ * @param {Array} sheetData - Sheet rows
+ * @param {Object} filter - { ids?: Array<string>, category?: string, minSimilarity?: number, maxSimilarity?: number }
+ * @returns {Array} - Array of { row, rowNumber }
+ */
+function selectReviewRows(sheetData, filter = {}) {
+	const idSet = filter.ids && filter.ids.length > 0 ? new Set(filter.ids) : null;
+	const selected = [];
+
+	sheetData.forEach((row, i) => {
+		if (!row.id || row['source-review'] !== NEEDS_REVIEW) return;
+		if (idSet && !idSet.has(row.id)) return;
+		if (filter.category && rowCategory(row) !== filter.category) return;
+
+		const similarity = Number(row['source-similarity']);
+		if (filter.minSimilarity !== undefined && !(similarity >= filter.minSimilarity)) return;
+		if (filter.maxSimilarity !== undefined && !(similarity <= filter.maxSimilarity)) return;
+
+		selected.push({ row, rowNumber: i + 2 });
+	});
+
+	return selected;
+}
+
+/**
+ * Lists rows whose translations were kept for review after a source text change
+ * @param {Object} filter - Same filter as resolveReviews
+ * @returns {Promise<Object>} - { success, rows: [{ id, category, previousSource, source, similarity }] }
+ */
+async function getReviewQueue(filter = {}) {
+	try {
+		const { rows: sheetData } = await readSheetData();
+		const rows = selectReviewRows(sheetData, filter).map(({ row }) => ({
+			id: row.id,
+			category: rowCategory(row),
+			previousSource: row['previous-source'],
+			source: row[config.SOURCE_COLUMN],
+			similarity: Number(row['source-similarity']),
+		}));
+
+		return { success: true, rows };
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Accepts or rejects old translations of rows in review, in bulk
+ * - accept → translations stay, review fields are cleared
+ * - reject → translations and review fields are cleared
+ *
+ * @param {string} action - 'accept' or 'reject'
+ * @param {Object} filter - { ids?, category?, minSimilarity?, maxSimilarity? } (all rows in review when empty)
+ * @param {boolean} dryRun - When true, reports affected rows without writing
+ * @returns {Promise<Object>} - Result with affected IDs
+ */
+async function resolveReviews(action, filter = {}, dryRun = false) {
+	try {
+		if (action !== 'accept' && action !== 'reject') {
+			throw new Error(`Unknown review action: ${action}. Use accept or reject`);
+		}
+
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData({ fresh: true });
+		const missingColumns = REVIEW_COLUMNS.filter((col) => !sheetHeaders.includes(col));
+		if (missingColumns.length > 0) {
+			throw new Error(`Review columns missing in sheet: ${missingColumns.join(', ')}`);
+		}
+
+		const languageColumns = getLanguageColumns(sheetHeaders);
+		const selected = selectReviewRows(sheetData, filter);
+
+		const rowsToUpdate = selected.map(({ row, rowNumber }) => {
+			const data = { ...row, ...CLEARED_REVIEW_FIELDS };
+			if (action === 'reject') {
+				languageColumns.forEach((col) => {
+					data[col] = '';
+				});
+			}
+			// Accepted translations now stand for the new source and need a new review
+			resetReviewStates(data, languageColumns, action === 'reject');
+			return { row: rowNumber, data };
+		});
+
+		if (!dryRun && rowsToUpdate.length > 0) {
+			await updateRows(rowsToUpdate, sheetHeaders);
+		}
+
+		const verb = action === 'accept' ? 'accepted' : 'rejected';
+		return {
+			success: true,
+			action,
+			count: selected.length,
+			ids: selected.map(({ row }) => row.id),
+			message: `Review ${verb}: ${selected.length} rows`,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+// Adds the mask IDs without a sheet row to the gaps of an export (they are missing in every language)
+function withUnmatchedGaps(gaps, unmatchedMaskIds) {
+	const notInSheet = unmatchedMaskIds.map((id) => ({ id, reason: 'not-in-sheet', source: '', value: '', detail: '' }));
+	return [...notInSheet, ...(gaps || [])];
+}
+
 /**
  * Exports XLF file from Google Sheets for specified language
  * Independent operation - can be called anytime
  *
  * @param {string} targetLanguage - Target language display name (e.g., 'French', 'Spanish')
- * @param {Set<string>|null} maskIdSet - Optional Set of original mask IDs for Export Mask
- * @returns {Promise<Object>} - Export result with XLF content
+ * @param {Object|null} mask - Optional export mask (see mask.js)
+ * @param {Object} options - Export options passed to exportXLF ({ version, includePlaceholderErrors, unreviewedPolicy,
+ *   stream }), plus format: 'xlf' (default) or 'stf' (bilingual Salesforce Translation Format) and glossary
+ *   (entries already loaded by the caller; loaded with loadGlossary otherwise)
+ * @returns {Promise<Object>} - Export result with XLF content (the STF text in xlfContent when format is 'stf';
+ *   with options.stream a stream of the file in `stream` instead), the number of units in the file (unitCount)
+ *   and unmatchedMaskIds, the mask IDs without a sheet row; gaps lists every unit left out of the file with the reason
  */
-async function generateXLF(targetLanguage, maskIdSet = null) {
+async function generateXLF(targetLanguage, mask = null, options = {}) {
 	try {
 		// Read Google Sheets data and headers
-		const sheetData = await readSheet();
-		const sheetHeaders = await getSheetHeaders();
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData();
 
 		// Validate language exists in both config and sheet
 		const availableLanguages = getAvailableLanguages(sheetHeaders);
@@ -223,15 +628,738 @@ async function generateXLF(targetLanguage, maskIdSet = null) {
 			);
 		}
 
-		// Generate XLF from sheet data, optionally filtered by maskIdSet
-		const { xlf, maxwidthErrors } = await exportXLF(targetLanguage, sheetData, maskIdSet);
+		// Generate XLF (or bilingual STF) from sheet data, optionally filtered by mask
+		const format = options.format || 'xlf';
+		if (format !== 'xlf' && format !== 'stf') {
+			throw new Error(`Unsupported export format: ${format}. Supported formats: xlf, stf`);
+		}
+		const exporter = format === 'stf' ? exportSTF : exportXLF;
+		const glossary = options.glossary || (await loadGlossary());
+		const {
+			xlf,
+			stf,
+			stream,
+			unitCount,
+			maxwidthErrors,
+			placeholderErrors,
+			unreviewedRows,
+			stateExcluded,
+			termErrors,
+			gaps,
+		} = await exporter(targetLanguage, sheetData, mask, { ...options, glossary });
+		const unmatchedMaskIds = findUnmatchedMaskIds(sheetData, mask);
 
 		return {
 			success: true,
-			xlfContent: xlf,
+			format,
+			...(stream ? { stream } : { xlfContent: format === 'stf' ? stf : xlf }),
 			language: targetLanguage,
-			segmentCount: sheetData.length,
+			unitCount,
 			maxwidthErrors: maxwidthErrors || [],
+			placeholderErrors: placeholderErrors || [],
+			unreviewedRows: unreviewedRows || [],
+			stateExcluded: stateExcluded || [],
+			termErrors: termErrors || [],
+			unmatchedMaskIds,
+			gaps: withUnmatchedGaps(gaps, unmatchedMaskIds),
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Exports XLF files for every available language in one pass
+ * Reads the sheet once and reuses the data for each language, optionally filtered by the export mask
+ *
+ * @param {Object|null} mask - Optional export mask (see mask.js)
+ * @param {Object} options - Export options passed to exportXLF, plus glossary (as for generateXLF)
+ * @returns {Promise<Object>} - Result with one entry per language in `files` (with options.stream the file in `stream`,
+ *   rendered when read, instead of `xlfContent`), the mask IDs without a sheet row in `unmatchedMaskIds` and the
+ *   languages left out of an XLIFF 2.0 bundle for having no units in `emptyLanguages`
+ */
+async function generateAllXLF(mask = null, options = {}) {
+	try {
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData();
+		const languages = getAvailableLanguages(sheetHeaders);
+
+		const glossary = options.glossary || (await loadGlossary());
+		const unmatchedMaskIds = findUnmatchedMaskIds(sheetData, mask);
+
+		const files = [];
+		const emptyLanguages = [];
+		for (const language of languages) {
+			const {
+				empty,
+				xlf,
+				stream,
+				unitCount,
+				maxwidthErrors,
+				placeholderErrors,
+				unreviewedRows,
+				stateExcluded,
+				termErrors,
+				gaps,
+			} = await exportXLF(language, sheetData, mask, { ...options, glossary, skipEmpty: true });
+
+			// XLIFF 2.0 has no valid file without units, such languages are left out of the bundle
+			if (empty) {
+				emptyLanguages.push(language);
+				continue;
+			}
+
+			files.push({
+				language,
+				...(stream ? { stream } : { xlfContent: xlf }),
+				unitCount,
+				maxwidthErrors: maxwidthErrors || [],
+				placeholderErrors: placeholderErrors || [],
+				unreviewedRows: unreviewedRows || [],
+				stateExcluded: stateExcluded || [],
+				termErrors: termErrors || [],
+				gaps: withUnmatchedGaps(gaps, unmatchedMaskIds),
+			});
+		}
+
+		return {
+			success: true,
+			files,
+			emptyLanguages,
+			unmatchedMaskIds,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Computes translation coverage of active rows for every available language, per category
+ * Rows are counted like for export: active only, optionally restricted to an export mask
+ *
+ * @param {Object|null} mask - Optional export mask (coverage against an org's XLF, see mask.js)
+ * @returns {Promise<Object>} - { success, totalRows, languages: [...] } (see computeCoverage)
+ */
+async function getCoverage(mask = null) {
+	try {
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData();
+		const languages = getAvailableLanguages(sheetHeaders);
+
+		return {
+			success: true,
+			...computeCoverage(sheetData, languages, mask),
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+// Review state as typed by a user or in a cell, compared case-insensitively
+function normalizeState(value) {
+	return String(value || '')
+		.trim()
+		.toLowerCase();
+}
+
+/**
+ * Selects the translated rows of a language for review state changes
+ * @param {Array} sheetData - Sheet rows
+ * @param {string} language - Language display name
+ * @param {Object} filter - { state, category, ids } (all optional)
+ * @returns {Array<Object>} - [{ row, rowNumber, state }] with sheet row numbers
+ */
+function selectStateRows(sheetData, language, filter = {}) {
+	const idSet = filter.ids && filter.ids.length > 0 ? new Set(filter.ids) : null;
+
+	return sheetData
+		.map((row, i) => ({ row, rowNumber: i + 2, state: getReviewState(row, language) }))
+		.filter(({ row }) => row.id && row[language] && row[language].trim() !== '')
+		.filter(({ state }) => !filter.state || state === normalizeState(filter.state))
+		.filter(({ row }) => !filter.category || rowCategory(row) === filter.category)
+		.filter(({ row }) => !idSet || idSet.has(row.id));
+}
+
+/**
+ * Lists the translations of a language with their review state
+ * @param {string} language - Language display name
+ * @param {Object} filter - { state, category } (optional)
+ * @returns {Promise<Object>} - { success, language, counts: { draft, reviewed, approved },
+ *   rows: [{ id, category, source, value, state, machine, active }] } - machine: unedited machine translation
+ */
+async function getReviewStates(language, filter = {}) {
+	try {
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData();
+		const availableLanguages = getAvailableLanguages(sheetHeaders);
+		if (!availableLanguages.includes(language)) {
+			throw new Error(`Invalid language: ${language}. Available languages: ${availableLanguages.join(', ')}`);
+		}
+
+		const counts = Object.fromEntries(REVIEW_STATES.map((state) => [state, 0]));
+		selectStateRows(sheetData, language).forEach(({ state }) => counts[state]++);
+
+		const rows = selectStateRows(sheetData, language, filter).map(({ row, state }) => ({
+			id: row.id,
+			category: rowCategory(row),
+			source: row[config.SOURCE_COLUMN] || '',
+			value: row[language],
+			state,
+			machine: row[getStatusColumn(language)] === config.MT_STATUS,
+			active: filterActiveRows([row]).length > 0,
+		}));
+
+		return { success: true, language, counts, rows };
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Sets the review state of translations of a language
+ * Only rows with a translation are changed. The state column is added to the sheet when missing.
+ *
+ * @param {string} language - Language display name
+ * @param {string} state - New state (one of REVIEW_STATES)
+ * @param {Object} filter - { ids, category, from } - from: only rows currently in this state
+ * @param {boolean} dryRun - When true, reports the rows without writing
+ * @returns {Promise<Object>} - { success, language, state, updated: [ids], stateColumn, stateColumnAdded }
+ */
+async function setReviewState(language, newState, filter = {}, dryRun = false) {
+	try {
+		// States are compared like getReviewState reads them: trimmed and lower case
+		const state = normalizeState(newState);
+		filter = { ...filter, from: filter.from && normalizeState(filter.from) };
+		if (!REVIEW_STATES.includes(state)) {
+			throw new Error(`Unknown review state: ${state}. Use ${REVIEW_STATES.join(', ')}`);
+		}
+		if (filter.from && !REVIEW_STATES.includes(filter.from)) {
+			throw new Error(`Unknown review state: ${filter.from}. Use ${REVIEW_STATES.join(', ')}`);
+		}
+
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData({ fresh: true });
+		const availableLanguages = getAvailableLanguages(sheetHeaders);
+		if (!availableLanguages.includes(language)) {
+			throw new Error(`Invalid language: ${language}. Available languages: ${availableLanguages.join(', ')}`);
+		}
+
+		const stateColumn = getStateColumn(language);
+		const selected = selectStateRows(sheetData, language, {
+			ids: filter.ids,
+			category: filter.category,
+			state: filter.from,
+		}).filter((item) => item.state !== state);
+
+		const stateColumnAdded = !sheetHeaders.includes(stateColumn) && selected.length > 0;
+
+		if (!dryRun && selected.length > 0) {
+			if (stateColumnAdded) {
+				await addColumn(stateColumn);
+			}
+			await updateRows(
+				selected.map(({ row, rowNumber }) => ({ row: rowNumber, data: { ...row, [stateColumn]: state } })),
+				stateColumnAdded ? [...sheetHeaders, stateColumn] : sheetHeaders,
+			);
+		}
+
+		return {
+			success: true,
+			language,
+			state,
+			updated: selected.map(({ row }) => row.id),
+			stateColumn,
+			stateColumnAdded,
+			message: `${selected.length} ${language} translations set to ${state}`,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+// Rows per page of the grid editor (listRows)
+const ROW_PAGE_SIZE = 50;
+const MAX_ROW_PAGE_SIZE = 500;
+
+/**
+ * Validates a translation against its sheet row like the export does (see validation.js)
+ * @param {Object} row - Sheet row
+ * @param {string} value - Translation
+ * @returns {Array<Object>} - Errors (empty when valid or when the value is empty)
+ */
+function validateRowTranslation(row, value) {
+	return validateTranslation(
+		{ source: row[config.SOURCE_COLUMN], maxwidth: row.maxwidth, sizeUnit: row['size-unit'] },
+		value,
+	);
+}
+
+/**
+ * Lists sheet rows for the grid editor, filtered and paginated
+ * @param {Object} filter - { category, active ('true' | 'false'), language, missing, search, page, pageSize }
+ *   - language: translation column to return (default: every available language)
+ *   - missing: only rows without translation in `language` (in any language when none is given)
+ *   - search: case-insensitive text in id, source or the returned translations
+ * @returns {Promise<Object>} - { success, total, page, pageSize, pages, languages, categories, rows }
+ */
+async function listRows(filter = {}) {
+	try {
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData();
+		const availableLanguages = getAvailableLanguages(sheetHeaders);
+		if (filter.language && !availableLanguages.includes(filter.language)) {
+			throw new Error(`Invalid language: ${filter.language}. Available languages: ${availableLanguages.join(', ')}`);
+		}
+
+		const languages = filter.language ? [filter.language] : availableLanguages;
+		const isEmpty = (value) => !value || value.trim() === '';
+		const search = filter.search ? filter.search.toLowerCase() : '';
+		const activeRows = new Set(filterActiveRows(sheetData));
+
+		const matching = sheetData
+			.filter((row) => row.id && row.id.trim() !== '')
+			.filter((row) => !filter.category || rowCategory(row) === filter.category)
+			.filter((row) => !filter.active || activeRows.has(row) === (filter.active === 'true'))
+			.filter((row) => !filter.missing || languages.some((lang) => isEmpty(row[lang])))
+			.filter(
+				(row) =>
+					!search ||
+					[row.id, row[config.SOURCE_COLUMN], ...languages.map((lang) => row[lang])].some((value) =>
+						(value || '').toLowerCase().includes(search),
+					),
+			);
+
+		const pageSize = Math.min(Math.max(Number(filter.pageSize) || ROW_PAGE_SIZE, 1), MAX_ROW_PAGE_SIZE);
+		const pages = Math.max(Math.ceil(matching.length / pageSize), 1);
+		const page = Math.min(Math.max(Number(filter.page) || 1, 1), pages);
+
+		const rows = matching.slice((page - 1) * pageSize, page * pageSize).map((row) => ({
+			id: row.id,
+			category: rowCategory(row),
+			active: activeRows.has(row),
+			maxwidth: row.maxwidth || '',
+			sizeUnit: row['size-unit'] || '',
+			source: row[config.SOURCE_COLUMN] || '',
+			translations: Object.fromEntries(languages.map((lang) => [lang, row[lang] || ''])),
+			errors: Object.fromEntries(languages.map((lang) => [lang, validateRowTranslation(row, row[lang])])),
+		}));
+
+		const categories = [...new Set(sheetData.map((row) => rowCategory(row)).filter(Boolean))].sort();
+
+		return { success: true, total: matching.length, page, pageSize, pages, languages, categories, rows };
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Resolves translation edits to their sheet rows and validates them
+ * @param {Array} sheetData - Sheet rows
+ * @param {Array<string>} sheetHeaders - Column headers
+ * @param {Array<Object>} edits - [{ id, language, value }]
+ * @returns {Array<Object>} - [{ id, language, value, row, rowNumber, errors }]
+ */
+function resolveEdits(sheetData, sheetHeaders, edits) {
+	const availableLanguages = getAvailableLanguages(sheetHeaders);
+	const rowsById = new Map();
+	sheetData.forEach((row, i) => {
+		if (!row.id) return;
+		if (!rowsById.has(row.id)) rowsById.set(row.id, []);
+		rowsById.get(row.id).push({ row, rowNumber: i + 2 });
+	});
+
+	return edits.map(({ id, language, value }) => {
+		const text = value === undefined || value === null ? '' : String(value);
+		const matches = rowsById.get(id) || [];
+		const resolved = { id, language, value: text, row: null, rowNumber: null, errors: [] };
+
+		if (!availableLanguages.includes(language)) {
+			resolved.errors.push({ type: 'language', message: `Invalid language: ${language}` });
+		} else if (matches.length === 0) {
+			resolved.errors.push({ type: 'not-found', message: `ID not found: ${id}` });
+		} else if (matches.length > 1) {
+			resolved.errors.push({ type: 'duplicate-id', message: `ID is on several rows: ${id}. Run "doctor --fix"` });
+		} else {
+			resolved.row = matches[0].row;
+			resolved.rowNumber = matches[0].rowNumber;
+			resolved.errors = validateRowTranslation(resolved.row, text);
+		}
+		return resolved;
+	});
+}
+
+/**
+ * Validates translation edits without saving them (live validation of the grid editor)
+ * @param {Array<Object>} edits - [{ id, language, value }]
+ * @returns {Promise<Object>} - { success, results: [{ id, language, errors }] }
+ */
+async function validateEdits(edits) {
+	try {
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData();
+		const results = resolveEdits(sheetData, sheetHeaders, edits).map(({ id, language, errors }) => ({
+			id,
+			language,
+			errors,
+		}));
+
+		return { success: true, results };
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Saves translation edits of the grid editor
+ * Edits that fail validation (maxwidth, placeholders, unknown ID or language) are rejected, the others
+ * are written with one updateRows call. A changed translation goes back to draft: its review state
+ * (state column) and machine translation mark (status column) are cleared.
+ *
+ * @param {Array<Object>} edits - [{ id, language, value }]
+ * @returns {Promise<Object>} - { success, updated: [{ id, language }], rejected: [{ id, language, errors }] }
+ */
+async function saveEdits(edits) {
+	try {
+		if (!Array.isArray(edits) || edits.length === 0) {
+			throw new Error('No edits specified');
+		}
+
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData({ fresh: true });
+		const resolved = resolveEdits(sheetData, sheetHeaders, edits);
+
+		const rejected = resolved.filter((edit) => edit.errors.length > 0);
+		const updated = [];
+		const dataByRow = new Map();
+
+		resolved
+			.filter((edit) => edit.errors.length === 0 && edit.row[edit.language] !== edit.value)
+			.forEach((edit) => {
+				const data = dataByRow.get(edit.rowNumber) || { ...edit.row };
+				data[edit.language] = edit.value;
+				// An edited translation is no longer machine output and needs a new review
+				resetReviewStates(data, [edit.language], true);
+				dataByRow.set(edit.rowNumber, data);
+				updated.push({ id: edit.id, language: edit.language });
+			});
+
+		if (dataByRow.size > 0) {
+			await updateRows(
+				Array.from(dataByRow, ([row, data]) => ({ row, data })),
+				sheetHeaders,
+			);
+		}
+
+		return {
+			success: true,
+			updated,
+			rejected: rejected.map(({ id, language, errors }) => ({ id, language, errors })),
+			message: `${updated.length} translations saved${rejected.length > 0 ? `, ${rejected.length} rejected` : ''}`,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Checks the translations of active rows against the glossary
+ * Rows are selected like for coverage: active only, optionally restricted to an export mask.
+ *
+ * @param {string|null} language - Language display name, or null for every available language
+ * @param {Object|null} mask - Optional export mask (see mask.js)
+ * @returns {Promise<Object>} - { success, terms, languages: [{ language, termErrors }], total }
+ */
+async function checkTerminology(language = null, mask = null) {
+	try {
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData();
+		const available = getAvailableLanguages(sheetHeaders);
+		if (language && !available.includes(language)) {
+			throw new Error(`Invalid language: ${language}. Available languages: ${available.join(', ')}`);
+		}
+
+		const glossary = await loadGlossary();
+		if (glossary.length === 0) {
+			throw new Error('Glossary is empty or missing (see GLOSSARY_SHEET_NAME / GLOSSARY_PATH)');
+		}
+
+		const rows = applyExportMask(filterActiveRows(sheetData), mask);
+		const languages = (language ? [language] : available).map((lang) => ({
+			language: lang,
+			termErrors: lintTerms(rows, lang, glossary),
+		}));
+
+		return {
+			success: true,
+			terms: glossary.length,
+			languages,
+			total: languages.reduce((sum, lang) => sum + lang.termErrors.length, 0),
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Adds a translation language: appends its sheet column and registers it in the project's language map
+ * Either step is skipped when already done (e.g. column added by hand), so a failed run can be repeated.
+ *
+ * @param {string} name - Language display name, used as column header (e.g. 'Russian')
+ * @param {string} code - Salesforce language code (e.g. 'ru', 'pt_PT')
+ * @returns {Promise<Object>} - { success, language, code, salesforceName, columnAdded, registered, projectsFile }
+ */
+async function addLanguage(name, code) {
+	try {
+		const language = name ? name.trim() : '';
+		if (!language) {
+			throw new Error('Language name not specified');
+		}
+		if ([...config.BASE_COLUMNS, ...SYSTEM_COLUMNS, ...REVIEW_COLUMNS, ...METADATA_COLUMNS].includes(language)) {
+			throw new Error(`"${language}" is a reserved column name`);
+		}
+		// Companion columns of languages (French-state, French-status) and glossary columns (French-forbidden)
+		// are told apart by their suffix, so a language name must not end in one
+		const reservedSuffix = [config.STATUS_COLUMN_SUFFIX, config.STATE_COLUMN_SUFFIX, config.FORBIDDEN_COLUMN_SUFFIX]
+			.find((suffix) => language.toLowerCase().endsWith(suffix));
+		if (reservedSuffix) {
+			throw new Error(`"${language}" ends in "${reservedSuffix}", reserved for companion columns of languages`);
+		}
+
+		const salesforceLanguage = findSalesforceLanguage(code);
+		if (!salesforceLanguage) {
+			throw new Error(`Unsupported language code: ${code}. Use a language code supported by Salesforce`);
+		}
+		const languageCode = code.trim().replace(/-/g, '_');
+
+		// One column per language code - getLanguageName must resolve imported files to a single column
+		const existingName = getLanguageName(languageCode);
+		if (existingName && existingName !== language) {
+			throw new Error(`Language code ${languageCode} is already mapped to "${existingName}"`);
+		}
+		const existingCode = config.LANGUAGES[language];
+		if (existingCode && existingCode !== languageCode) {
+			throw new Error(`"${language}" is already mapped to language code ${existingCode}`);
+		}
+
+		const sheetHeaders = await getSheetHeaders({ fresh: true });
+		const columnAdded = !sheetHeaders.includes(language);
+		const registered = !existingCode;
+
+		if (!columnAdded && !registered) {
+			throw new Error(`Language "${language}" already exists`);
+		}
+
+		if (columnAdded) {
+			await addColumn(language);
+		}
+
+		const projectsFile = registered
+			? registerProjectLanguage(getActiveProject().name, language, languageCode)
+			: null;
+
+		return {
+			success: true,
+			language,
+			code: languageCode,
+			salesforceName: salesforceLanguage.name,
+			columnAdded,
+			registered,
+			projectsFile,
+			message: `Language ${language} (${languageCode}, Salesforce: ${salesforceLanguage.name}) added${columnAdded ? '' : ' - column already existed'}`,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+// Texts sent to the MT provider per request
+const MT_BATCH_SIZE = 50;
+
+/**
+ * Fills untranslated active rows of a language with machine translations
+ * Placeholders are masked before translation and must come back unchanged; translations that lose
+ * a placeholder or exceed the row's maxwidth are skipped, never written. Written translations are
+ * marked MT_STATUS in the language's status column (added to the sheet when missing).
+ *
+ * @param {string} language - Language display name (e.g. 'French')
+ * @param {Object} options - { category, provider (name, default MT_PROVIDER), dryRun }
+ * @returns {Promise<Object>} - { success, language, provider, filled: [{ id, value }], skipped: [{ id, reason, ... }], statusColumn, statusColumnAdded }
+ */
+async function machineTranslate(language, options = {}) {
+	try {
+		const { category = null, dryRun = false } = options;
+
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData({ fresh: true });
+		const availableLanguages = getAvailableLanguages(sheetHeaders);
+		if (!availableLanguages.includes(language)) {
+			throw new Error(`Invalid language: ${language}. Available languages: ${availableLanguages.join(', ')}`);
+		}
+
+		const provider = createMTProvider(options.provider || config.MT_PROVIDER);
+		const statusColumn = getStatusColumn(language);
+
+		// filterActiveRows returns the same row objects, so rows keep their sheet row number
+		const activeRows = new Set(filterActiveRows(sheetData));
+		const candidates = sheetData
+			.map((row, i) => ({ row, rowNumber: i + 2 }))
+			.filter(({ row }) => activeRows.has(row))
+			.filter(({ row }) => row[config.SOURCE_COLUMN] && row[config.SOURCE_COLUMN].trim() !== '')
+			.filter(({ row }) => !row[language] || row[language].trim() === '')
+			.filter(({ row }) => !category || rowCategory(row) === category);
+
+		const filled = [];
+		const skipped = [];
+		const rowsToUpdate = [];
+
+		for (let start = 0; start < candidates.length; start += MT_BATCH_SIZE) {
+			const batch = candidates.slice(start, start + MT_BATCH_SIZE);
+			const masked = batch.map(({ row }) => maskPlaceholders(row[config.SOURCE_COLUMN]));
+			const translated = await provider.translate(
+				masked.map((m) => m.masked),
+				config.SOURCE_LANGUAGE,
+				getLanguageCode(language),
+			);
+
+			batch.forEach(({ row, rowNumber }, i) => {
+				const value = unmaskPlaceholders(translated[i] || '', masked[i].tokens).trim();
+
+				if (value === '') {
+					skipped.push({ id: row.id, reason: 'empty' });
+					return;
+				}
+
+				const placeholderError = checkPlaceholders(row[config.SOURCE_COLUMN], value);
+				if (placeholderError) {
+					skipped.push({ id: row.id, reason: 'placeholders', value, ...placeholderError });
+					return;
+				}
+
+				const widthError = checkWidth(value, row.maxwidth, row['size-unit']);
+				if (widthError) {
+					skipped.push({ id: row.id, reason: 'maxwidth', value, ...widthError });
+					return;
+				}
+
+				filled.push({ id: row.id, value });
+				const data = { ...row, [language]: value, [statusColumn]: config.MT_STATUS };
+				resetReviewStates(data, [language]);
+				rowsToUpdate.push({ row: rowNumber, data });
+			});
+		}
+
+		const statusColumnAdded = !sheetHeaders.includes(statusColumn) && rowsToUpdate.length > 0;
+
+		if (!dryRun && rowsToUpdate.length > 0) {
+			if (statusColumnAdded) {
+				await addColumn(statusColumn);
+			}
+			await updateRows(rowsToUpdate, statusColumnAdded ? [...sheetHeaders, statusColumn] : sheetHeaders);
+		}
+
+		return {
+			success: true,
+			language,
+			provider: provider.name,
+			filled,
+			skipped,
+			statusColumn,
+			statusColumnAdded,
+			message: `${language}: ${filled.length} rows machine-translated (${provider.name}), ${skipped.length} skipped`,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Checks the sheet schema and rows (see doctor.js for the problem types)
+ * @returns {Promise<Object>} - { success, problems, errors, warnings }
+ */
+async function checkSheet() {
+	try {
+		const { headers: sheetHeaders, rows: sheetData } = await readSheetData();
+		const problems = diagnoseSheet(sheetHeaders, sheetData);
+
+		return {
+			success: true,
+			problems,
+			errors: problems.filter((p) => p.severity === 'error').length,
+			warnings: problems.filter((p) => p.severity === 'warning').length,
+		};
+	} catch (error) {
+		return {
+			success: false,
+			error: error.message,
+		};
+	}
+}
+
+/**
+ * Repairs fixable sheet problems
+ * - Missing required columns are appended
+ * - Duplicate IDs are merged into their first row (differing translations are reported as conflicts)
+ * - Empty rows between data rows are removed
+ * - active values are normalized to TRUE/FALSE
+ * Rows are rewritten in one writeSheet call, so row numbers change when rows are removed.
+ *
+ * @param {boolean} dryRun - When true, reports the repairs without writing
+ * @returns {Promise<Object>} - { success, addedColumns, merged, conflicts, removedRows, activeNormalized, problems }
+ */
+async function repairSheet(dryRun = false) {
+	try {
+		let { headers: sheetHeaders, rows: sheetData } = await readSheetData({ fresh: true });
+		const addedColumns = [...config.BASE_COLUMNS, ...SYSTEM_COLUMNS].filter((col) => !sheetHeaders.includes(col));
+
+		if (!dryRun && addedColumns.length > 0) {
+			for (const column of addedColumns) {
+				await addColumn(column);
+			}
+			({ headers: sheetHeaders, rows: sheetData } = await readSheetData({ fresh: true }));
+		}
+		const repair = repairSheetData(sheetHeaders, sheetData);
+		const changed = repair.merged.length > 0 || repair.removedRows.length > 0 || repair.activeNormalized > 0;
+
+		if (!dryRun && changed) {
+			await writeSheet(repair.rows);
+		}
+
+		// Problems left after the repair (not fixable automatically)
+		const problems = diagnoseSheet(sheetHeaders.concat(dryRun ? addedColumns : []), repair.rows);
+
+		return {
+			success: true,
+			addedColumns,
+			merged: repair.merged,
+			conflicts: repair.conflicts,
+			removedRows: repair.removedRows,
+			activeNormalized: repair.activeNormalized,
+			problems,
+			message: `Repair completed: ${addedColumns.length} columns added, ${repair.merged.length} duplicate IDs merged, ${repair.conflicts.length} conflicts, ${repair.removedRows.length} rows removed, ${repair.activeNormalized} active values normalized`,
 		};
 	} catch (error) {
 		return {
@@ -257,7 +1385,23 @@ async function getLanguages() {
 }
 
 module.exports = {
+	parseTranslationFile,
 	syncXLFtoSheet,
+	importTranslations,
+	getReviewQueue,
+	resolveReviews,
 	generateXLF,
+	generateAllXLF,
+	getCoverage,
+	checkTerminology,
+	getReviewStates,
+	setReviewState,
+	listRows,
+	validateEdits,
+	saveEdits,
+	addLanguage,
+	machineTranslate,
+	checkSheet,
+	repairSheet,
 	getLanguages,
 };
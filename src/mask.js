@@ -0,0 +1,244 @@
+const config = require('./config');
+const { parseXLF } = require('./xlf-parser');
+const { isSTF, isFormatDetectable, parseSTF } = require('./stf-parser');
+const { matchesNamespacedId, indexByUnprefixedId } = require('./namespace');
+const { peekText } = require('./text-stream');
+const { rowCategory } = require('./category');
+
+/**
+ * Export masks
+ * A mask limits an export (and coverage, lint-terms) to part of the sheet. It combines:
+ * - ids: IDs of source XLF/STF files of the target org and plain ID lists, merged
+ *   (matched namespace-aware, see namespace.js)
+ * - categories: only rows of these categories
+ * - excludeCategories: no rows of these categories
+ * - patterns: regular expressions, the row ID must match at least one
+ * A row is exported when it passes every part of the mask that is set.
+ */
+
+/**
+ * Splits a plain ID list: one ID per line or comma-separated, '#' starts a comment line
+ * @param {string} content - ID list text
+ * @returns {Array<string>} - IDs
+ */
+function parseIdList(content) {
+	return content
+		.replace(/^\uFEFF/, '')
+		.split(/\r?\n/)
+		.filter((line) => !line.trim().startsWith('#'))
+		.flatMap((line) => line.split(','))
+		.map((id) => id.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Reads the IDs of a mask file
+ * XLIFF (1.2 or 2.0) and STF files are parsed, anything else is read as a plain ID list.
+ * STF is recognized by its header, or by tab-separated KEY/LABEL lines in files without one, so a plain
+ * ID list must not contain tabs (of a stream, the start up to the first line after the comments is checked).
+ * @param {string|Buffer|AsyncIterable} content - File content, or a stream of it
+ * @returns {Promise<Array<string>>} - IDs of the file
+ */
+async function parseMaskFile(content) {
+	const { head, chunks } = await peekText(content, isFormatDetectable);
+	if (head.replace(/^\uFEFF/, '').trimStart().startsWith('<')) {
+		return (await parseXLF(chunks)).segments.map((s) => s.id);
+	}
+	if (isSTF(head) || head.includes('\t')) {
+		return (await parseSTF(chunks)).segments.map((s) => s.id);
+	}
+
+	let text = '';
+	for await (const chunk of chunks) {
+		text += chunk;
+	}
+	return parseIdList(text);
+}
+
+// Longest mask pattern accepted: patterns come from API requests and are run against every sheet ID
+const MAX_PATTERN_LENGTH = 200;
+
+// Quantifiers that repeat a group without a small bound ({n,m} is counted as well)
+const REPEAT_QUANTIFIERS = '+*{';
+
+/**
+ * Finds a repeated group that can backtrack exponentially: one that contains a quantifier, e.g. (a+)+,
+ * or an alternation, e.g. (a|aa)+, at any depth of nesting
+ * @param {string} source - Regular expression source
+ * @returns {string|null} - Description of the problem, null when no such group is found
+ */
+function findBacktrackingGroup(source) {
+	const groups = []; // Open groups: { quantifier, alternation } found inside them so far
+	let inClass = false;
+	for (let i = 0; i < source.length; i++) {
+		const char = source[i];
+		if (char === '\\') {
+			i++;
+		} else if (inClass) {
+			inClass = char !== ']';
+		} else if (char === '[') {
+			inClass = true;
+		} else if (char === '(') {
+			groups.push({ quantifier: false, alternation: false });
+		} else if (char === ')' && groups.length > 0) {
+			const group = groups.pop();
+			const repeated = REPEAT_QUANTIFIERS.includes(source[i + 1] || ' ');
+			if (repeated && group.quantifier) {
+				return 'nested quantifiers such as (a+)+ are not supported';
+			}
+			if (repeated && group.alternation) {
+				return 'repeated alternations such as (a|aa)+ are not supported';
+			}
+			const parent = groups[groups.length - 1];
+			if (parent) {
+				parent.quantifier = parent.quantifier || group.quantifier || repeated;
+				parent.alternation = parent.alternation || group.alternation;
+			}
+		} else if (groups.length > 0) {
+			const group = groups[groups.length - 1];
+			group.quantifier = group.quantifier || REPEAT_QUANTIFIERS.includes(char);
+			group.alternation = group.alternation || char === '|';
+		}
+	}
+	return null;
+}
+
+/**
+ * Compiles a mask pattern
+ * Patterns longer than MAX_PATTERN_LENGTH and repeated groups with quantifiers or alternations inside are
+ * rejected, so a pattern of a request cannot stall the server with catastrophic backtracking.
+ * @param {string} source - Regular expression source
+ * @returns {RegExp} - Compiled pattern
+ */
+function compileMaskPattern(source) {
+	if (source.length > MAX_PATTERN_LENGTH) {
+		throw new Error(`Invalid mask pattern ${source.slice(0, 40)}...: longer than ${MAX_PATTERN_LENGTH} characters`);
+	}
+	const backtrackingGroup = findBacktrackingGroup(source);
+	if (backtrackingGroup) {
+		throw new Error(`Invalid mask pattern ${source}: ${backtrackingGroup}`);
+	}
+	try {
+		return new RegExp(source);
+	} catch (error) {
+		throw new Error(`Invalid mask pattern ${source}: ${error.message}`);
+	}
+}
+
+// Removes blanks and duplicates from a list; null when nothing is left
+function toSet(values) {
+	const set = new Set((values || []).map((value) => String(value).trim()).filter(Boolean));
+	return set.size > 0 ? set : null;
+}
+
+/**
+ * Builds an export mask
+ * @param {Object} spec - { ids, categories, excludeCategories, patterns } - arrays, each optional
+ *   (patterns are checked by compileMaskPattern)
+ * @returns {Object|null} - Mask { ids, categories, excludeCategories } as Sets or null, patterns as RegExps or null;
+ *   null when the spec sets nothing
+ */
+function createExportMask(spec = {}) {
+	const patternSources = toSet(spec.patterns);
+	const mask = {
+		ids: toSet(spec.ids),
+		categories: toSet(spec.categories),
+		excludeCategories: toSet(spec.excludeCategories),
+		patterns: patternSources ? Array.from(patternSources, compileMaskPattern) : null,
+	};
+
+	return Object.values(mask).some(Boolean) ? mask : null;
+}
+
+/**
+ * Describes a mask for log output
+ * @param {Object} mask - Mask from createExportMask
+ * @returns {string} - e.g. '1520 IDs, categories CustomLabel, excluding PicklistValue, 1 pattern'
+ */
+function describeMask(mask) {
+	const parts = [];
+	if (mask.ids) parts.push(`${mask.ids.size} IDs`);
+	if (mask.categories) parts.push(`categories ${Array.from(mask.categories).join(', ')}`);
+	if (mask.excludeCategories) parts.push(`excluding ${Array.from(mask.excludeCategories).join(', ')}`);
+	if (mask.patterns) parts.push(`${mask.patterns.length} pattern${mask.patterns.length === 1 ? '' : 's'}`);
+	return parts.join(', ');
+}
+
+// Checks the category and pattern parts of a mask
+function passesFilters(row, mask) {
+	const category = rowCategory(row);
+	if (mask.categories && !mask.categories.has(category)) return false;
+	if (mask.excludeCategories && mask.excludeCategories.has(category)) return false;
+	if (mask.patterns && !mask.patterns.some((pattern) => pattern.test(row.id))) return false;
+	return true;
+}
+
+// Finds the mask ID matching a sheet ID: exact match first, then namespace-aware among the mask IDs
+// with the same unprefixed form (null when none matches)
+function findMaskId(sheetId, ids, candidatesOf, namespacePrefix) {
+	if (ids.has(sheetId)) return sheetId;
+	if (!namespacePrefix) return null;
+	return candidatesOf(sheetId).find((maskId) => matchesNamespacedId(maskId, sheetId, namespacePrefix)) || null;
+}
+
+/**
+ * Applies an export mask to sheet rows
+ * A mask ID matches a sheet row ID when every dot-separated segment either matches exactly
+ * or the mask segment equals NAMESPACE_PREFIX + sheet segment (see namespace.js).
+ * @param {Array} rows - Sheet rows
+ * @param {Object|null} mask - Mask from createExportMask
+ * @returns {Array} - Rows passing the mask, with the mask ID as id (all rows without mask)
+ */
+function applyExportMask(rows, mask) {
+	if (!mask) return rows;
+
+	const namespacePrefix = config.NAMESPACE_PREFIX;
+	const candidatesOf = mask.ids && namespacePrefix ? indexByUnprefixedId(mask.ids, namespacePrefix) : null;
+	const remapped = [];
+	for (const row of rows) {
+		if (!passesFilters(row, mask)) continue;
+		if (!mask.ids) {
+			remapped.push(row);
+			continue;
+		}
+		const maskId = findMaskId(row.id, mask.ids, candidatesOf, namespacePrefix);
+		// Use the mask ID in the output so the file matches the target org
+		if (maskId === row.id) remapped.push(row);
+		else if (maskId !== null) remapped.push({ ...row, id: maskId });
+	}
+	return remapped;
+}
+
+/**
+ * Lists the mask IDs without a sheet row, i.e. labels missing from the database entirely
+ * Inactive rows and rows left out by the category or pattern parts of the mask count as matches.
+ * @param {Array} sheetData - Data from the store
+ * @param {Object|null} mask - Mask from createExportMask
+ * @returns {Array<string>} - Unmatched mask IDs, sorted
+ */
+function findUnmatchedMaskIds(sheetData, mask) {
+	if (!mask || !mask.ids) return [];
+
+	const namespacePrefix = config.NAMESPACE_PREFIX;
+	const sheetIds = sheetData.map((row) => row.id).filter(Boolean);
+	const exactIds = new Set(sheetIds);
+	// Sheet IDs by unprefixed form, built once instead of comparing every mask ID with every sheet ID
+	const candidatesOf = namespacePrefix ? indexByUnprefixedId(sheetIds, namespacePrefix) : () => [];
+
+	return Array.from(mask.ids)
+		.filter(
+			(maskId) =>
+				!exactIds.has(maskId) &&
+				!candidatesOf(maskId).some((id) => matchesNamespacedId(maskId, id, namespacePrefix)),
+		)
+		.sort();
+}
+
+module.exports = {
+	parseIdList,
+	parseMaskFile,
+	createExportMask,
+	describeMask,
+	applyExportMask,
+	findUnmatchedMaskIds,
+};
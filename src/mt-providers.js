@@ -0,0 +1,127 @@
+const { MT_PROVIDER, MT_API_URL, MT_API_KEY } = require('./config');
+
+/**
+ * Machine translation providers
+ * Every provider exposes the same interface:
+ *   translate(texts, sourceLang, targetLang) -> Promise<Array<string>>
+ * Texts are HTML-escaped with placeholders masked as <ph id="n"/> tags (see maskPlaceholders),
+ * so providers must run in HTML/XML tag-handling mode and return the tags unchanged.
+ *
+ * Providers:
+ * - 'libretranslate' - LibreTranslate-compatible HTTP endpoint (POST /translate)
+ * - 'deepl'          - DeepL API (POST /v2/translate), free or pro endpoint
+ * - 'mock'           - offline provider for tests: prefixes texts with the target language
+ */
+
+const MT_PROVIDERS = ['libretranslate', 'deepl', 'mock'];
+
+// DeepL only accepts these regional target variants, other languages use the base code
+const DEEPL_REGIONAL_TARGETS = ['EN-GB', 'EN-US', 'PT-BR', 'PT-PT'];
+
+// Primary language subtag: 'pt_BR' -> 'pt'
+function baseLanguage(code) {
+	return String(code).split(/[_-]/)[0].toLowerCase();
+}
+
+/**
+ * Posts JSON and returns the parsed response
+ * @param {string} url - Endpoint
+ * @param {Object} body - Request body
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<Object>} - Response JSON
+ */
+async function postJSON(url, body, headers = {}) {
+	const response = await fetch(url, {
+		method: 'POST',
+		headers: { 'Content-Type': 'application/json', ...headers },
+		body: JSON.stringify(body),
+	});
+
+	if (!response.ok) {
+		const text = await response.text();
+		throw new Error(`${url} responded ${response.status}: ${text.slice(0, 200)}`);
+	}
+	return response.json();
+}
+
+function createLibreTranslateProvider({ url, apiKey }) {
+	if (!url) {
+		throw new Error('MT_API_URL is not set (LibreTranslate endpoint, e.g. http://localhost:5000)');
+	}
+
+	return {
+		name: 'libretranslate',
+		async translate(texts, sourceLang, targetLang) {
+			const data = await postJSON(`${url.replace(/\/$/, '')}/translate`, {
+				q: texts,
+				source: baseLanguage(sourceLang),
+				target: baseLanguage(targetLang),
+				format: 'html',
+				...(apiKey ? { api_key: apiKey } : {}),
+			});
+			return Array.isArray(data.translatedText) ? data.translatedText : [data.translatedText];
+		},
+	};
+}
+
+function createDeepLProvider({ url, apiKey }) {
+	if (!apiKey) {
+		throw new Error('MT_API_KEY is not set (DeepL authentication key)');
+	}
+	// Free-plan keys end with ':fx' and use the free endpoint
+	const endpoint = url || (apiKey.endsWith(':fx') ? 'https://api-free.deepl.com' : 'https://api.deepl.com');
+
+	return {
+		name: 'deepl',
+		async translate(texts, sourceLang, targetLang) {
+			const regional = String(targetLang).replace(/_/g, '-').toUpperCase();
+			const data = await postJSON(
+				`${endpoint.replace(/\/$/, '')}/v2/translate`,
+				{
+					text: texts,
+					source_lang: baseLanguage(sourceLang).toUpperCase(),
+					target_lang: DEEPL_REGIONAL_TARGETS.includes(regional) ? regional : baseLanguage(targetLang).toUpperCase(),
+					tag_handling: 'xml',
+					ignore_tags: ['ph'],
+				},
+				{ Authorization: `DeepL-Auth-Key ${apiKey}` },
+			);
+			return data.translations.map((t) => t.text);
+		},
+	};
+}
+
+function createMockProvider() {
+	return {
+		name: 'mock',
+		async translate(texts, sourceLang, targetLang) {
+			return texts.map((text) => `[${targetLang}] ${text}`);
+		},
+	};
+}
+
+/**
+ * Creates a machine translation provider
+ * @param {string} name - Provider name (defaults to MT_PROVIDER)
+ * @param {Object} options - { url, apiKey } (default MT_API_URL / MT_API_KEY)
+ * @returns {Object} - Provider with name and translate()
+ */
+function createMTProvider(name = MT_PROVIDER, options = {}) {
+	const settings = { url: options.url || MT_API_URL, apiKey: options.apiKey || MT_API_KEY };
+
+	switch (name) {
+		case 'libretranslate':
+			return createLibreTranslateProvider(settings);
+		case 'deepl':
+			return createDeepLProvider(settings);
+		case 'mock':
+			return createMockProvider();
+		default:
+			throw new Error(`Unknown MT provider: ${name}. Supported providers: ${MT_PROVIDERS.join(', ')}`);
+	}
+}
+
+module.exports = {
+	MT_PROVIDERS,
+	createMTProvider,
+};
@@ -0,0 +1,126 @@
+const config = require('./config');
+
+/**
+ * Namespace-aware ID matching
+ * Orgs with the managed package installed prefix custom components with the namespace
+ * (NAMESPACE_PREFIX, e.g. 'bn2gp__'), while the sheet holds the IDs of the unprefixed scratch org:
+ *
+ *   CustomField.bn2gp__Invoice__c.bn2gp__Amount__c.FieldLabel  (production org)
+ *   CustomField.Invoice__c.Amount__c.FieldLabel                (sheet)
+ *
+ * IDs are compared segment by segment instead of stripping every prefix, which would merge
+ * components that have the same base name and differ only by namespace.
+ */
+
+/**
+ * Checks whether an org ID matches a sheet ID
+ * Every dot-separated segment must either match exactly or equal the namespace prefix + sheet segment.
+ * @param {string} orgId - ID from a file of the target org (may carry the namespace prefix)
+ * @param {string} sheetId - Canonical sheet ID
+ * @param {string} prefix - Namespace prefix (defaults to the active project's NAMESPACE_PREFIX)
+ * @returns {boolean} - True when the IDs refer to the same component
+ */
+function matchesNamespacedId(orgId, sheetId, prefix = config.NAMESPACE_PREFIX) {
+	if (orgId === sheetId) return true;
+	if (!prefix) return false;
+
+	const orgSegs = orgId.split('.');
+	const sheetSegs = sheetId.split('.');
+	if (orgSegs.length !== sheetSegs.length) return false;
+
+	return sheetSegs.every((seg, i) => orgSegs[i] === seg || orgSegs[i] === prefix + seg);
+}
+
+// Removes the namespace prefix from every segment (used to index candidate IDs only)
+function stripNamespace(id, prefix) {
+	return id
+		.split('.')
+		.map((seg) => (seg.startsWith(prefix) ? seg.slice(prefix.length) : seg))
+		.join('.');
+}
+
+/**
+ * Indexes IDs by their unprefixed form, to find the candidates of namespace-aware matches
+ * without comparing every pair of IDs (confirm candidates with matchesNamespacedId)
+ * @param {Iterable<string>} ids - IDs to index
+ * @param {string} prefix - Namespace prefix
+ * @returns {Function} - (id) => IDs with the same unprefixed form as id (empty array when none)
+ */
+function indexByUnprefixedId(ids, prefix) {
+	const index = new Map();
+	for (const id of ids) {
+		const key = stripNamespace(id, prefix);
+		if (!index.has(key)) index.set(key, []);
+		index.get(key).push(id);
+	}
+	return (id) => index.get(stripNamespace(id, prefix)) || [];
+}
+
+/**
+ * Maps prefixed segment IDs of an imported file to the canonical sheet IDs
+ * A segment keeps its ID when it exists in the sheet as is, matches no sheet row (new component)
+ * or cannot be mapped unambiguously. Ambiguous mappings are reported as collisions, never merged:
+ * - 'ambiguous' - the ID matches several sheet rows
+ * - 'duplicate' - the canonical ID is already used by another segment of the file
+ *
+ * @param {Array} segments - Parsed segments ({ id, ... })
+ * @param {Array<string>} sheetIds - IDs of the sheet rows
+ * @param {string} prefix - Namespace prefix (defaults to the active project's NAMESPACE_PREFIX)
+ * @returns {Object} - { segments, normalized: [{ from, to }], collisions: [{ id, reason, candidates }] }
+ */
+function normalizeNamespacedIds(segments, sheetIds, prefix = config.NAMESPACE_PREFIX) {
+	if (!prefix) {
+		return { segments, normalized: [], collisions: [] };
+	}
+
+	const sheetIdSet = new Set(sheetIds);
+	const candidatesOf = indexByUnprefixedId(sheetIds, prefix);
+
+	// Canonical IDs taken by segments of the file (exact IDs first, so they win over prefixed duplicates)
+	const claimed = new Set(segments.map((seg) => seg.id).filter((id) => sheetIdSet.has(id)));
+	const normalized = [];
+	const collisions = [];
+
+	const result = segments.map((seg) => {
+		if (sheetIdSet.has(seg.id) || !seg.id.includes(prefix)) return seg;
+
+		const candidates = candidatesOf(seg.id).filter((id) => matchesNamespacedId(seg.id, id, prefix));
+
+		if (candidates.length === 0) return seg;
+
+		if (candidates.length > 1) {
+			collisions.push({ id: seg.id, reason: 'ambiguous', candidates });
+			return seg;
+		}
+
+		const [canonicalId] = candidates;
+		if (claimed.has(canonicalId)) {
+			collisions.push({ id: seg.id, reason: 'duplicate', candidates });
+			return seg;
+		}
+
+		claimed.add(canonicalId);
+		normalized.push({ from: seg.id, to: canonicalId });
+		return { ...seg, id: canonicalId };
+	});
+
+	return { segments: result, normalized, collisions };
+}
+
+/**
+ * Describes a namespace collision for log output
+ * @param {Object} collision - Collision from normalizeNamespacedIds
+ * @returns {string} - e.g. "matches several sheet rows: A.Foo, A.bn2gp__Foo"
+ */
+function describeNamespaceCollision(collision) {
+	return collision.reason === 'ambiguous'
+		? `matches several sheet rows: ${collision.candidates.join(', ')}`
+		: `${collision.candidates[0]} is already imported from another unit of the file`;
+}
+
+module.exports = {
+	matchesNamespacedId,
+	indexByUnprefixedId,
+	normalizeNamespacedIds,
+	describeNamespaceCollision,
+};
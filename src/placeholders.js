@@ -0,0 +1,128 @@
+/**
+ * Placeholder and merge-field integrity checks
+ * Salesforce labels carry tokens that must survive translation unchanged, otherwise the label
+ * fails at runtime in the org:
+ * - Positional parameters: {0}, {1,number}
+ * - Merge fields: {!Account.Name}, {!$Label.MyLabel}
+ * - printf-style specifiers: %s, %d, %1$s, %%
+ * - HTML entities: &amp;, &#39;, &#x27;
+ */
+
+// Order matters: merge fields before positional parameters, both start with '{'
+const PLACEHOLDER_PATTERN = /\{![^}]*\}|\{\d+(?:,[^}]*)?\}|%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?[sdfiuxXoeEgGc%]|&(?:#\d+|#x[0-9a-fA-F]+|[a-zA-Z][a-zA-Z0-9]*);/g;
+
+/**
+ * Extracts placeholder tokens from a text
+ * @param {string} text - Source or translated text
+ * @returns {Array<string>} - Tokens in order of appearance (duplicates kept)
+ */
+function extractPlaceholders(text) {
+	if (!text || typeof text !== 'string') return [];
+	return text.match(PLACEHOLDER_PATTERN) || [];
+}
+
+// Counts occurrences of each token
+function countTokens(tokens) {
+	const counts = new Map();
+	tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+	return counts;
+}
+
+// Returns tokens of `a` not covered by `b`, keeping multiplicity
+function subtractTokens(a, b) {
+	const result = [];
+	for (const [token, count] of a) {
+		const diff = count - (b.get(token) || 0);
+		for (let i = 0; i < diff; i++) result.push(token);
+	}
+	return result;
+}
+
+/**
+ * Compares placeholders of a translation against its source
+ * A changed token (e.g. {!Account.Name} -> {!Compte.Nom}) is reported as one missing and one extra token.
+ * @param {string} source - Source text
+ * @param {string} translation - Translated text
+ * @returns {Object|null} - { missing, extra } arrays of tokens, or null when placeholders match
+ */
+function checkPlaceholders(source, translation) {
+	const sourceCounts = countTokens(extractPlaceholders(source));
+	const translationCounts = countTokens(extractPlaceholders(translation));
+
+	const missing = subtractTokens(sourceCounts, translationCounts);
+	const extra = subtractTokens(translationCounts, sourceCounts);
+
+	if (missing.length === 0 && extra.length === 0) return null;
+	return { missing, extra };
+}
+
+/**
+ * Formats a placeholder check result for log output
+ * @param {Object} result - Result of checkPlaceholders
+ * @returns {string} - e.g. "missing {0}; extra {1}"
+ */
+function describePlaceholderError(result) {
+	const parts = [];
+	if (result.missing.length > 0) parts.push(`missing ${result.missing.join(' ')}`);
+	if (result.extra.length > 0) parts.push(`extra ${result.extra.join(' ')}`);
+	return parts.join('; ');
+}
+
+// Escapes markup characters of plain text parts
+function escapeMarkup(text) {
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Reverts escapeMarkup
+function unescapeMarkup(text) {
+	// MT engines in HTML mode may also return quotes as entities
+	return text
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&#39;|&apos;/g, "'")
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * Replaces placeholders with <ph id="n"/> tags so machine translation leaves them alone
+ * The rest of the text is escaped, so it can be sent to MT engines in HTML/XML tag-handling mode.
+ * @param {string} text - Source text
+ * @returns {Object} - { masked, tokens } - masked text and the replaced tokens by tag id
+ */
+function maskPlaceholders(text) {
+	const tokens = [];
+	let masked = '';
+	let last = 0;
+	const value = text || '';
+
+	for (const match of value.matchAll(PLACEHOLDER_PATTERN)) {
+		masked += escapeMarkup(value.slice(last, match.index)) + `<ph id="${tokens.length}"/>`;
+		tokens.push(match[0]);
+		last = match.index + match[0].length;
+	}
+	masked += escapeMarkup(value.slice(last));
+
+	return { masked, tokens };
+}
+
+/**
+ * Restores placeholders in a machine-translated text produced from maskPlaceholders
+ * Accepts the tag forms MT engines return (<ph id="0"/>, <ph id="0"></ph>, <ph id=0 />).
+ * @param {string} translated - Translated masked text
+ * @param {Array<string>} tokens - Tokens returned by maskPlaceholders
+ * @returns {string} - Plain translated text
+ */
+function unmaskPlaceholders(translated, tokens) {
+	const parts = (translated || '').split(/<ph\s+id=["']?(\d+)["']?\s*\/?>(?:<\/ph>)?/);
+	// split() with a capture group alternates text parts and tag ids
+	return parts.map((part, i) => (i % 2 === 0 ? unescapeMarkup(part) : tokens[Number(part)] || '')).join('');
+}
+
+module.exports = {
+	extractPlaceholders,
+	checkPlaceholders,
+	describePlaceholderError,
+	maskPlaceholders,
+	unmaskPlaceholders,
+};
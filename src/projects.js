@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const Ajv = require('ajv');
+
+/**
+ * Project registry
+ * A projects file (see projects.schema.json) defines several named projects, each with its own
+ * sheet, tab, language map, source language and column, ID exclusion rules and namespace prefix:
+ *
+ *   {
+ *     "defaultProject": "bn2gp",
+ *     "projects": {
+ *       "bn2gp": { "sheetId": "...", "sheetName": "BN_Translation", "languages": { "French": "fr" } }
+ *     }
+ *   }
+ *
+ * Without a projects file the built-in settings of config.js form the only project, 'default'.
+ * The active project is chosen once per process (CLI --project) or per request (runWithProject).
+ */
+
+const DEFAULT_PROJECT_NAME = 'default';
+
+const SCHEMA_PATH = path.join(__dirname, '../projects.schema.json');
+
+let projects = new Map();
+let defaultProjectName = DEFAULT_PROJECT_NAME;
+let selectedProjectName = null;
+let projectsFilePath = null;
+
+// Project chosen for the current request (server); takes precedence over the process-wide selection
+const requestProject = new AsyncLocalStorage();
+
+let schemaValidator = null;
+
+// Compiles projects.schema.json once ('regex' strings must compile as JavaScript regular expressions)
+function getSchemaValidator() {
+	if (!schemaValidator) {
+		const ajv = new Ajv({ allErrors: true });
+		ajv.addFormat('regex', (value) => {
+			try {
+				new RegExp(value);
+				return true;
+			} catch (error) {
+				return false;
+			}
+		});
+		schemaValidator = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8')));
+	}
+	return schemaValidator;
+}
+
+// Formats a schema error, e.g. "projects.bn2gp.sheetId must NOT have fewer than 1 characters"
+function formatSchemaError(error) {
+	const location = error.instancePath
+		.split('/')
+		.slice(1)
+		.map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+		.reduce((result, part) => (/^\d+$/.test(part) ? `${result}[${part}]` : result ? `${result}.${part}` : part), '');
+	const detail = error.params.additionalProperty ? ` (${error.params.additionalProperty})` : '';
+	return `${location || 'Projects file'} ${error.message}${detail}`;
+}
+
+/**
+ * Validates a parsed projects file against projects.schema.json
+ * The schema cannot express that defaultProject names a defined project, so that is checked here.
+ * @param {Object} data - Parsed projects file
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+function validateProjectsConfig(data) {
+	const validate = getSchemaValidator();
+	if (!validate(data)) {
+		return validate.errors.map(formatSchemaError);
+	}
+
+	if (data.defaultProject !== undefined && !Object.prototype.hasOwnProperty.call(data.projects, data.defaultProject)) {
+		return [`defaultProject "${data.defaultProject}" is not defined in projects`];
+	}
+	return [];
+}
+
+/**
+ * Loads the projects file, falling back to the built-in project when it does not exist
+ * Called once on startup (config.js); an invalid file stops the process with all validation errors.
+ * @param {string} filePath - Path of the projects file
+ * @param {Object} builtInProject - { sheetId, sheetName, languages, sourceLanguage, sourceColumn, idExcludePatterns,
+ *   namespacePrefix } - the source settings are also the defaults of projects that leave them out
+ */
+function initProjects(filePath, builtInProject) {
+	projects = new Map();
+	selectedProjectName = null;
+	projectsFilePath = filePath;
+
+	if (!fs.existsSync(filePath)) {
+		projects.set(DEFAULT_PROJECT_NAME, { name: DEFAULT_PROJECT_NAME, ...builtInProject });
+		defaultProjectName = DEFAULT_PROJECT_NAME;
+		return;
+	}
+
+	let data;
+	try {
+		data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+	} catch (error) {
+		throw new Error(`Invalid projects file ${filePath}: ${error.message}`);
+	}
+
+	const errors = validateProjectsConfig(data);
+	if (errors.length > 0) {
+		throw new Error(`Invalid projects file ${filePath}:\n  ${errors.join('\n  ')}`);
+	}
+
+	Object.entries(data.projects).forEach(([name, project]) => {
+		projects.set(name, {
+			name,
+			sheetId: project.sheetId,
+			sheetName: project.sheetName,
+			languages: project.languages,
+			sourceLanguage: project.sourceLanguage || builtInProject.sourceLanguage,
+			sourceColumn: project.sourceColumn || builtInProject.sourceColumn,
+			idExcludePatterns: (project.idExcludePatterns || []).map((pattern) => new RegExp(pattern)),
+			namespacePrefix: project.namespacePrefix || '',
+			localStorePath: project.localStorePath,
+		});
+	});
+	defaultProjectName = data.defaultProject || Object.keys(data.projects)[0];
+}
+
+/**
+ * Gets a project by name
+ * @param {string} name - Project name
+ * @returns {Object} - Project settings
+ */
+function getProject(name) {
+	const project = projects.get(name);
+	if (!project) {
+		throw new Error(`Unknown project: ${name}. Available projects: ${listProjects().join(', ')}`);
+	}
+	return project;
+}
+
+/**
+ * Selects the project for the whole process (CLI --project)
+ * @param {string|null} name - Project name (null keeps the default project)
+ */
+function selectProject(name) {
+	if (!name) return;
+	getProject(name);
+	selectedProjectName = name;
+}
+
+/**
+ * Runs a function with a project active for everything it awaits (one server request)
+ * @param {string|null} name - Project name (null uses the process-wide project)
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+function runWithProject(name, fn) {
+	if (!name) return fn();
+	getProject(name);
+	return requestProject.run(name, fn);
+}
+
+/**
+ * Gets the active project: the request project, the selected project or the default project
+ * @returns {Object} - Project settings
+ */
+function getActiveProject() {
+	return getProject(requestProject.getStore() || selectedProjectName || defaultProjectName);
+}
+
+/**
+ * Converts a project to its projects file entry
+ * @param {Object} project - Project settings
+ * @returns {Object} - JSON entry (regular expressions as strings)
+ */
+function toProjectEntry(project) {
+	const entry = {
+		sheetId: project.sheetId,
+		sheetName: project.sheetName,
+		languages: project.languages,
+		sourceLanguage: project.sourceLanguage,
+		sourceColumn: project.sourceColumn,
+		idExcludePatterns: project.idExcludePatterns.map((pattern) => pattern.source),
+		namespacePrefix: project.namespacePrefix,
+	};
+	if (project.localStorePath) entry.localStorePath = project.localStorePath;
+	return entry;
+}
+
+/**
+ * Registers a language column of a project and saves it to the projects file
+ * Without a projects file, one is created from the built-in project.
+ * @param {string} name - Project name
+ * @param {string} column - Language column name (e.g. 'Russian')
+ * @param {string} code - Language code (e.g. 'ru')
+ * @returns {string} - Path of the saved projects file
+ */
+function registerProjectLanguage(name, column, code) {
+	const project = getProject(name);
+	project.languages = { ...project.languages, [column]: code };
+
+	let data;
+	if (fs.existsSync(projectsFilePath)) {
+		data = JSON.parse(fs.readFileSync(projectsFilePath, 'utf-8'));
+		data.projects[name].languages = project.languages;
+	} else {
+		data = {
+			$schema: path.relative(path.dirname(projectsFilePath), SCHEMA_PATH).replace(/\\/g, '/'),
+			defaultProject: defaultProjectName,
+			projects: Object.fromEntries(Array.from(projects.values()).map((p) => [p.name, toProjectEntry(p)])),
+		};
+	}
+
+	fs.writeFileSync(projectsFilePath, JSON.stringify(data, null, '\t') + '\n');
+	return projectsFilePath;
+}
+
+/**
+ * Lists the names of all configured projects
+ * @returns {Array<string>} - Project names
+ */
+function listProjects() {
+	return Array.from(projects.keys());
+}
+
+/**
+ * Gets the name of the default project
+ * @returns {string} - Project name
+ */
+function getDefaultProjectName() {
+	return defaultProjectName;
+}
+
+module.exports = {
+	validateProjectsConfig,
+	initProjects,
+	getProject,
+	selectProject,
+	runWithProject,
+	getActiveProject,
+	listProjects,
+	getDefaultProjectName,
+	registerProjectLanguage,
+};
@@ -0,0 +1,172 @@
+const { normalizeLanguageCode } = require('./xlf-parser');
+
+/**
+ * Language codes supported by Salesforce Translation Workbench
+ * Language code -> Salesforce language name, by support level.
+ * See "Supported Languages" in the Salesforce Help.
+ */
+
+const FULLY_SUPPORTED = {
+	zh_CN: 'Chinese (Simplified)',
+	zh_TW: 'Chinese (Traditional)',
+	da: 'Danish',
+	nl_NL: 'Dutch',
+	en_US: 'English',
+	fi: 'Finnish',
+	fr: 'French',
+	de: 'German',
+	it: 'Italian',
+	ja: 'Japanese',
+	ko: 'Korean',
+	no: 'Norwegian',
+	pt_BR: 'Portuguese (Brazil)',
+	ru: 'Russian',
+	es: 'Spanish',
+	es_MX: 'Spanish (Mexico)',
+	sv: 'Swedish',
+	th: 'Thai',
+};
+
+const END_USER = {
+	ar: 'Arabic',
+	bg: 'Bulgarian',
+	hr: 'Croatian',
+	cs: 'Czech',
+	en_GB: 'English (UK)',
+	el: 'Greek',
+	iw: 'Hebrew',
+	hu: 'Hungarian',
+	in: 'Indonesian',
+	pl: 'Polish',
+	pt_PT: 'Portuguese (European)',
+	ro: 'Romanian',
+	sk: 'Slovak',
+	sl: 'Slovenian',
+	tr: 'Turkish',
+	uk: 'Ukrainian',
+	vi: 'Vietnamese',
+};
+
+const PLATFORM_ONLY = {
+	sq: 'Albanian',
+	ar_DZ: 'Arabic (Algeria)',
+	ar_BH: 'Arabic (Bahrain)',
+	ar_EG: 'Arabic (Egypt)',
+	ar_IQ: 'Arabic (Iraq)',
+	ar_JO: 'Arabic (Jordan)',
+	ar_KW: 'Arabic (Kuwait)',
+	ar_LB: 'Arabic (Lebanon)',
+	ar_LY: 'Arabic (Libya)',
+	ar_MA: 'Arabic (Morocco)',
+	ar_OM: 'Arabic (Oman)',
+	ar_QA: 'Arabic (Qatar)',
+	ar_SA: 'Arabic (Saudi Arabia)',
+	ar_SD: 'Arabic (Sudan)',
+	ar_SY: 'Arabic (Syria)',
+	ar_TN: 'Arabic (Tunisia)',
+	ar_AE: 'Arabic (United Arab Emirates)',
+	ar_YE: 'Arabic (Yemen)',
+	hy: 'Armenian',
+	eu: 'Basque',
+	bs: 'Bosnian',
+	bn: 'Bengali',
+	my: 'Burmese',
+	ca: 'Catalan',
+	zh_HK: 'Chinese (Hong Kong)',
+	zh_SG: 'Chinese (Singapore)',
+	zh_MO: 'Chinese (Macau)',
+	en_AU: 'English (Australia)',
+	en_CA: 'English (Canada)',
+	en_HK: 'English (Hong Kong)',
+	en_IN: 'English (India)',
+	en_IE: 'English (Ireland)',
+	en_MY: 'English (Malaysia)',
+	en_NZ: 'English (New Zealand)',
+	en_PH: 'English (Philippines)',
+	en_SG: 'English (Singapore)',
+	en_ZA: 'English (South Africa)',
+	et: 'Estonian',
+	fr_BE: 'French (Belgium)',
+	fr_CA: 'French (Canada)',
+	fr_LU: 'French (Luxembourg)',
+	fr_CH: 'French (Switzerland)',
+	ka: 'Georgian',
+	de_AT: 'German (Austria)',
+	de_BE: 'German (Belgium)',
+	de_LU: 'German (Luxembourg)',
+	de_CH: 'German (Switzerland)',
+	gu: 'Gujarati',
+	hi: 'Hindi',
+	is: 'Icelandic',
+	ga: 'Irish',
+	it_CH: 'Italian (Switzerland)',
+	kn: 'Kannada',
+	kk: 'Kazakh',
+	km: 'Khmer',
+	lv: 'Latvian',
+	lt: 'Lithuanian',
+	lb: 'Luxembourgish',
+	mk: 'Macedonian',
+	ms: 'Malay',
+	ml: 'Malayalam',
+	mt: 'Maltese',
+	mr: 'Marathi',
+	ro_MD: 'Moldovan',
+	sh_ME: 'Montenegrin',
+	pa: 'Punjabi',
+	rm: 'Romansh',
+	sr: 'Serbian (Cyrillic)',
+	sh: 'Serbian (Latin)',
+	es_AR: 'Spanish (Argentina)',
+	es_BO: 'Spanish (Bolivia)',
+	es_CL: 'Spanish (Chile)',
+	es_CO: 'Spanish (Colombia)',
+	es_CR: 'Spanish (Costa Rica)',
+	es_DO: 'Spanish (Dominican Republic)',
+	es_EC: 'Spanish (Ecuador)',
+	es_SV: 'Spanish (El Salvador)',
+	es_GT: 'Spanish (Guatemala)',
+	es_HN: 'Spanish (Honduras)',
+	es_NI: 'Spanish (Nicaragua)',
+	es_PA: 'Spanish (Panama)',
+	es_PY: 'Spanish (Paraguay)',
+	es_PE: 'Spanish (Peru)',
+	es_PR: 'Spanish (Puerto Rico)',
+	es_US: 'Spanish (United States)',
+	es_UY: 'Spanish (Uruguay)',
+	es_VE: 'Spanish (Venezuela)',
+	sw: 'Swahili',
+	tl: 'Tagalog',
+	ta: 'Tamil',
+	te: 'Telugu',
+	ur: 'Urdu',
+	cy: 'Welsh',
+	xh: 'Xhosa',
+	zu: 'Zulu',
+};
+
+// ISO codes accepted for the legacy Salesforce codes (this project maps Hebrew to 'he' and Indonesian to 'id')
+const ALIASES = {
+	he: 'iw',
+	id: 'in',
+};
+
+const SALESFORCE_LANGUAGES = { ...FULLY_SUPPORTED, ...END_USER, ...PLATFORM_ONLY };
+
+/**
+ * Finds the Salesforce language for a language code
+ * Codes are compared like getLanguageName does (case-insensitive, '-' treated as '_').
+ * @param {string} code - Language code (e.g. 'fr', 'pt-BR', 'he')
+ * @returns {Object|null} - { code, name } with the Salesforce code, or null when unsupported
+ */
+function findSalesforceLanguage(code) {
+	const normalized = normalizeLanguageCode(code);
+	const lookup = ALIASES[normalized] || normalized;
+	const match = Object.keys(SALESFORCE_LANGUAGES).find((sfCode) => normalizeLanguageCode(sfCode) === lookup);
+	return match ? { code: match, name: SALESFORCE_LANGUAGES[match] } : null;
+}
+
+module.exports = {
+	SALESFORCE_LANGUAGES,
+	findSalesforceLanguage,
+};
@@ -2,22 +2,179 @@ require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
+const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs').promises;
-const { syncXLFtoSheet, generateXLF, getLanguages } = require('./main');
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+	syncXLFtoSheet,
+	importTranslations,
+	getReviewQueue,
+	resolveReviews,
+	generateXLF,
+	generateAllXLF,
+	getCoverage,
+	getReviewStates,
+	setReviewState,
+	listRows,
+	validateEdits,
+	saveEdits,
+	addLanguage,
+	getLanguages,
+} = require('./main');
+const { describeStore, getStoreStats } = require('./store');
+const {
+	getExportFilename,
+	buildExportReport,
+	buildGapReportCSV,
+	countGaps,
+	skippedGaps,
+	createExportBundle,
+	createExportBundleStream,
+} = require('./bundle');
+const { formatCoverageCSV } = require('./coverage');
+const { buildSharedScript } = require('./shared-script');
+const { parseIdList, parseMaskFile, createExportMask } = require('./mask');
+const config = require('./config');
+const { runWithProject, listProjects, getDefaultProjectName } = require('./projects');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configure multer for file uploads (memory storage for serverless compatibility)
+// Upload size limit in MB of multipart files and raw request bodies. Raise it (UPLOAD_LIMIT_MB) for full org
+// exports with all extension packages, which can be larger
+const UPLOAD_LIMIT_MB = Number(process.env.UPLOAD_LIMIT_MB) || 200;
+
+// Configure multer for file uploads: written to temporary files and parsed as streams, so the size of an
+// upload does not count against memory (the files are removed when the response is done)
 const upload = multer({
-	storage: multer.memoryStorage(),
-	limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+	storage: multer.diskStorage({ destination: os.tmpdir() }),
+	limits: { fileSize: UPLOAD_LIMIT_MB * 1024 * 1024 },
 });
 
+// Token of the admin endpoints (/api/admin/...), sent as "Authorization: Bearer <token>".
+// Without ADMIN_TOKEN the admin endpoints are disabled
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// Content types of a file sent as the raw request body instead of a multipart form
+const RAW_UPLOAD_TYPES = [
+	'application/xml',
+	'text/xml',
+	'application/x-xliff+xml',
+	'text/plain',
+	'application/octet-stream',
+];
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '4mb' }));
 app.use(express.static('public'));
+app.use(checkProject);
+
+// Removes the temporary files of an upload once the response is done
+app.use((req, res, next) => {
+	res.on('close', () => {
+		[req.file, ...(Array.isArray(req.files) ? req.files : [])]
+			.filter((file) => file && file.path)
+			.forEach((file) => fs.unlink(file.path).catch(() => {}));
+	});
+	next();
+});
+
+/**
+ * Gets the project of a request: `project` body/form field or query parameter (default project when absent)
+ * @param {Object} req - Express request
+ * @returns {string|null} - Project name
+ */
+function projectOf(req) {
+	return (req.body && req.body.project) || req.query.project || null;
+}
+
+/**
+ * Rejects requests for a project that is not in the projects file (400)
+ * Registered for every request, and again after the upload middleware of multipart routes, whose `project`
+ * form field is only read by the upload middleware.
+ */
+function checkProject(req, res, next) {
+	const project = projectOf(req);
+	if (project && !listProjects().includes(project)) {
+		return res.status(400).json({
+			success: false,
+			error: `Unknown project: ${project}. Available projects: ${listProjects().join(', ')}`,
+		});
+	}
+	next();
+}
+
+/**
+ * Reads a list field: a JSON array, repeated form fields, or a string separated by commas or line breaks
+ * @param {Array|string|undefined} value - Field value
+ * @param {RegExp} separator - Separator of string values
+ * @returns {Array<string>} - Values
+ */
+function listField(value, separator = /[\r\n,]+/) {
+	if (value === undefined || value === null) return [];
+	const values = Array.isArray(value) ? value : [value];
+	return values.flatMap((item) => String(item).split(separator)).map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Gets the translation file of an import request as a stream
+ * The file is either the multipart field `xlf` or the raw request body (Content-Type application/xml, text/plain,
+ * application/octet-stream, ...), which is parsed while it is uploaded.
+ * @param {Object} req - Express request
+ * @returns {Readable|null} - File stream, or null when the request carries no file
+ */
+function uploadOf(req) {
+	if (req.file) return createReadStream(req.file.path);
+	return req.is(RAW_UPLOAD_TYPES) ? limitUpload(req) : null;
+}
+
+// Passes a raw request body through, failing once it exceeds UPLOAD_LIMIT_MB (multer checks multipart files)
+async function* limitUpload(stream) {
+	const limit = UPLOAD_LIMIT_MB * 1024 * 1024;
+	let size = 0;
+	for await (const chunk of stream) {
+		size += chunk.length;
+		if (size > limit) {
+			throw new Error(`File too large: the upload limit is ${UPLOAD_LIMIT_MB} MB (UPLOAD_LIMIT_MB)`);
+		}
+		yield chunk;
+	}
+}
+
+/**
+ * Builds the export mask of a request
+ * Accepts uploaded mask files (multipart field `mask`: source XLF, STF or plain ID list, may be repeated)
+ * and the body fields `maskIds`, `maskCategories`, `excludeCategories` and `maskPatterns` (one regex per line).
+ * @param {Object} req - Express request (JSON or multipart)
+ * @returns {Promise<Object|null>} - Export mask or null when the request defines none
+ */
+async function maskOf(req) {
+	const body = req.body || {};
+	const ids = typeof body.maskIds === 'string' ? parseIdList(body.maskIds) : listField(body.maskIds);
+	for (const file of req.files || []) {
+		ids.push(...(await parseMaskFile(createReadStream(file.path))));
+	}
+
+	return createExportMask({
+		ids,
+		categories: listField(body.maskCategories),
+		excludeCategories: listField(body.excludeCategories),
+		patterns: listField(body.maskPatterns, /\r?\n/),
+	});
+}
+
+// Reads a boolean field of a JSON or multipart body
+function booleanField(value) {
+	return value === true || value === 'true';
+}
+
+// Sets the X-Export-Summary header of a streamed download: URI-encoded JSON with the counts of the reports
+function setExportSummary(res, summary) {
+	res.set('X-Export-Summary', encodeURIComponent(JSON.stringify(summary)));
+}
 
 /**
  * GET / - Serve main page
@@ -26,24 +183,29 @@ app.get('/', (req, res) => {
 	res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
+/**
+ * GET /shared.js - Modules shared with the web client (width, placeholders), see shared-script.js
+ */
+app.get('/shared.js', (req, res) => {
+	res.type('application/javascript').send(buildSharedScript());
+});
+
 /**
  * POST /api/import - Import XLF to Google Sheets
- * Upload XLF file and sync to Google Sheets
+ * Upload XLF file (multipart field `xlf`, or the raw request body, see uploadOf) and sync to Google Sheets
  */
-app.post('/api/import', upload.single('xlf'), async (req, res) => {
+app.post('/api/import', upload.single('xlf'), checkProject, async (req, res) => {
 	try {
-		if (!req.file) {
+		const xlfStream = uploadOf(req);
+		if (!xlfStream) {
 			return res.status(400).json({
 				success: false,
 				error: 'No file uploaded',
 			});
 		}
 
-		// Read uploaded file from memory buffer
-		const xlfContent = req.file.buffer.toString('utf-8');
-
-		// Sync to Google Sheets
-		const result = await syncXLFtoSheet(xlfContent);
+		// Sync to Google Sheets, parsing the file as it is read
+		const result = await runWithProject(projectOf(req), () => syncXLFtoSheet(xlfStream));
 
 		if (result.success) {
 			res.json(result);
@@ -62,16 +224,41 @@ app.post('/api/import', upload.single('xlf'), async (req, res) => {
  * POST /api/preview-import - Dry-run import to preview how many records will be affected
  * Accepts the same payload as /api/import but does not write to Google Sheets
  */
-app.post('/api/preview-import', upload.single('xlf'), async (req, res) => {
+app.post('/api/preview-import', upload.single('xlf'), checkProject, async (req, res) => {
 	try {
-		if (!req.file) {
+		const xlfStream = uploadOf(req);
+		if (!xlfStream) {
 			return res.status(400).json({ success: false, error: 'No file uploaded' });
 		}
 
-		const xlfContent = req.file.buffer.toString('utf-8');
-
 		// Run sync in dry-run mode — reads sheet but skips all writes
-		const result = await syncXLFtoSheet(xlfContent, true);
+		const result = await runWithProject(projectOf(req), () => syncXLFtoSheet(xlfStream, true));
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
+/**
+ * POST /api/import-translations - Backfill translations from a translated XLF
+ * Fills empty cells of the file's target-language column; conflicting cells are reported, not overwritten.
+ * Send dryRun=true in the form data (or the query string of a raw upload) to get the report without writing.
+ */
+app.post('/api/import-translations', upload.single('xlf'), checkProject, async (req, res) => {
+	try {
+		const xlfStream = uploadOf(req);
+		if (!xlfStream) {
+			return res.status(400).json({ success: false, error: 'No file uploaded' });
+		}
+
+		const dryRun = booleanField((req.body && req.body.dryRun) || req.query.dryRun);
+
+		const result = await runWithProject(projectOf(req), () => importTranslations(xlfStream, dryRun));
 
 		if (result.success) {
 			res.json(result);
@@ -83,16 +270,40 @@ app.post('/api/preview-import', upload.single('xlf'), async (req, res) => {
 	}
 });
 
+/**
+ * GET /api/projects - List configured projects (projects file or the built-in 'default' project)
+ */
+app.get('/api/projects', (req, res) => {
+	res.json({
+		success: true,
+		projects: listProjects(),
+		defaultProject: getDefaultProjectName(),
+	});
+});
+
+/**
+ * GET /api/health - Server status with the translation store and its API usage since startup
+ */
+app.get('/api/health', (req, res) => {
+	res.json({
+		success: true,
+		store: describeStore(),
+		sheetsApi: getStoreStats(),
+	});
+});
+
 /**
  * GET /api/languages - Get available languages
  */
 app.get('/api/languages', async (req, res) => {
 	try {
-		const languages = await getLanguages();
-		res.json({
-			success: true,
-			languages,
-		});
+		// The source language and column are settings of the request project as well
+		const result = await runWithProject(projectOf(req), async () => ({
+			languages: await getLanguages(),
+			sourceLanguage: config.SOURCE_LANGUAGE,
+			sourceColumn: config.SOURCE_COLUMN,
+		}));
+		res.json({ success: true, ...result });
 	} catch (error) {
 		res.status(500).json({
 			success: false,
@@ -101,13 +312,70 @@ app.get('/api/languages', async (req, res) => {
 	}
 });
 
+/**
+ * Lets admin requests through: the Authorization header must carry ADMIN_TOKEN as bearer token
+ * Responds 403 while ADMIN_TOKEN is not set and 401 for a missing or wrong token.
+ */
+function requireAdmin(req, res, next) {
+	if (!ADMIN_TOKEN) {
+		return res.status(403).json({ success: false, error: 'Admin endpoints are disabled (set ADMIN_TOKEN)' });
+	}
+	const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+	const token = Buffer.from(match ? match[1] : '');
+	const expected = Buffer.from(ADMIN_TOKEN);
+	if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+		return res.status(401).json({ success: false, error: 'Invalid admin token' });
+	}
+	next();
+}
+
+/**
+ * POST /api/admin/languages - Add a translation language (admin token required, see requireAdmin)
+ * Body: { name, code, project? } - appends the sheet column and registers the Salesforce language code
+ */
+app.post('/api/admin/languages', requireAdmin, async (req, res) => {
+	try {
+		const { name, code } = req.body;
+
+		if (!name || !code) {
+			return res.status(400).json({ success: false, error: 'Language name and code are required' });
+		}
+
+		const result = await runWithProject(projectOf(req), () => addLanguage(name, code));
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
 /**
  * POST /api/export - Export XLF for specified language
  * Generates XLF file with translations from Google Sheets
+ * Optional body field `format` selects 'xlf' (default) or 'stf' (bilingual Salesforce Translation Format)
+ * Optional body field `version` selects the XLIFF version: '1.2' (default) or '2.0'
+ * Optional body field `includePlaceholderErrors` exports units with broken placeholders instead of skipping them
+ * Optional body field `unreviewedPolicy` ('skip' | 'include') overrides the policy for rows in review
+ * Optional body field `statePolicy` ('all' | 'reviewed' | 'approved') selects the review states to export
+ * Optional export mask (see maskOf): JSON fields, or a multipart form with the mask files in `mask`.
+ * The response lists the mask IDs without a sheet row in `unmatchedMaskIds`, and every unit left out of the file
+ * with the reason in `gaps` and as CSV in `gapReport` ({ filename, content } like the exported file).
+ * With `download=true` the response is the file itself, streamed as it is rendered (for very large exports);
+ * the X-Gap-Count header holds the number of skipped units and X-Export-Summary the counts of the reports
+ * ({ unitCount, gapCounts, placeholderErrors, termErrors }). With `report=gaps` the response is the gap report CSV alone,
+ * with `report=json` the JSON response without the file (the web client fetches it to list the skipped units).
  */
-app.post('/api/export', async (req, res) => {
+app.post('/api/export', upload.array('mask'), checkProject, async (req, res) => {
 	try {
-		const { language, maskIds } = req.body;
+		const { language, version, format, includePlaceholderErrors, unreviewedPolicy, statePolicy, download, report } =
+			req.body;
+		const gapReportOnly = report === 'gaps';
+		const reportOnly = report === 'json';
+		const streamed = booleanField(download) || gapReportOnly || reportOnly;
 
 		if (!language) {
 			return res.status(400).json({
@@ -116,27 +384,135 @@ app.post('/api/export', async (req, res) => {
 			});
 		}
 
-		// Build mask Set if IDs were provided from an optional source file uploaded by the client
-		const maskIdSet = maskIds && Array.isArray(maskIds) && maskIds.length > 0 ? new Set(maskIds) : null;
+		let mask;
+		try {
+			mask = await maskOf(req);
+		} catch (error) {
+			return res.status(400).json({ success: false, error: error.message });
+		}
 
 		// Generate XLF with translations from Google Sheets, optionally filtered by mask
-		const result = await generateXLF(language, maskIdSet);
+		const result = await runWithProject(projectOf(req), () =>
+			generateXLF(language, mask, {
+				format: format || 'xlf',
+				version: version || '1.2',
+				includePlaceholderErrors: booleanField(includePlaceholderErrors),
+				unreviewedPolicy,
+				statePolicy,
+				stream: streamed,
+			}),
+		);
 
-		if (result.success) {
-			// Return JSON with file content and metadata (including maxwidth errors)
-			const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-			const filename = `translation_${language}_${dateStr}.xlf`;
+		if (result.success && gapReportOnly) {
+			// The file stream is never read, so the file is not rendered
+			res.attachment(`gaps_${language}_${new Date().toISOString().split('T')[0]}.csv`);
+			res.type('text/csv').send(buildGapReportCSV([{ language, gaps: result.gaps }]));
+		} else if (result.success && streamed && !reportOnly) {
+			res.attachment(getExportFilename(language, new Date(), result.format));
+			res.set('X-Gap-Count', String(skippedGaps(result.gaps).length));
+			setExportSummary(res, {
+				unitCount: result.unitCount,
+				gapCounts: countGaps(result.gaps),
+				placeholderErrors: result.placeholderErrors.length,
+				termErrors: result.termErrors.length,
+			});
+			await pipeline(result.stream, res);
+		} else if (result.success) {
+			// Return JSON with file content and metadata (including maxwidth and placeholder errors);
+			// the file stream of a report request is never read, so the file is not rendered
+			const file = {};
+			if (!reportOnly) {
+				file.filename = getExportFilename(language, new Date(), result.format);
+				file.content = Buffer.from(result.xlfContent).toString('base64');
+			}
 
 			res.json({
 				success: true,
-				filename: filename,
-				content: Buffer.from(result.xlfContent).toString('base64'),
+				...file,
+				unitCount: result.unitCount,
 				maxwidthErrors: result.maxwidthErrors || [],
+				placeholderErrors: result.placeholderErrors || [],
+				unreviewedRows: result.unreviewedRows || [],
+				stateExcluded: result.stateExcluded || [],
+				termErrors: result.termErrors || [],
+				unmatchedMaskIds: result.unmatchedMaskIds || [],
+				gaps: result.gaps,
+				gapReport: {
+					filename: `gaps_${language}_${new Date().toISOString().split('T')[0]}.csv`,
+					content: Buffer.from(buildGapReportCSV([{ language, gaps: result.gaps }])).toString('base64'),
+				},
+			});
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		// A streamed download that fails midway can only be aborted
+		if (res.headersSent) {
+			res.destroy(error);
+			return;
+		}
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+/**
+ * POST /api/export-all - Export XLF files for all available languages as one ZIP
+ * Reads the sheet once; accepts the same mask and options as /api/export (without language).
+ * The ZIP contains one XLF per language, report.json, maxwidth-errors.csv and gaps.csv.
+ * With `download=true` the response is the ZIP itself, compressed and streamed as the files are rendered;
+ * the X-Export-Summary header holds the skipped units per language ({ languages: [{ language, gapCounts }] }).
+ */
+app.post('/api/export-all', upload.array('mask'), checkProject, async (req, res) => {
+	try {
+		const { version, includePlaceholderErrors, unreviewedPolicy, statePolicy, download } = req.body;
+		const streamed = booleanField(download);
+
+		let mask;
+		try {
+			mask = await maskOf(req);
+		} catch (error) {
+			return res.status(400).json({ success: false, error: error.message });
+		}
+
+		const result = await runWithProject(projectOf(req), () =>
+			generateAllXLF(mask, {
+				version: version || '1.2',
+				includePlaceholderErrors: booleanField(includePlaceholderErrors),
+				unreviewedPolicy,
+				statePolicy,
+				stream: streamed,
+			}),
+		);
+
+		if (result.success && streamed) {
+			res.attachment(`translations_${new Date().toISOString().split('T')[0]}.zip`);
+			setExportSummary(res, {
+				languages: result.files.map((file) => ({ language: file.language, gapCounts: countGaps(file.gaps) })),
+			});
+			await pipeline(createExportBundleStream(result.files), res);
+		} else if (result.success) {
+			const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+			const bundle = await createExportBundle(result.files);
+
+			res.json({
+				success: true,
+				filename: `translations_${dateStr}.zip`,
+				content: bundle.toString('base64'),
+				report: buildExportReport(result.files),
+				emptyLanguages: result.emptyLanguages,
+				unmatchedMaskIds: result.unmatchedMaskIds,
 			});
 		} else {
 			res.status(400).json(result);
 		}
 	} catch (error) {
+		if (res.headersSent) {
+			res.destroy(error);
+			return;
+		}
 		res.status(500).json({
 			success: false,
 			error: error.message,
@@ -144,6 +520,239 @@ app.post('/api/export', async (req, res) => {
 	}
 });
 
+/**
+ * POST /api/coverage - Translation coverage per language and category, with missing IDs
+ * Optional export mask measures coverage against a source file (same as /api/export)
+ * Optional body field `format` selects 'json' (default) or 'csv'
+ */
+app.post('/api/coverage', upload.array('mask'), checkProject, async (req, res) => {
+	try {
+		const { format } = req.body;
+
+		if (format && format !== 'json' && format !== 'csv') {
+			return res.status(400).json({ success: false, error: `Unsupported coverage format: ${format}` });
+		}
+
+		let mask;
+		try {
+			mask = await maskOf(req);
+		} catch (error) {
+			return res.status(400).json({ success: false, error: error.message });
+		}
+
+		const result = await runWithProject(projectOf(req), () => getCoverage(mask));
+
+		if (!result.success) {
+			return res.status(400).json(result);
+		}
+
+		if (format === 'csv') {
+			const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+			res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+			res.setHeader('Content-Disposition', `attachment; filename="coverage_${dateStr}.csv"`);
+			return res.send(formatCoverageCSV(result));
+		}
+
+		res.json(result);
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
+/**
+ * GET /api/review - List rows whose translations await review after a source text change
+ * Optional query filters: category, minSimilarity, maxSimilarity
+ */
+app.get('/api/review', async (req, res) => {
+	try {
+		const { category, minSimilarity, maxSimilarity } = req.query;
+		const result = await runWithProject(projectOf(req), () =>
+			getReviewQueue({
+				category: category || undefined,
+				minSimilarity: minSimilarity !== undefined ? Number(minSimilarity) : undefined,
+				maxSimilarity: maxSimilarity !== undefined ? Number(maxSimilarity) : undefined,
+			}),
+		);
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
+/**
+ * POST /api/review - Accept or reject old translations of rows in review, in bulk
+ * Body: { action: 'accept' | 'reject', ids?, category?, minSimilarity?, maxSimilarity?, dryRun? }
+ */
+app.post('/api/review', async (req, res) => {
+	try {
+		const { action, ids, category, minSimilarity, maxSimilarity, dryRun } = req.body;
+
+		if (!action) {
+			return res.status(400).json({ success: false, error: 'Review action not specified' });
+		}
+
+		const result = await runWithProject(projectOf(req), () =>
+			resolveReviews(
+				action,
+				{
+					ids: Array.isArray(ids) ? ids : undefined,
+					category: category || undefined,
+					minSimilarity: minSimilarity !== undefined ? Number(minSimilarity) : undefined,
+					maxSimilarity: maxSimilarity !== undefined ? Number(maxSimilarity) : undefined,
+				},
+				dryRun === true,
+			),
+		);
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
+/**
+ * GET /api/review-states - List translations of a language with their review state
+ * Query: language (required), optional state and category filters
+ */
+app.get('/api/review-states', async (req, res) => {
+	try {
+		const { language, state, category } = req.query;
+
+		if (!language) {
+			return res.status(400).json({ success: false, error: 'Language not specified' });
+		}
+
+		const result = await runWithProject(projectOf(req), () =>
+			getReviewStates(language, { state: state || undefined, category: category || undefined }),
+		);
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
+/**
+ * POST /api/review-states - Change the review state of translations
+ * Body: { language, state: 'draft' | 'reviewed' | 'approved', ids?, category?, from?, dryRun? }
+ */
+app.post('/api/review-states', async (req, res) => {
+	try {
+		const { language, state, ids, category, from, dryRun } = req.body;
+
+		if (!language || !state) {
+			return res.status(400).json({ success: false, error: 'Language and state are required' });
+		}
+
+		const result = await runWithProject(projectOf(req), () =>
+			setReviewState(
+				language,
+				state,
+				{
+					ids: Array.isArray(ids) ? ids : undefined,
+					category: category || undefined,
+					from: from || undefined,
+				},
+				dryRun === true,
+			),
+		);
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
+/**
+ * GET /api/rows - Sheet rows for the grid editor, one page at a time
+ * Query: category, active ('true' | 'false'), language, missing ('true'), search, page, pageSize
+ */
+app.get('/api/rows', async (req, res) => {
+	try {
+		const { category, active, language, missing, search, page, pageSize } = req.query;
+		const result = await runWithProject(projectOf(req), () =>
+			listRows({
+				category: category || undefined,
+				active: active || undefined,
+				language: language || undefined,
+				missing: missing === 'true',
+				search: search || undefined,
+				page,
+				pageSize,
+			}),
+		);
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
+/**
+ * POST /api/rows/validate - Validate translation edits without saving (maxwidth, placeholders)
+ * Body: { edits: [{ id, language, value }] }
+ */
+app.post('/api/rows/validate', async (req, res) => {
+	try {
+		const { edits } = req.body;
+
+		if (!Array.isArray(edits)) {
+			return res.status(400).json({ success: false, error: 'Edits not specified' });
+		}
+
+		const result = await runWithProject(projectOf(req), () => validateEdits(edits));
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
+/**
+ * POST /api/rows - Save translation edits; invalid edits are rejected, valid ones written with updateRows
+ * Body: { edits: [{ id, language, value }] }
+ */
+app.post('/api/rows', async (req, res) => {
+	try {
+		const { edits } = req.body;
+
+		const result = await runWithProject(projectOf(req), () => saveEdits(edits));
+
+		if (result.success) {
+			res.json(result);
+		} else {
+			res.status(400).json(result);
+		}
+	} catch (error) {
+		res.status(500).json({ success: false, error: error.message });
+	}
+});
+
 /**
  * GET /api/status - Check server status
  */
@@ -151,11 +760,16 @@ app.get('/api/status', (req, res) => {
 	res.json({
 		success: true,
 		status: 'running',
+		store: describeStore(),
 	});
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+	// Upload rejected by multer (e.g. larger than UPLOAD_LIMIT_MB)
+	if (err instanceof multer.MulterError) {
+		return res.status(400).json({ success: false, error: err.message });
+	}
 	console.error('Error:', err);
 	res.status(500).json({
 		success: false,
@@ -166,6 +780,7 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
 	console.log(`XLF Translator server running on http://localhost:${PORT}`);
+	console.log(`Translation store: ${describeStore()}`);
 	console.log(`Open http://localhost:${PORT} in your browser`);
 });
 
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Browser build of the pure modules the web client shares with the server
+ * The CommonJS sources are wrapped in a minimal module registry and served as one script (GET /shared.js),
+ * so the client formats and validates translations with the same code as the exports. Only modules
+ * without Node-specific dependencies can be listed; they may require each other with './name'.
+ */
+
+// Modules in the bundle, and the ones exposed to the client as window.shared.<name>
+const SHARED_MODULES = ['font-metrics', 'width', 'placeholders', 'validation'];
+const EXPOSED_MODULES = ['width', 'placeholders', 'validation'];
+
+let sharedScript = null;
+
+/**
+ * Builds the browser script (once per process)
+ * @returns {string} - JavaScript source defining window.shared
+ */
+function buildSharedScript() {
+	if (sharedScript) return sharedScript;
+
+	const definitions = SHARED_MODULES.map((name) => {
+		const source = fs.readFileSync(path.join(__dirname, `${name}.js`), 'utf-8');
+		return `definitions['./${name}'] = function (module, exports, require) {\n${source}\n};`;
+	});
+
+	sharedScript = `(function () {
+var definitions = {};
+var loaded = {};
+function require(name) {
+	if (!loaded[name]) {
+		var module = { exports: {} };
+		loaded[name] = module;
+		definitions[name](module, module.exports, require);
+	}
+	return loaded[name].exports;
+}
+${definitions.join('\n')}
+window.shared = {
+${EXPOSED_MODULES.map((name) => `\t'${name}': require('./${name}'),`).join('\n')}
+};
+})();
+`;
+	return sharedScript;
+}
+
+module.exports = {
+	buildSharedScript,
+};
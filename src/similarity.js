@@ -0,0 +1,50 @@
+/**
+ * Text similarity helpers used to rate source text changes
+ */
+
+/**
+ * Computes the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Minimum number of single-character insertions, deletions or substitutions
+ */
+function levenshtein(a, b) {
+	if (a === b) return 0;
+	if (a.length === 0) return b.length;
+	if (b.length === 0) return a.length;
+
+	// Two-row dynamic programming table
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	let current = new Array(b.length + 1);
+
+	for (let i = 1; i <= a.length; i++) {
+		current[0] = i;
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+		}
+		[previous, current] = [current, previous];
+	}
+
+	return previous[b.length];
+}
+
+/**
+ * Rates how similar two source texts are, from 0 (completely different) to 1 (identical)
+ * A typo fix or capitalisation change scores close to 1.
+ * @param {string} oldText - Previous source text
+ * @param {string} newText - New source text
+ * @returns {number} - Similarity score rounded to two decimals
+ */
+function sourceSimilarity(oldText, newText) {
+	const a = oldText || '';
+	const b = newText || '';
+	const maxLength = Math.max(a.length, b.length);
+	if (maxLength === 0) return 1;
+	return Math.round((1 - levenshtein(a, b) / maxLength) * 100) / 100;
+}
+
+module.exports = {
+	levenshtein,
+	sourceSimilarity,
+};
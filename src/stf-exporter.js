@@ -0,0 +1,113 @@
+const config = require('./config');
+const { NEEDS_REVIEW } = config;
+const { selectExportRows } = require('./xlf-exporter');
+const { toStream } = require('./xlf-writer');
+
+/**
+ * Escapes tabs, line breaks and backslashes so a value fits in one tab-separated STF field
+ * @param {string} value - Plain text
+ * @returns {string} - Escaped field
+ */
+function escapeSTF(value) {
+	return String(value || '')
+		.replace(/\\/g, '\\\\')
+		.replace(/\t/g, '\\t')
+		.replace(/\r/g, '\\r')
+		.replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders a bilingual STF file line by line
+ * @param {string} langCode - Target language code
+ * @param {string} targetLang - Language display name (column with translations)
+ * @param {Array} rows - Rows with a valid translation (TRANSLATED section)
+ * @param {Array} untranslatedRows - Active rows without translation (UNTRANSLATED section)
+ * @returns {Generator<string>} - Lines, each ending with a line break
+ */
+function* renderSTF(langCode, targetLang, rows, untranslatedRows) {
+	const header = [
+		'# Use the Bilingual file to review translations, edit labels that have already been translated, and add translations for labels that haven\'t been translated.',
+		'# - The TRANSLATED section of the file contains the text that has been translated and needs to be reviewed.',
+		'# - The UNTRANSLATED section of the file contains text that hasn\'t been translated.',
+		'',
+		`Language code: ${langCode}`,
+		'Type: Bilingual',
+		'Translation type: Metadata',
+		'',
+		'------------------TRANSLATED-------------------',
+		'',
+		'# KEY\tLABEL\tTRANSLATION\tOUT OF DATE',
+		'',
+	];
+	for (const line of header) {
+		yield `${line}\n`;
+	}
+
+	for (const row of rows) {
+		// Rows exported under the 'include' review policy were translated for an older source
+		const outOfDate = row['source-review'] === NEEDS_REVIEW ? '*' : '-';
+		yield [row.id, escapeSTF(row[config.SOURCE_COLUMN]), escapeSTF(row[targetLang]), outOfDate].join('\t') + '\n';
+	}
+
+	for (const line of ['', '------------------UNTRANSLATED-----------------', '', '# KEY\tLABEL', '']) {
+		yield `${line}\n`;
+	}
+
+	for (const row of untranslatedRows) {
+		yield [row.id, escapeSTF(row[config.SOURCE_COLUMN])].join('\t') + '\n';
+	}
+}
+
+/**
+ * Generates a bilingual STF file (Salesforce Translation Format) for the specified language
+ * Rows are selected and validated exactly like exportXLF (active, mask, review policy, maxwidth,
+ * placeholders). Valid translations go to the TRANSLATED section, active rows without
+ * translation to the UNTRANSLATED section.
+ *
+ * @param {string} targetLang - Language display name (e.g., 'French', 'Spanish')
+ * @param {Array} sheetData - Data from Google Sheets
+ * @param {Object|null} mask - Optional export mask (see mask.js)
+ * @param {Object} options - Same options as exportXLF (version is ignored); with `stream` the file is
+ *   returned as a stream in `stream` instead of `stf`
+ * @returns {Promise<Object>} - { stf, unitCount, maxwidthErrors, placeholderErrors, unreviewedRows, stateExcluded, termErrors,
+ *   gaps }
+ */
+async function exportSTF(targetLang, sheetData, mask = null, options = {}) {
+	try {
+		const langCode = config.LANGUAGES[targetLang];
+		if (!langCode) {
+			throw new Error(`Unknown target language: ${targetLang}`);
+		}
+
+		const {
+			rows,
+			untranslatedRows,
+			maxwidthErrors,
+			placeholderErrors,
+			unreviewedRows,
+			stateExcluded,
+			termErrors,
+			gaps,
+		} = selectExportRows(targetLang, sheetData, mask, options);
+
+		const chunks = renderSTF(langCode, targetLang, rows, untranslatedRows);
+
+		return {
+			...(options.stream ? { stream: toStream(chunks) } : { stf: Array.from(chunks).join('') }),
+			unitCount: rows.length,
+			maxwidthErrors,
+			placeholderErrors,
+			unreviewedRows,
+			stateExcluded,
+			termErrors,
+			gaps,
+		};
+	} catch (error) {
+		throw new Error(`Failed to export STF: ${error.message}`);
+	}
+}
+
+module.exports = {
+	escapeSTF,
+	exportSTF,
+};
@@ -0,0 +1,161 @@
+const config = require('./config');
+const { isSourceLanguage } = require('./xlf-parser');
+const { textLines } = require('./text-stream');
+
+/**
+ * Salesforce Translation Format (.stf) parser
+ * Translation Workbench exports three tab-separated STF variants:
+ * - Source       - KEY, LABEL of every translatable item in the source language
+ * - Untranslated - KEY, LABEL of items without translation in the target language
+ * - Bilingual    - TRANSLATED section (KEY, LABEL, TRANSLATION, OUT OF DATE)
+ *                  and UNTRANSLATED section (KEY, LABEL)
+ * Header lines ("Language code: fr", "Type: Bilingual") precede the data, lines starting with '#' are comments.
+ * Bilingual lines marked out of date ('*' in OUT OF DATE) were translated for an older source text.
+ */
+
+const STF_TYPES = ['Source', 'Untranslated', 'Bilingual'];
+
+/**
+ * Reverts STF escaping of tabs, line breaks and backslashes in a field
+ * @param {string} value - Escaped field
+ * @returns {string} - Plain text
+ */
+function unescapeSTF(value) {
+	return value.replace(/\\(\\|n|t|r)/g, (match, ch) => {
+		if (ch === 'n') return '\n';
+		if (ch === 't') return '\t';
+		if (ch === 'r') return '\r';
+		return '\\';
+	});
+}
+
+// Header lines Translation Workbench writes before the data ("Language code: fr", "Type: Bilingual", ...)
+// and the section markers of Bilingual files
+const STF_HEADER_PATTERN = /^(Language code|Type|Translation type):/i;
+const STF_SECTION_PATTERN = /^-{3,}\s*[A-Z ]+?\s*-{3,}$/;
+
+// First line of a text that is neither blank nor a '#' comment; null when the text has no complete such line
+function firstContentLine(content) {
+	const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+	lines.pop(); // The last line may be incomplete
+	return lines.find((line) => line.trim() !== '' && !line.startsWith('#')) ?? null;
+}
+
+/**
+ * Checks whether enough of a file has been read to detect its format with isSTF
+ * (an XML start, or the first line after the comments)
+ * @param {string} head - Start of the file
+ * @returns {boolean} - True when isSTF can decide
+ */
+function isFormatDetectable(head) {
+	return head.replace(/^\uFEFF/, '').trimStart().startsWith('<') || firstContentLine(head) !== null;
+}
+
+/**
+ * Detects whether a translation file is STF: its first line after the '#' comments is an STF header line
+ * or section marker
+ * @param {string} content - File content, or its start as read by peekText(content, isFormatDetectable)
+ * @returns {boolean} - True for STF content
+ */
+function isSTF(content) {
+	const line = firstContentLine(`${content}\n`);
+	return line !== null && (STF_HEADER_PATTERN.test(line.trim()) || STF_SECTION_PATTERN.test(line.trim()));
+}
+
+/**
+ * Parses an STF file into the same shape as parseXLF
+ * STF carries no maxwidth, size-unit, notes or other unit metadata, so segments have maxwidth, sizeUnit,
+ * note, attributes and contextGroups set to null (unknown).
+ * The file is read line by line, so a stream is never loaded into memory as a whole.
+ * @param {string|Buffer|AsyncIterable} content - STF file content, or a stream of it
+ * @returns {Promise<Object>} - Parsed data with segments and metadata
+ */
+async function parseSTF(content) {
+	try {
+		const headers = {};
+		const segments = [];
+		const warnings = [];
+		let section = null;
+		let index = -1;
+
+		for await (const rawLine of textLines(content)) {
+			index++;
+			const line = index === 0 ? rawLine.replace(/^\uFEFF/, '') : rawLine;
+			if (line.trim() === '' || line.startsWith('#')) continue;
+
+			// Section marker: ------------------TRANSLATED-------------------
+			const sectionMatch = line.match(/^-{3,}\s*([A-Z ]+?)\s*-{3,}$/);
+			if (sectionMatch) {
+				section = sectionMatch[1];
+				continue;
+			}
+
+			// Header line before any data: "Language code: fr"
+			const headerMatch = !line.includes('\t') && line.match(/^([A-Za-z ]+):\s*(.*)$/);
+			if (headerMatch && segments.length === 0 && section === null) {
+				headers[headerMatch[1].trim().toLowerCase()] = headerMatch[2].trim();
+				continue;
+			}
+
+			const fields = line.split('\t');
+			if (fields.length < 2) {
+				warnings.push(`Line ${index + 1}: expected tab-separated KEY and LABEL`);
+				continue;
+			}
+
+			const [key, label, translation = '', outOfDate = ''] = fields;
+			segments.push({
+				id: key.trim(),
+				source: unescapeSTF(label),
+				target: section === 'TRANSLATED' ? unescapeSTF(translation) : '',
+				maxwidth: null,
+				sizeUnit: null,
+				note: null,
+				attributes: null,
+				contextGroups: null,
+				outOfDate: section === 'TRANSLATED' && outOfDate.trim() === '*',
+				original: '',
+				groupPath: section ? [section] : [],
+			});
+		}
+
+		const type = headers.type || '';
+		if (type && !STF_TYPES.includes(type)) {
+			warnings.push(`Unknown STF type: ${type}`);
+		}
+
+		// Source files state the source language; Untranslated/Bilingual files state the target language
+		const languageCode = headers['language code'];
+		const sourceLanguage = type === 'Source' ? languageCode : config.SOURCE_LANGUAGE;
+		const targetLanguage = type === 'Source' ? undefined : languageCode;
+
+		if (type === 'Source' && !isSourceLanguage(sourceLanguage)) {
+			throw new Error(`Invalid source language: ${sourceLanguage}. Only ${config.SOURCE_LANGUAGE} is supported.`);
+		}
+
+		if (segments.length === 0) {
+			warnings.push('No KEY/LABEL lines found. Unrecognised STF structure');
+		}
+
+		return {
+			version: 'stf',
+			type,
+			sourceLanguage,
+			targetLanguage,
+			original: '',
+			files: [{ original: '', sourceLanguage, targetLanguage, segmentCount: segments.length }],
+			segments,
+			warnings,
+		};
+	} catch (error) {
+		throw new Error(`Failed to parse STF: ${error.message}`);
+	}
+}
+
+module.exports = {
+	STF_TYPES,
+	isSTF,
+	isFormatDetectable,
+	parseSTF,
+	unescapeSTF,
+};
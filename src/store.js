@@ -0,0 +1,101 @@
+const config = require('./config');
+
+/**
+ * Translation store
+ * Single entry point for reading and writing translation rows. Every backend exposes
+ * the same interface as google-sheets.js:
+ *   getSheetHeaders({ fresh? }), readSheetData({ fresh? }), readSheet(), readTab(name), writeSheet(data),
+ *   updateRows(updates, headers?), appendRows(data, headers?), addColumn(name)
+ * readSheetData() returns { headers, rows } from one read; use it when an operation needs both. Callers that
+ * already have the headers pass them to updateRows/appendRows, so writes do not read them again.
+ * Reads whose rows or headers are written back pass { fresh: true } so they never come from a cache.
+ *
+ * Backends:
+ * - 'google-sheets' - shared Google Sheet (default, requires credentials)
+ * - 'local'         - CSV or JSON file on disk (offline, CI, throwaway setups)
+ */
+
+const BACKENDS = ['google-sheets', 'local'];
+
+let options = {
+	backend: config.STORE_BACKEND,
+	filePath: null, // null: the active project's LOCAL_STORE_PATH
+};
+let activeStore = null;
+let activeStoreKey = null;
+
+// Local store file in use: the override or the active project's file
+function getLocalStorePath() {
+	return options.filePath || config.LOCAL_STORE_PATH;
+}
+
+/**
+ * Overrides the configured backend (e.g. from CLI flags). Takes effect on the next store call.
+ * @param {Object} overrides - { backend?: string, filePath?: string }
+ */
+function configureStore(overrides = {}) {
+	options = {
+		backend: overrides.backend || options.backend,
+		filePath: overrides.filePath || options.filePath,
+	};
+	activeStore = null;
+	activeStoreKey = null;
+}
+
+/**
+ * Returns the active store, creating it on first use
+ * @returns {Object} - Store implementing the store interface
+ */
+function getStore() {
+	// The local store is recreated when the active project uses another file
+	// (the Google Sheets backend reads the project's sheet on every call)
+	const key = options.backend === 'local' ? `local:${getLocalStorePath()}` : options.backend;
+	if (activeStore && activeStoreKey === key) return activeStore;
+
+	if (!BACKENDS.includes(options.backend)) {
+		throw new Error(`Unknown translation store: ${options.backend}. Supported stores: ${BACKENDS.join(', ')}`);
+	}
+
+	if (options.backend === 'local') {
+		const { createLocalStore } = require('./local-store');
+		activeStore = createLocalStore(getLocalStorePath());
+	} else {
+		// Loaded lazily so the local backend works without Google credentials or API client setup
+		activeStore = { name: 'google-sheets', ...require('./google-sheets') };
+	}
+
+	activeStoreKey = key;
+	return activeStore;
+}
+
+/**
+ * Returns the API usage of the active store (Google Sheets request and cache counts)
+ * @returns {Object|null} - See google-sheets.js getApiStats; null for stores without an API (local)
+ */
+function getStoreStats() {
+	const store = getStore();
+	return store.getApiStats ? store.getApiStats() : null;
+}
+
+/**
+ * Describes the active store for log output
+ * @returns {string} - e.g. "google-sheets" or "local (translations.csv)"
+ */
+function describeStore() {
+	return options.backend === 'local' ? `local (${getLocalStorePath()})` : options.backend;
+}
+
+module.exports = {
+	configureStore,
+	getStore,
+	describeStore,
+	getStoreStats,
+	getSheetHeaders: (...args) => getStore().getSheetHeaders(...args),
+	readSheetData: (...args) => getStore().readSheetData(...args),
+	readSheet: (...args) => getStore().readSheet(...args),
+	readTab: (...args) => getStore().readTab(...args),
+	writeSheet: (...args) => getStore().writeSheet(...args),
+	updateRows: (...args) => getStore().updateRows(...args),
+	appendRows: (...args) => getStore().appendRows(...args),
+	addColumn: (...args) => getStore().addColumn(...args),
+};
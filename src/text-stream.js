@@ -0,0 +1,84 @@
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Text input helpers for the parsers
+ * Translation files may be passed as a string, a Buffer, or a stream (file read stream, upload request),
+ * so files of hundreds of MB are read chunk by chunk instead of being loaded into memory.
+ */
+
+/**
+ * Decodes an input to UTF-8 text chunks (multi-byte characters split across chunks are kept together)
+ * @param {string|Buffer|AsyncIterable} input - Text, Buffer, Readable stream or async iterable of chunks
+ * @returns {AsyncGenerator<string>} - Text chunks
+ */
+async function* textChunks(input) {
+	if (typeof input === 'string') {
+		yield input;
+		return;
+	}
+	if (Buffer.isBuffer(input)) {
+		yield input.toString('utf-8');
+		return;
+	}
+
+	const decoder = new StringDecoder('utf8');
+	for await (const chunk of input) {
+		const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+		if (text) yield text;
+	}
+	const rest = decoder.end();
+	if (rest) yield rest;
+}
+
+// True once a text has a non-blank character (after a byte order mark)
+function hasText(head) {
+	return head.replace(/^\uFEFF/, '').trim() !== '';
+}
+
+/**
+ * Reads the start of an input without consuming it, e.g. to detect the file format
+ * Chunks are read until isComplete(head) holds - by default until the text has a non-blank character - or the
+ * input ends.
+ * @param {string|Buffer|AsyncIterable} input - Text, Buffer or stream
+ * @param {Function} isComplete - (head) => true when enough text has been read
+ * @returns {Promise<Object>} - { head: text read so far, chunks: async iterable of the whole text, head included }
+ */
+async function peekText(input, isComplete = hasText) {
+	const iterator = textChunks(input)[Symbol.asyncIterator]();
+	let head = '';
+	while (!isComplete(head)) {
+		const { value, done } = await iterator.next();
+		if (done) break;
+		head += value;
+	}
+
+	async function* chunks() {
+		if (head) yield head;
+		for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+			yield next.value;
+		}
+	}
+
+	return { head, chunks: chunks() };
+}
+
+/**
+ * Splits an input into lines (\n or \r\n)
+ * @param {string|Buffer|AsyncIterable} input - Text, Buffer or stream
+ * @returns {AsyncGenerator<string>} - Lines without line breaks
+ */
+async function* textLines(input) {
+	let pending = '';
+	for await (const chunk of textChunks(input)) {
+		const lines = (pending + chunk).split(/\r?\n/);
+		pending = lines.pop();
+		yield* lines;
+	}
+	yield pending;
+}
+
+module.exports = {
+	textChunks,
+	peekText,
+	textLines,
+};
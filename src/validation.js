@@ -0,0 +1,32 @@
+const { checkWidth } = require('./width');
+const { checkPlaceholders } = require('./placeholders');
+
+/**
+ * Translation checks of the grid editor
+ * The same checks as the export (maxwidth, placeholders); shared with the web client (GET /shared.js),
+ * which validates edits as they are typed against the rows it has loaded.
+ */
+
+/**
+ * Validates a translation against its row
+ * @param {Object} row - { source, maxwidth, sizeUnit } of the row (as listed by GET /api/rows)
+ * @param {string} value - Translation
+ * @returns {Array<Object>} - Errors { type: 'maxwidth', width, maxwidth, sizeUnit, overflow } or
+ *   { type: 'placeholders', missing, extra } (empty when valid or when the value is empty)
+ */
+function validateTranslation(row, value) {
+	const errors = [];
+	if (!value || value.trim() === '') return errors;
+
+	const overflow = checkWidth(value, row.maxwidth, row.sizeUnit);
+	if (overflow) errors.push({ type: 'maxwidth', ...overflow });
+
+	const placeholderError = checkPlaceholders(row.source, value);
+	if (placeholderError) errors.push({ type: 'placeholders', ...placeholderError });
+
+	return errors;
+}
+
+module.exports = {
+	validateTranslation,
+};
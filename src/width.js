@@ -0,0 +1,94 @@
+const { FONT_SIZE, UNITS_PER_EM, DEFAULT_WIDTH, WIDE_WIDTH, ADVANCE_WIDTHS } = require('./font-metrics');
+
+/**
+ * Text width measurement for maxwidth checks
+ * The unit follows the row's size-unit:
+ * - char  (default) - grapheme clusters, so Thai vowel marks, Arabic diacritics, accents written as
+ *                     combining marks and emoji sequences count as what the user sees
+ * - pixel           - estimated rendering width from the bundled font metrics (font-metrics.js)
+ * - byte            - UTF-8 bytes
+ */
+
+const SIZE_UNITS = ['char', 'pixel', 'byte'];
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// East Asian wide characters and emoji (rendered at full em width)
+const WIDE_PATTERN =
+	/[ᄀ-ᅟ⺀-〾ぁ-㏿㐀-䶿一-鿿ꥠ-꥿가-힣豈-﫿︰-﹏＀-｠￠-￦]|\p{Extended_Pictographic}/u;
+
+/**
+ * Splits text into grapheme clusters
+ * @param {string} text - Text
+ * @returns {Array<string>} - Grapheme clusters
+ */
+function graphemes(text) {
+	return Array.from(segmenter.segment(text), (s) => s.segment);
+}
+
+// Advance width of one grapheme in font units: the base character decides, combining marks add nothing
+function graphemeWidth(grapheme) {
+	if (WIDE_PATTERN.test(grapheme)) return WIDE_WIDTH;
+
+	const base = grapheme.normalize('NFD')[0];
+	if (ADVANCE_WIDTHS[base] !== undefined) return ADVANCE_WIDTHS[base];
+	// Zero-width and control characters
+	if (/[\p{Cc}\p{Cf}\p{Mn}]/u.test(base)) return 0;
+	return DEFAULT_WIDTH;
+}
+
+/**
+ * Measures text in the given size unit
+ * @param {string} text - Text to measure
+ * @param {string} sizeUnit - 'char' (default), 'pixel' or 'byte'
+ * @returns {number} - Width (pixels are rounded up)
+ */
+function measureWidth(text, sizeUnit = 'char') {
+	const value = text ? String(text) : '';
+
+	if (sizeUnit === 'pixel') {
+		const units = graphemes(value).reduce((sum, g) => sum + graphemeWidth(g), 0);
+		return Math.ceil((units * FONT_SIZE) / UNITS_PER_EM);
+	}
+	if (sizeUnit === 'byte') {
+		return new TextEncoder().encode(value).length; // Also runs in the browser (shared-script.js)
+	}
+	return graphemes(value).length;
+}
+
+/**
+ * Checks text against a maxwidth limit
+ * @param {string} text - Translation
+ * @param {number|string} maxwidth - Limit (no check when empty or not a number)
+ * @param {string} sizeUnit - Row size-unit (empty or unknown units are measured as 'char')
+ * @returns {Object|null} - null when the text fits, otherwise { width, maxwidth, sizeUnit, overflow }
+ */
+function checkWidth(text, maxwidth, sizeUnit) {
+	if (maxwidth === undefined || maxwidth === null || maxwidth === '' || isNaN(Number(maxwidth))) return null;
+
+	const unit = SIZE_UNITS.includes(sizeUnit) ? sizeUnit : 'char';
+	const max = Number(maxwidth);
+	const width = measureWidth(text, unit);
+
+	if (width <= max) return null;
+	return { width, maxwidth: max, sizeUnit: unit, overflow: width - max };
+}
+
+/**
+ * Describes a maxwidth overflow for log output and the web client
+ * @param {Object} error - Maxwidth error ({ width, maxwidth, sizeUnit, overflow })
+ * @returns {string} - e.g. "12/10 char, 2 over" ("max: 10" when the width was not measured)
+ */
+function describeOverflow(error) {
+	if (error.width === undefined) return `max: ${error.maxwidth}`;
+	const unit = error.sizeUnit === 'pixel' ? 'px' : error.sizeUnit;
+	return `${error.width}/${error.maxwidth} ${unit}, ${error.overflow} over`;
+}
+
+module.exports = {
+	SIZE_UNITS,
+	graphemes,
+	measureWidth,
+	checkWidth,
+	describeOverflow,
+};
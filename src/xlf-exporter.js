@@ -1,5 +1,192 @@
-const xml2js = require('xml2js');
-const { LANGUAGES, NAMESPACE_PREFIX } = require('./config');
+const config = require('./config');
+const { NEEDS_REVIEW, UNREVIEWED_EXPORT_POLICY, REVIEW_STATES, EXPORT_STATE_POLICY } = config;
+const { normalizeLanguageCode } = require('./xlf-parser');
+const { checkRows, renderXliff, toStream } = require('./xlf-writer');
+const { checkPlaceholders, describePlaceholderError } = require('./placeholders');
+const { applyExportMask } = require('./mask');
+const { checkWidth, describeOverflow } = require('./width');
+const { lintTerms } = require('./glossary');
+
+// Supported output versions
+const XLIFF_VERSIONS = ['1.2', '2.0'];
+
+// Supported policies for rows whose translations await review after a source change
+const UNREVIEWED_POLICIES = ['skip', 'include'];
+
+// Export policies by review state: lowest state a translation needs to be exported
+const STATE_POLICIES = { all: 'draft', reviewed: 'reviewed', approved: 'approved' };
+
+// Reasons a unit is missing from an exported file, in report order ('placeholders' units can be exported anyway)
+const GAP_REASONS = ['not-in-sheet', 'inactive', 'empty', 'unreviewed', 'review-state', 'maxwidth', 'placeholders'];
+
+// Values of the active column that mean inactive (trimmed, any case)
+const INACTIVE_VALUES = ['FALSE', 'NO', 'N', '0', ''];
+
+/**
+ * Reads an active cell - the one rule used by exports, imports and the sheet doctor
+ * Empty, false, no, n and 0 are inactive; anything else (TRUE, a date, ...) is active.
+ * @param {*} value - Cell value (string from the sheet, or boolean)
+ * @returns {boolean} - Active flag
+ */
+function isActiveValue(value) {
+	if (typeof value === 'boolean') return value;
+	return !INACTIVE_VALUES.includes(String(value || '').trim().toUpperCase());
+}
+
+/**
+ * Keeps active rows only
+ * @param {Array} sheetData - Data from Google Sheets
+ * @returns {Array} - Active rows
+ */
+function filterActiveRows(sheetData) {
+	return sheetData.filter((row) => isActiveValue(row.active));
+}
+
+/**
+ * Selects the rows to export for a language and validates their translations
+ * Shared by all export formats (XLIFF, STF): filters active rows, applies the export mask
+ * (namespace-aware), the review policy and the review state policy, and skips translations exceeding maxwidth or
+ * with broken placeholders. Exported translations are checked against the glossary (reported only).
+ *
+ * @param {string} targetLang - Language display name (e.g., 'French', 'Spanish')
+ * @param {Array} sheetData - Data from Google Sheets
+ * @param {Object|null} mask - Optional export mask (see mask.js)
+ * @param {Object} options - { includePlaceholderErrors, unreviewedPolicy, statePolicy, glossary } (see exportXLF)
+ * @returns {Object} - { rows, untranslatedRows, maxwidthErrors, placeholderErrors, unreviewedRows, stateExcluded, termErrors,
+ *   gaps } - gaps lists every unit left out of the file: { id, reason, source, value, detail } (see GAP_REASONS;
+ *   'not-in-sheet' is added by the caller, inactive rows are listed only when the mask has IDs), and the units with
+ *   broken placeholders exported with includePlaceholderErrors, marked included: true
+ */
+function selectExportRows(targetLang, sheetData, mask = null, options = {}) {
+	const activeRows = filterActiveRows(sheetData);
+	const activeRecords = applyExportMask(activeRows, mask);
+
+	const gaps = [];
+	const addGap = (row, reason, detail = '', included = false) =>
+		gaps.push({
+			id: row.id,
+			reason,
+			source: row[config.SOURCE_COLUMN] || '',
+			value: row[targetLang] || '',
+			detail,
+			...(included ? { included } : {}),
+		});
+
+	// Without mask IDs inactive rows are labels removed from the app, not gaps of a target org
+	if (mask && mask.ids) {
+		const active = new Set(activeRows);
+		const inactiveRows = sheetData.filter((row) => row.id && !active.has(row));
+		applyExportMask(inactiveRows, mask).forEach((row) => addGap(row, 'inactive'));
+	}
+
+	const unreviewedPolicy = options.unreviewedPolicy || UNREVIEWED_EXPORT_POLICY;
+	if (!UNREVIEWED_POLICIES.includes(unreviewedPolicy)) {
+		throw new Error(
+			`Unknown unreviewed policy: ${unreviewedPolicy}. Supported policies: ${UNREVIEWED_POLICIES.join(', ')}`,
+		);
+	}
+
+	const statePolicy = options.statePolicy || EXPORT_STATE_POLICY;
+	if (!STATE_POLICIES[statePolicy]) {
+		throw new Error(
+			`Unknown review state policy: ${statePolicy}. Supported policies: ${Object.keys(STATE_POLICIES).join(', ')}`,
+		);
+	}
+	const minState = REVIEW_STATES.indexOf(STATE_POLICIES[statePolicy]);
+
+	// Check for maxwidth and placeholder violations, skipping invalid rows
+	const maxwidthErrors = [];
+	const placeholderErrors = [];
+	const unreviewedRows = [];
+	const untranslatedRows = [];
+	const stateExcluded = [];
+	const exportRows = activeRecords
+		.filter((row) => {
+			// Only include if translation exists and is not empty
+			if (row[targetLang] && row[targetLang].trim() !== '') return true;
+			untranslatedRows.push(row);
+			addGap(row, 'empty');
+			return false;
+		})
+		.filter((row) => {
+			// Translations made for a previous source text are exported only when the policy allows it
+			if (row['source-review'] === NEEDS_REVIEW) {
+				unreviewedRows.push({
+					id: row.id,
+					value: row[targetLang],
+					previousSource: row['previous-source'] || '',
+					source: row[config.SOURCE_COLUMN] || '',
+					similarity: Number(row['source-similarity']),
+					included: unreviewedPolicy === 'include',
+				});
+				if (unreviewedPolicy !== 'include') addGap(row, 'unreviewed', `was: ${row['previous-source'] || ''}`);
+				return unreviewedPolicy === 'include';
+			}
+			return true;
+		})
+		.filter((row) => {
+			// Translations below the review state required by the policy are left out
+			const state = getReviewState(row, targetLang);
+			if (REVIEW_STATES.indexOf(state) >= minState) return true;
+			stateExcluded.push({ id: row.id, value: row[targetLang], state });
+			addGap(row, 'review-state', state);
+			return false;
+		})
+		.filter((row) => {
+			// If translation exceeds maxwidth (measured in the row's size-unit), add to errors and skip from export
+			const overflow = checkWidth(row[targetLang], row.maxwidth, row['size-unit']);
+			if (overflow) {
+				const error = {
+					id: row.id,
+					value: row[targetLang],
+					maxwidth: row.maxwidth,
+					sizeUnit: overflow.sizeUnit,
+					width: overflow.width,
+					overflow: overflow.overflow,
+				};
+				maxwidthErrors.push(error);
+				addGap(row, 'maxwidth', describeOverflow(error));
+				return false; // skip this entry
+			}
+			return true;
+		})
+		.filter((row) => {
+			// Translations must keep every placeholder of the source ({0}, {!Field}, %s, &amp;)
+			const result = checkPlaceholders(row[config.SOURCE_COLUMN], row[targetLang]);
+			if (result) {
+				placeholderErrors.push({
+					id: row.id,
+					value: row[targetLang],
+					source: row[config.SOURCE_COLUMN] || '',
+					missing: result.missing,
+					extra: result.extra,
+					included: !!options.includePlaceholderErrors,
+				});
+				addGap(
+					row,
+					'placeholders',
+					`${options.includePlaceholderErrors ? 'exported anyway: ' : ''}${describePlaceholderError(result)}`,
+					!!options.includePlaceholderErrors,
+				);
+				return !!options.includePlaceholderErrors;
+			}
+			return true;
+		});
+
+	// Terminology issues do not block the export, the translator fixes them in the sheet
+	const termErrors = lintTerms(exportRows, targetLang, options.glossary);
+
+	return {
+		rows: exportRows,
+		untranslatedRows,
+		maxwidthErrors,
+		placeholderErrors,
+		unreviewedRows,
+		stateExcluded,
+		termErrors,
+		gaps,
+	};
+}
 
 /**
  * Generates XLF file with translations for specified language
@@ -7,125 +194,58 @@ const { LANGUAGES, NAMESPACE_PREFIX } = require('./config');
  *
  * @param {string} targetLang - Language display name (e.g., 'French', 'Spanish')
  * @param {Array} sheetData - Data from Google Sheets
- * @returns {Promise<string>} - Generated XLF content
+ * @param {Object|null} mask - Optional export mask (see mask.js)
+ * @param {Object} options - Export options:
+ *   - version: '1.2' (default) | '2.0'
+ *   - includePlaceholderErrors: export units with broken placeholders instead of skipping them (default false)
+ *   - unreviewedPolicy: 'skip' | 'include' rows whose source changed since translation (default UNREVIEWED_EXPORT_POLICY)
+ *   - statePolicy: 'all' | 'reviewed' | 'approved' - review states to export (default EXPORT_STATE_POLICY)
+ *   - glossary: glossary entries (see glossary.js) to check exported translations against
+ *   - stream: return the document as a stream rendered unit by unit (`stream`) instead of a string (`xlf`)
+ *   - skipEmpty: with version 2.0 and no units, return the reports with `empty: true` and no document instead of
+ *     failing (an XLIFF 2.0 file needs at least one unit)
+ * @returns {Promise<Object>} - Generated XLF content, maxwidth, placeholder, unreviewed row, review state and terminology reports,
+ *   and the skipped units (gaps)
  */
-async function exportXLF(targetLang, sheetData, maskIdSet = null) {
+async function exportXLF(targetLang, sheetData, mask = null, options = {}) {
 	try {
-		const langCode = LANGUAGES[targetLang];
+		const langCode = config.LANGUAGES[targetLang];
 		if (!langCode) {
 			throw new Error(`Unknown target language: ${targetLang}`);
 		}
 
-		// Filter only active records (active can be: true, 'true', date string, etc)
-		// Any truthy value except false/'false'/0 is considered active
-		let activeRecords = sheetData.filter((row) => {
-			const active = row.active;
-			// Consider active if: true, 'true', 'TRUE', date string, or any truthy value
-			// NOT active only if: false, 'false', 'FALSE', empty, 0
-			if (!active) return false;
-			if (active === false || active === 'false' || active === 'FALSE' || active === '0') return false;
-			return true;
-		});
+		const version = options.version || '1.2';
+		if (!XLIFF_VERSIONS.includes(version)) {
+			throw new Error(`Unsupported XLIFF version: ${version}. Supported versions: ${XLIFF_VERSIONS.join(', ')}`);
+		}
 
-		// If an export mask is provided, match each sheet row against the mask IDs.
-		// A mask ID matches a sheet row ID when every dot-separated segment either matches
-		// exactly or the mask segment equals 'bn2gp__' + sheet segment (production org added prefix).
-		// This avoids stripping all prefixes which would cause collisions between objects that
-		// have the same base name but differ only by namespace prefix.
-		if (maskIdSet && maskIdSet.size > 0) {
-			const remapped = [];
-			for (const row of activeRecords) {
-				// Fast path: exact match (same org, no prefix difference)
-				if (maskIdSet.has(row.id)) {
-					remapped.push(row);
-					continue;
-				}
-				// Slow path: segment-level namespace-aware match
-				const rowSegs = row.id.split('.');
-				let matched = null;
-				for (const maskId of maskIdSet) {
-					const maskSegs = maskId.split('.');
-					if (maskSegs.length !== rowSegs.length) continue;
-					// Each mask segment must equal the sheet segment or NAMESPACE_PREFIX + sheet segment
-					if (
-						rowSegs.every(
-							(seg, i) =>
-								maskSegs[i] === seg || (NAMESPACE_PREFIX && maskSegs[i] === NAMESPACE_PREFIX + seg),
-						)
-					) {
-						matched = maskId;
-						break;
-					}
-				}
-				if (matched !== null) {
-					// Use the mask ID in the output so the XLF matches the target org
-					remapped.push({ ...row, id: matched });
-				}
+		const { rows: exportRows, maxwidthErrors, placeholderErrors, unreviewedRows, stateExcluded, termErrors, gaps } =
+			selectExportRows(targetLang, sheetData, mask, options);
+
+		// Checked before rendering, so a streamed download does not fail after its headers are sent
+		if (version === '2.0' && exportRows.length === 0) {
+			if (options.skipEmpty) {
+				const reports = { maxwidthErrors, placeholderErrors, unreviewedRows, stateExcluded, termErrors, gaps };
+				return { empty: true, unitCount: 0, ...reports };
 			}
-			activeRecords = remapped;
+			throw new Error(
+				`No translated units for ${targetLang}: an XLIFF 2.0 file needs at least one unit (export as XLIFF 1.2 instead)`,
+			);
 		}
 
-		// Check for maxwidth violations and build trans-units, skipping invalid ones
-		const maxwidthErrors = [];
-		const transUnits = activeRecords
-			.filter((row) => row[targetLang] && row[targetLang].trim() !== '') // Only include if translation exists and is not empty
-			.filter((row) => {
-				// If translation exceeds maxwidth, add to errors and skip from export
-				if (row.maxwidth && !isNaN(Number(row.maxwidth))) {
-					const max = Number(row.maxwidth);
-					if (typeof row[targetLang] === 'string' && row[targetLang].length > max) {
-						maxwidthErrors.push({
-							id: row.id,
-							value: row[targetLang],
-							maxwidth: row.maxwidth,
-						});
-						return false; // skip this entry
-					}
-				}
-				return true;
-			})
-			.map((row) => {
-				const unit = {
-					$: {
-						id: row.id || '',
-						maxwidth: row.maxwidth || '',
-						'size-unit': row['size-unit'] || '',
-					},
-					source: row.English || '',
-				};
-				unit.target = row[targetLang];
-				return unit;
-			});
-
-		// Build INNER XLF document as complete XML string
-		const innerBuilder = new xml2js.Builder({
-			xmldec: { version: '1.0', encoding: 'UTF-8' },
-			renderOpts: { pretty: true, indent: '    ' },
-		});
+		checkRows(exportRows, targetLang);
+		const chunks = renderXliff(version, langCode, exportRows, targetLang);
 
-		const innerXliffStructure = {
-			xliff: {
-				$: {
-					version: '1.2',
-				},
-				file: {
-					$: {
-						original: 'Salesforce',
-						'source-language': 'en_US',
-						'target-language': langCode,
-						'translation-type': 'metadata',
-						datatype: 'xml',
-					},
-					body: {
-						'trans-unit': transUnits,
-					},
-				},
-			},
+		return {
+			...(options.stream ? { stream: toStream(chunks) } : { xlf: Array.from(chunks).join('') }),
+			unitCount: exportRows.length,
+			maxwidthErrors,
+			placeholderErrors,
+			unreviewedRows,
+			stateExcluded,
+			termErrors,
+			gaps,
 		};
-
-		const xmlString = innerBuilder.buildObject(innerXliffStructure);
-
-		return { xlf: xmlString, maxwidthErrors };
 	} catch (error) {
 		throw new Error(`Failed to export XLF: ${error.message}`);
 	}
@@ -139,12 +259,13 @@ async function exportXLF(targetLang, sheetData, maskIdSet = null) {
  */
 function getAvailableLanguages(sheetHeaders) {
 	if (!sheetHeaders) {
-		// Fallback: return all configured languages
-		return Object.keys(LANGUAGES);
+		// Fallback: return all configured languages except the source one
+		return Object.keys(config.LANGUAGES).filter((lang) => lang !== config.SOURCE_COLUMN);
 	}
 
 	// Filter: only languages that are in LANGUAGES map AND exist as columns
-	return Object.keys(LANGUAGES).filter((lang) => sheetHeaders.includes(lang));
+	// The source language column is never a translation target
+	return Object.keys(config.LANGUAGES).filter((lang) => lang !== config.SOURCE_COLUMN && sheetHeaders.includes(lang));
 }
 
 /**
@@ -153,11 +274,78 @@ function getAvailableLanguages(sheetHeaders) {
  * @returns {string} - Language code or null
  */
 function getLanguageCode(displayName) {
-	return LANGUAGES[displayName] || null;
+	return config.LANGUAGES[displayName] || null;
+}
+
+/**
+ * Gets the status column of a language column
+ * @param {string} displayName - Language display name
+ * @returns {string} - Status column name (e.g. 'French-status')
+ */
+function getStatusColumn(displayName) {
+	return `${displayName}${config.STATUS_COLUMN_SUFFIX}`;
+}
+
+/**
+ * Gets the review state column of a language column
+ * @param {string} displayName - Language display name
+ * @returns {string} - State column name (e.g. 'French-state')
+ */
+function getStateColumn(displayName) {
+	return `${displayName}${config.STATE_COLUMN_SUFFIX}`;
+}
+
+/**
+ * Gets the companion columns of a language column (machine translation mark and review state)
+ * @param {string} displayName - Language display name
+ * @returns {Array<string>} - [status column, state column]
+ */
+function getCompanionColumns(displayName) {
+	return [getStatusColumn(displayName), getStateColumn(displayName)];
+}
+
+/**
+ * Gets the review state of a row's translation
+ * @param {Object} row - Sheet row
+ * @param {string} displayName - Language display name
+ * @returns {string} - One of REVIEW_STATES (empty and unknown values are 'draft')
+ */
+function getReviewState(row, displayName) {
+	const state = String(row[getStateColumn(displayName)] || '')
+		.trim()
+		.toLowerCase();
+	return REVIEW_STATES.includes(state) ? state : 'draft';
+}
+
+/**
+ * Gets language display name for an XLF language code
+ * Codes are compared case-insensitively and '-' is treated as '_' (e.g. 'pt-BR' -> 'Portuguese')
+ * @param {string} code - XLF language code (e.g. 'fr', 'pt_BR')
+ * @returns {string} - Language display name or null
+ */
+function getLanguageName(code) {
+	if (!code) return null;
+	const languages = config.LANGUAGES;
+	const match = Object.keys(languages).find(
+		(name) => normalizeLanguageCode(languages[name]) === normalizeLanguageCode(code),
+	);
+	return match || null;
 }
 
 module.exports = {
+	XLIFF_VERSIONS,
+	UNREVIEWED_POLICIES,
+	STATE_POLICIES,
+	GAP_REASONS,
+	isActiveValue,
+	filterActiveRows,
+	selectExportRows,
 	exportXLF,
 	getAvailableLanguages,
 	getLanguageCode,
+	getLanguageName,
+	getStatusColumn,
+	getStateColumn,
+	getCompanionColumns,
+	getReviewState,
 };
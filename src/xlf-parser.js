@@ -1,70 +1,421 @@
-const xml2js = require('xml2js');
+const sax = require('sax');
+const config = require('./config');
+const { textChunks } = require('./text-stream');
 
 /**
- * Parses XLF file and extracts translation units
- * @param {string} xmlContent - XLF file content as string
- * @returns {Promise<Object>} - Parsed data with segments and metadata
+ * Normalizes a language code for comparison: case-insensitive, '-' treated as '_' (en-US == en_US)
+ * @param {string} code - Language code
+ * @returns {string} - Normalized code
  */
-async function parseXLF(xmlContent) {
-    const parser = new xml2js.Parser({
-        explicitArray: false,
-        mergeAttrs: true
-    });
+function normalizeLanguageCode(code) {
+    return code ? String(code).replace(/-/g, '_').toLowerCase() : '';
+}
 
-    try {
-        const result = await parser.parseStringPromise(xmlContent);
-        
-        if (!result.xliff || !result.xliff.file) {
-            throw new Error('Invalid XLF format: missing xliff or file element');
+/**
+ * Checks whether a language code is the configured project source language
+ * @param {string} code - Language code from an XLF file
+ * @returns {boolean} - True if it matches SOURCE_LANGUAGE
+ */
+function isSourceLanguage(code) {
+    return normalizeLanguageCode(code) === normalizeLanguageCode(config.SOURCE_LANGUAGE);
+}
+
+/**
+ * Throws when a file does not use the configured project source language
+ * @param {string} code - source-language (1.2) or srcLang (2.0) of the file
+ */
+function checkSourceLanguage(code) {
+    if (!isSourceLanguage(code)) {
+        throw new Error(`Invalid source language: ${code}. Only ${config.SOURCE_LANGUAGE} is supported.`);
+    }
+}
+
+// trans-unit attributes with their own segment field; any other attribute is kept in `attributes`
+const SEGMENT_ATTRIBUTES = ['id', 'maxwidth', 'size-unit'];
+
+/**
+ * Copies a string built by the SAX parser into a compact one
+ * sax assembles values piece by piece and slices them out of the input chunks; kept as they are, every
+ * stored ID and text would hold on to those pieces and chunks, several times the size of the file.
+ * @param {string} value - String from the parser
+ * @returns {string} - Flat copy
+ */
+function flatten(value) {
+    return value.length > 0 ? (' ' + value).slice(1) : value;
+}
+
+/**
+ * Returns the text collected for an element, including the text of inline child elements (<g>, <mrk>, <pc>)
+ * The inline markup itself is not kept (parseXLF warns about it).
+ * Whitespace-only text of an element with attributes or child elements counts as empty,
+ * like indentation between child elements.
+ * @param {Object} frame - Element frame
+ * @returns {string} - Text content or empty string
+ */
+function frameText(frame) {
+    const hasMarkup = frame.hasChildren || Object.keys(frame.attrs).length > 0;
+    return hasMarkup && frame.text.trim() === '' ? '' : flatten(frame.text);
+}
+
+/**
+ * Converts a BCP 47 language tag used by XLIFF 2.0 (en-US) to the Salesforce code style (en_US)
+ * @param {string} tag - Language tag
+ * @returns {string} - Language code
+ */
+function fromBcp47(tag) {
+    return tag ? String(tag).replace(/-/g, '_') : tag;
+}
+
+/**
+ * Maps an XLIFF 2.0 size restriction profile to a 1.2 size-unit
+ * @param {string} profile - slr:profiles generalProfile
+ * @returns {string} - Size unit ('char' for xliff:codepoints, the profile name otherwise)
+ */
+function profileToSizeUnit(profile) {
+    if (!profile) return '';
+    return profile === 'xliff:codepoints' ? 'char' : profile;
+}
+
+/**
+ * Detects the XLIFF version from the attributes of the root element
+ * @param {Object} attrs - Attributes of <xliff>
+ * @returns {string} - '2.0' or '1.2'
+ */
+function detectVersion(attrs) {
+    const version = String(attrs.version || '');
+    const namespace = String(attrs.xmlns || '');
+    return version.startsWith('2') || namespace.includes('xliff:document:2') ? '2.0' : '1.2';
+}
+
+/**
+ * Handles an element opening in an XLIFF 1.2 document: <file>, <group> and nested <xliff>/<body>
+ * containers at any depth (Salesforce exports wrap a complete <xliff> inside the outer <body>)
+ * and the parts of each <trans-unit>.
+ * @param {Object} frame - Frame of the new element (kind is set here)
+ * @param {Object} parent - Frame of the parent element
+ * @param {Object} state - { files }
+ */
+function openXliff12(frame, parent, state) {
+    const { name, attrs } = frame;
+
+    if (parent.kind === 'xliff' && name === 'file') {
+        checkSourceLanguage(attrs['source-language']);
+        const entry = {
+            original: attrs.original || '',
+            sourceLanguage: attrs['source-language'],
+            targetLanguage: attrs['target-language'],
+            segmentCount: 0
+        };
+        state.files.push(entry);
+        frame.kind = 'container';
+        frame.context = { file: entry, original: entry.original, groupPath: [] };
+    } else if (parent.kind === 'container') {
+        if (name === 'body') {
+            frame.kind = 'container';
+            frame.context = parent.context;
+        } else if (name === 'group') {
+            parent.groupCount++;
+            const groupName = attrs.id || attrs.resname || `#${parent.groupCount}`;
+            frame.kind = 'container';
+            frame.context = { ...parent.context, groupPath: [...parent.context.groupPath, groupName] };
+        } else if (name === 'trans-unit') {
+            frame.kind = 'unit';
+            frame.context = parent.context;
+            frame.unit = { source: null, target: null, notes: [], contextGroups: [] };
+        } else if (name === 'xliff') {
+            // Nested xliff document inside a body (Salesforce Translation Workbench shape)
+            frame.kind = 'xliff';
+        }
+    } else if (parent.kind === 'unit') {
+        if (name === 'source' || name === 'target' || name === 'note') {
+            frame.kind = 'text';
+        } else if (name === 'context-group') {
+            frame.kind = 'context-group';
+            frame.group = { attributes: { ...attrs }, contexts: [] };
+            parent.unit.contextGroups.push(frame.group);
         }
+    } else if (parent.kind === 'context-group' && name === 'context') {
+        frame.kind = 'text';
+    }
+}
+
+/**
+ * Handles an element closing in an XLIFF 1.2 document
+ * A closing <trans-unit> becomes a segment tagged with the file and group path it came from. Notes are
+ * joined one per line; attributes holds the trans-unit attributes without a field of their own
+ * (translate, resname, ...) and contextGroups the <context-group> elements, so an export can write them back.
+ * @param {Object} frame - Frame of the closing element
+ * @param {Object} parent - Frame of the parent element
+ * @param {Object} state - { segments }
+ */
+function closeXliff12(frame, parent, state) {
+    if (frame.kind === 'text') {
+        const text = frameText(frame);
+        if (parent.kind === 'context-group') {
+            parent.group.contexts.push({ attributes: { ...frame.attrs }, text });
+        } else if (frame.name === 'note') {
+            if (text) parent.unit.notes.push(text);
+        } else if (parent.unit[frame.name] === null) {
+            parent.unit[frame.name] = text;
+        }
+    } else if (frame.kind === 'unit') {
+        const { attrs, unit, context } = frame;
+        const attributes = {};
+        Object.keys(attrs).forEach((key) => {
+            if (!SEGMENT_ATTRIBUTES.includes(key)) attributes[key] = attrs[key];
+        });
+
+        state.segments.push({
+            id: attrs.id || '',
+            source: unit.source || '',
+            target: unit.target || '',
+            maxwidth: attrs.maxwidth || '',
+            sizeUnit: attrs['size-unit'] || '',
+            note: unit.notes.join('\n'),
+            attributes,
+            contextGroups: unit.contextGroups,
+            original: context.original,
+            groupPath: context.groupPath
+        });
+        context.file.segmentCount++;
+    }
+}
+
+/**
+ * Handles an element opening in an XLIFF 2.0 document (<file>/<group>/<unit>/<segment>)
+ * Languages come from srcLang/trgLang on <xliff>, maxwidth from slr:sizeRestriction and the
+ * size unit from the file's slr:profiles.
+ * @param {Object} frame - Frame of the new element (kind is set here)
+ * @param {Object} parent - Frame of the parent element
+ * @param {Object} state - { files, root }
+ */
+function openXliff20(frame, parent, state) {
+    const { name, attrs } = frame;
 
-        const file = result.xliff.file;
+    if (parent.kind === 'xliff' && name === 'file') {
+        const sourceLanguage = fromBcp47(state.root.attrs.srcLang);
+        checkSourceLanguage(sourceLanguage);
+        const entry = {
+            original: attrs.original || attrs.id || '',
+            sourceLanguage,
+            targetLanguage: fromBcp47(state.root.attrs.trgLang),
+            segmentCount: 0
+        };
+        state.files.push(entry);
+        frame.kind = 'container';
+        frame.context = { file: entry, original: entry.original, groupPath: [], sizeUnit: '' };
+    } else if (parent.kind === 'container') {
+        if (name === 'slr:profiles') {
+            // The profile applies to the whole file; it precedes the units
+            parent.context.sizeUnit = profileToSizeUnit(attrs.generalProfile);
+        } else if (name === 'group') {
+            parent.groupCount++;
+            const groupName = attrs.id || attrs.name || `#${parent.groupCount}`;
+            frame.kind = 'container';
+            frame.context = { ...parent.context, groupPath: [...parent.context.groupPath, groupName] };
+        } else if (name === 'unit') {
+            frame.kind = 'unit';
+            frame.context = parent.context;
+            frame.unit = { parts: [], notes: [] };
+        }
+    } else if (parent.kind === 'unit') {
+        if (name === 'segment') {
+            frame.kind = 'segment';
+            frame.part = { source: '', target: '' };
+            parent.unit.parts.push(frame.part);
+        } else if (name === 'notes') {
+            frame.kind = 'notes';
+            frame.unit = parent.unit;
+        }
+    } else if ((parent.kind === 'segment' && (name === 'source' || name === 'target')) ||
+        (parent.kind === 'notes' && name === 'note')) {
+        frame.kind = 'text';
+    }
+}
 
-        // Verify source language is en_US
-        if (file['source-language'] !== 'en_US') {
-            throw new Error(`Invalid source language: ${file['source-language']}. Only en_US is supported.`);
+/**
+ * Handles an element closing in an XLIFF 2.0 document
+ * A unit split into several segments is joined back into one text. The unit `name` holds the
+ * original ID when the ID is not a valid NMTOKEN.
+ * @param {Object} frame - Frame of the closing element
+ * @param {Object} parent - Frame of the parent element
+ * @param {Object} state - { segments }
+ */
+function closeXliff20(frame, parent, state) {
+    if (frame.kind === 'text') {
+        const text = frameText(frame);
+        if (parent.kind === 'segment') {
+            parent.part[frame.name] = text;
+        } else if (text) {
+            parent.unit.notes.push(text);
         }
+    } else if (frame.kind === 'unit') {
+        const { attrs, unit, context } = frame;
+        state.segments.push({
+            // The unit id, or the ID kept in xt:id when it is not a valid unit id (see xlf-writer.js)
+            id: attrs['xt:id'] || attrs.id || '',
+            source: unit.parts.map((part) => part.source).join(''),
+            target: unit.parts.map((part) => part.target).join(''),
+            maxwidth: attrs['slr:sizeRestriction'] || '',
+            sizeUnit: attrs['slr:sizeRestriction'] ? context.sizeUnit : '',
+            note: unit.notes.join('\n'),
+            // Extra attributes and context groups are XLIFF 1.2 data, the sheet keeps its values
+            attributes: null,
+            contextGroups: null,
+            original: context.original,
+            groupPath: context.groupPath
+        });
+        context.file.segmentCount++;
+    }
+}
+
+/**
+ * Creates the SAX handlers collecting the segments of an XLIFF document
+ * Only a stack of the open elements and the segments found so far are kept in memory.
+ * @returns {Object} - { open(name, attrs), close(), text(text), result() }
+ */
+function createXliffWalker() {
+    const state = { root: null, version: null, files: [], segments: [], inlineMarkup: 0 };
+    const stack = [];
+    // Element names of the first top-level <file> (and its <body>), for the unrecognised-structure warning
+    let firstFile = null;
+    let firstBody = null;
 
-        const segments = [];
-        
-        // Parse nested body structure (as shown in demo.xlf)
-        let transUnits = [];
-        
-        if (file.body) {
-            // Handle nested xliff structure
-            if (file.body.xliff && file.body.xliff.file && file.body.xliff.file.body) {
-                const innerBody = file.body.xliff.file.body;
-                transUnits = Array.isArray(innerBody['trans-unit']) 
-                    ? innerBody['trans-unit'] 
-                    : [innerBody['trans-unit']];
-            } else if (file.body['trans-unit']) {
-                // Handle direct trans-unit elements
-                transUnits = Array.isArray(file.body['trans-unit']) 
-                    ? file.body['trans-unit'] 
-                    : [file.body['trans-unit']];
+    function open(name, attrs) {
+        const parent = stack[stack.length - 1];
+        const frame = { name, attrs, kind: 'other', text: '', groupCount: 0, hasChildren: false };
+
+        if (!parent) {
+            state.root = frame;
+            if (name === 'xliff') {
+                frame.kind = 'xliff';
+                state.version = detectVersion(attrs);
+            }
+        } else {
+            parent.hasChildren = true;
+            if (parent.keys) parent.keys.push(name);
+            // Inline elements of a text (<g>, <mrk>) add their text to it
+            frame.textFrame = parent.kind === 'text' ? parent : parent.textFrame;
+            if (parent.kind !== 'other' && parent.kind !== 'text') {
+                (state.version === '2.0' ? openXliff20 : openXliff12)(frame, parent, state);
             }
+            if (name === 'file' && parent === state.root && !firstFile) {
+                firstFile = frame;
+                frame.keys = Object.keys(attrs);
+            } else if (name === 'body' && parent === firstFile && !firstBody) {
+                firstBody = frame;
+                frame.keys = Object.keys(attrs);
+            }
+        }
+        stack.push(frame);
+    }
+
+    function close() {
+        const frame = stack.pop();
+        const parent = stack[stack.length - 1];
+        if (frame.kind === 'text' && frame.hasChildren) state.inlineMarkup++;
+        if (parent && frame.kind !== 'other') {
+            (state.version === '2.0' ? closeXliff20 : closeXliff12)(frame, parent, state);
+        }
+    }
+
+    function text(value) {
+        const frame = stack[stack.length - 1];
+        const textFrame = frame && (frame.kind === 'text' ? frame : frame.textFrame);
+        if (textFrame) textFrame.text += value;
+    }
+
+    function result() {
+        if (!state.root || state.root.kind !== 'xliff' || !firstFile) {
+            throw new Error('Invalid XLF format: missing xliff or file element');
+        }
+
+        const { version, files, segments } = state;
+        const warnings = [];
+        if (version === '2.0' && segments.length === 0) {
+            warnings.push(
+                `No unit elements found. Unrecognised XLIFF 2.0 structure (elements: ${firstFile.keys.join(', ') || 'none'})`
+            );
+        } else if (version !== '2.0' && !files.some((file) => file.segmentCount > 0)) {
+            // Warn only when no file yielded units - outer Salesforce wrapper files are empty by design
+            const keys = firstBody && firstBody.keys.length > 0 ? firstBody.keys : firstFile.keys;
+            warnings.push(
+                `No trans-unit elements found. Unrecognised XLF structure (elements: ${keys.join(', ') || 'none'})`
+            );
+        }
+        if (state.inlineMarkup > 0) {
+            warnings.push(
+                `${state.inlineMarkup} texts contain inline elements (<g>, <mrk>, ...): ` +
+                'their text was read, the markup dropped'
+            );
         }
 
-        // Extract segments
-        for (const unit of transUnits) {
-            if (!unit) continue;
+        return { version, files, segments, warnings };
+    }
 
-            const segment = {
-                id: unit.id || '',
-                source: unit.source || '',
-                maxwidth: unit.maxwidth || '',
-                sizeUnit: unit['size-unit'] || '',
-                note: unit.note || ''
-            };
+    return { open, close, text, result };
+}
 
-            segments.push(segment);
+/**
+ * Parses XLF file and extracts translation units
+ * The XLIFF version (1.2 or 2.0) is detected automatically; both produce the same segment shape.
+ * Walks every <file>, <group> and nested <xliff>/<body>. Each segment is tagged with the
+ * `original` of its file and the `groupPath` (array of group ids) it was found in.
+ * The document is read with a SAX parser, so a stream is parsed chunk by chunk and only the
+ * segments are kept in memory; a file with another source language fails at its <file> element.
+ * @param {string|Buffer|AsyncIterable} xmlContent - XLF file content as string, or a stream of it
+ * @returns {Promise<Object>} - Parsed data with segments, per-file metadata and warnings
+ */
+async function parseXLF(xmlContent) {
+    const walker = createXliffWalker();
+    const parser = sax.parser(true);
+
+    // Errors of the XML parser and the walker are recorded and the rest of the document is ignored;
+    // throwing from a sax callback would leave the parser mid-chunk
+    let parseError = null;
+    const guard = (handler) => (...args) => {
+        if (parseError) return;
+        try {
+            handler(...args);
+        } catch (error) {
+            parseError = error;
+        }
+    };
+    parser.onerror = (error) => {
+        parseError = parseError || error;
+    };
+    parser.onopentag = guard((node) => {
+        const attrs = {};
+        Object.keys(node.attributes).forEach((key) => {
+            attrs[key] = flatten(node.attributes[key]);
+        });
+        walker.open(node.name, attrs);
+    });
+    parser.onclosetag = guard(() => walker.close());
+    parser.ontext = guard((text) => walker.text(text));
+    parser.oncdata = guard((text) => walker.text(text));
+
+    try {
+        for await (const chunk of textChunks(xmlContent)) {
+            parser.write(chunk);
+            if (parseError) throw parseError;
         }
+        parser.close();
+        if (parseError) throw parseError;
+
+        const { version, files, segments, warnings } = walker.result();
+
+        // Report languages of the file that actually holds the units (the inner file for nested exports)
+        const mainFile = files.find((file) => file.segmentCount > 0) || files[0];
 
         return {
-            sourceLanguage: file['source-language'],
-            targetLanguage: file['target-language'],
-            original: file.original,
-            segments
+            version,
+            sourceLanguage: mainFile.sourceLanguage,
+            targetLanguage: mainFile.targetLanguage,
+            original: mainFile.original,
+            files,
+            segments,
+            warnings
         };
 
     } catch (error) {
@@ -73,14 +424,49 @@ async function parseXLF(xmlContent) {
 }
 
 /**
- * Validates if the file is a valid XLF with en_US source language
+ * Serializes the extra attributes and context groups of a segment for the unit-metadata column
+ * @param {Object} segment - Segment from parseXLF
+ * @returns {string|null} - JSON, '' when the unit has neither, null when the format does not carry them
+ */
+function serializeUnitMetadata(segment) {
+    if (!segment.attributes && !segment.contextGroups) return null;
+
+    const metadata = {};
+    if (segment.attributes && Object.keys(segment.attributes).length > 0) metadata.attributes = segment.attributes;
+    if (segment.contextGroups && segment.contextGroups.length > 0) metadata.contextGroups = segment.contextGroups;
+    return Object.keys(metadata).length > 0 ? JSON.stringify(metadata) : '';
+}
+
+/**
+ * Reads a unit-metadata cell written by serializeUnitMetadata
+ * Empty or hand-edited cells that are not valid JSON yield no metadata.
+ * @param {string} value - Cell value
+ * @returns {Object} - { attributes, contextGroups }
+ */
+function parseUnitMetadata(value) {
+    let metadata = {};
+    if (value) {
+        try {
+            metadata = JSON.parse(value) || {};
+        } catch (error) {
+            metadata = {};
+        }
+    }
+    return {
+        attributes: metadata.attributes && typeof metadata.attributes === 'object' ? metadata.attributes : {},
+        contextGroups: Array.isArray(metadata.contextGroups) ? metadata.contextGroups : []
+    };
+}
+
+/**
+ * Validates if the file is a valid XLF with the configured source language (SOURCE_LANGUAGE)
  * @param {string} xmlContent - XLF file content
  * @returns {Promise<boolean>} - True if valid
  */
 async function validateXLF(xmlContent) {
     try {
         const parsed = await parseXLF(xmlContent);
-        return parsed.sourceLanguage === 'en_US';
+        return isSourceLanguage(parsed.sourceLanguage);
     } catch (error) {
         return false;
     }
@@ -88,5 +474,9 @@ async function validateXLF(xmlContent) {
 
 module.exports = {
     parseXLF,
-    validateXLF
+    normalizeLanguageCode,
+    isSourceLanguage,
+    validateXLF,
+    serializeUnitMetadata,
+    parseUnitMetadata
 };
@@ -0,0 +1,308 @@
+const { Readable } = require('stream');
+const config = require('./config');
+const { NOTE_COLUMN, UNIT_METADATA_COLUMN } = config;
+const { parseUnitMetadata } = require('./xlf-parser');
+
+/**
+ * Streaming XLIFF writer
+ * Documents are rendered unit by unit as text chunks, so an export never holds the whole output in memory.
+ * The output is pretty-printed with 4-space indentation (one element per line, empty elements self-closed).
+ */
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+const INDENT = '    ';
+
+// Characters that are not allowed in XML 1.0 documents
+const INVALID_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/;
+
+// XLIFF 2.0 unit IDs must be NMTOKENs. Other IDs get a generated unit id; the ID itself is written as the
+// unit name (for CAT tools) and as the extension attribute xt:id, which imports read before the unit id
+const NMTOKEN_PATTERN = /^[\w.:-]+$/;
+const EXTENSION_NAMESPACE = 'urn:xlf-translator:extensions';
+
+// Rejects values that cannot be written to XML (control characters copied into a cell)
+function checkCharacters(value) {
+	const match = INVALID_CHARACTERS.exec(value);
+	if (match) {
+		throw new Error(`Invalid character in string: ${value} at index ${match.index}`);
+	}
+	return value;
+}
+
+// Finds the first character of a value (or of the strings in a parsed unit-metadata value) that XML cannot hold
+function findInvalidCharacter(value) {
+	if (value === null || value === undefined) return null;
+	if (typeof value === 'object') {
+		for (const [key, item] of Object.entries(value)) {
+			const match = findInvalidCharacter(key) || findInvalidCharacter(item);
+			if (match) return match;
+		}
+		return null;
+	}
+	return INVALID_CHARACTERS.exec(String(value));
+}
+
+/**
+ * Checks that the values of the rows can be written to XML before anything is rendered
+ * A document that fails at a unit halfway through a stream leaves a truncated file, or a download that can
+ * only be aborted once its headers are sent, so exports check all rows first.
+ * @param {Array} rows - Rows to export
+ * @param {string} targetLang - Language display name (column with translations)
+ * @throws {Error} - Names the row and column of the first invalid character
+ */
+function checkRows(rows, targetLang) {
+	const columns = ['id', 'maxwidth', 'size-unit', config.SOURCE_COLUMN, targetLang, NOTE_COLUMN];
+	for (const row of rows) {
+		const values = columns.map((column) => [column, row[column]]);
+		values.push([UNIT_METADATA_COLUMN, parseUnitMetadata(row[UNIT_METADATA_COLUMN])]);
+
+		for (const [column, value] of values) {
+			const match = findInvalidCharacter(value);
+			if (match) {
+				const code = match[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+				throw new Error(`Invalid character U+${code} in ${column} of ${row.id}, not allowed in XML`);
+			}
+		}
+	}
+}
+
+// Escapes element text (&, <, > and carriage returns)
+function escapeText(value) {
+	return checkCharacters(String(value))
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/\r/g, '&#xD;');
+}
+
+// Escapes an attribute value (&, <, quotes, tabs and line breaks)
+function escapeAttribute(value) {
+	return checkCharacters(String(value))
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/"/g, '&quot;')
+		.replace(/\t/g, '&#x9;')
+		.replace(/\n/g, '&#xA;')
+		.replace(/\r/g, '&#xD;');
+}
+
+function renderAttributes(attrs = {}) {
+	return Object.entries(attrs)
+		.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+		.join('');
+}
+
+function openTag(name, attrs, depth) {
+	return `${INDENT.repeat(depth)}<${name}${renderAttributes(attrs)}>\n`;
+}
+
+function closeTag(name, depth) {
+	return `${INDENT.repeat(depth)}</${name}>\n`;
+}
+
+/**
+ * Renders an element with its children, one element per line
+ * @param {Object} element - { name, attrs, text, children } - text and children are optional
+ * @param {number} depth - Indentation level
+ * @returns {string} - XML text ending with a line break
+ */
+function renderElement(element, depth) {
+	const indent = INDENT.repeat(depth);
+	const start = `${indent}<${element.name}${renderAttributes(element.attrs)}`;
+	const children = element.children || [];
+
+	if (children.length > 0) {
+		const content = children.map((child) => renderElement(child, depth + 1)).join('');
+		return `${start}>\n${content}${indent}</${element.name}>\n`;
+	}
+	const text = element.text === undefined || element.text === null ? '' : String(element.text);
+	return text === '' ? `${start}/>\n` : `${start}>${escapeText(text)}</${element.name}>\n`;
+}
+
+// Notes of a row, one per line of the note column
+function rowNotes(row) {
+	return String(row[NOTE_COLUMN] || '')
+		.split(/\r?\n/)
+		.filter((note) => note.trim() !== '');
+}
+
+/**
+ * Builds an XLIFF 1.2 trans-unit
+ * Extra attributes and <context-group> elements stored in the unit-metadata column are written back
+ * after the attributes and elements the sheet has columns for, followed by the notes.
+ * @param {Object} row - Row to export
+ * @param {string} targetLang - Language display name (column with translations)
+ * @returns {Object} - Element for renderElement
+ */
+function transUnitElement(row, targetLang) {
+	const { attributes, contextGroups } = parseUnitMetadata(row[UNIT_METADATA_COLUMN]);
+	const attrs = { id: row.id || '', maxwidth: row.maxwidth || '', 'size-unit': row['size-unit'] || '' };
+	Object.entries(attributes).forEach(([name, value]) => {
+		if (!(name in attrs)) attrs[name] = String(value);
+	});
+
+	return {
+		name: 'trans-unit',
+		attrs,
+		children: [
+			{ name: 'source', text: row[config.SOURCE_COLUMN] },
+			{ name: 'target', text: row[targetLang] },
+			...contextGroups.map((group) => ({
+				name: 'context-group',
+				attrs: group.attributes,
+				children: (group.contexts || []).map((context) => ({
+					name: 'context',
+					attrs: context.attributes,
+					text: context.text,
+				})),
+			})),
+			...rowNotes(row).map((note) => ({ name: 'note', text: note })),
+		],
+	};
+}
+
+/**
+ * Renders an XLIFF 1.2 document (Salesforce Translation Workbench shape)
+ * @param {string} langCode - Target language code
+ * @param {Array} rows - Rows to export
+ * @param {string} targetLang - Language display name (column with translations)
+ * @returns {Generator<string>} - Text chunks, one per trans-unit
+ */
+function* renderXliff12(langCode, rows, targetLang) {
+	yield XML_DECLARATION;
+	yield openTag('xliff', { version: '1.2' }, 0);
+	yield openTag(
+		'file',
+		{
+			original: 'Salesforce',
+			'source-language': config.SOURCE_LANGUAGE,
+			'target-language': langCode,
+			'translation-type': 'metadata',
+			datatype: 'xml',
+		},
+		1,
+	);
+
+	if (rows.length === 0) {
+		yield renderElement({ name: 'body' }, 2);
+	} else {
+		yield openTag('body', {}, 2);
+		for (const row of rows) {
+			yield renderElement(transUnitElement(row, targetLang), 3);
+		}
+		yield closeTag('body', 2);
+	}
+
+	yield closeTag('file', 1);
+	yield '</xliff>';
+}
+
+/**
+ * Renders an XLIFF 2.0 document
+ * maxwidth is written as slr:sizeRestriction. The size restriction profile applies to a whole
+ * <file>, so rows are split into one <file> per size-unit ('char' maps to xliff:codepoints).
+ * Notes are written as <notes>; extra attributes and context groups have no 2.0 equivalent and are left out.
+ * A 2.0 <file> needs at least one unit, so there must be rows (exportXLF checks before rendering).
+ * @param {string} langCode - Target language code
+ * @param {Array} rows - Rows to export
+ * @param {string} targetLang - Language display name (column with translations)
+ * @returns {Generator<string>} - Text chunks, one per unit
+ */
+function* renderXliff20(langCode, rows, targetLang) {
+	if (rows.length === 0) {
+		throw new Error('An XLIFF 2.0 file needs at least one unit');
+	}
+
+	const rowsBySizeUnit = new Map();
+	rows.forEach((row) => {
+		const sizeUnit = row['size-unit'] || 'char';
+		if (!rowsBySizeUnit.has(sizeUnit)) rowsBySizeUnit.set(sizeUnit, []);
+		rowsBySizeUnit.get(sizeUnit).push(row);
+	});
+
+	yield XML_DECLARATION;
+	yield openTag(
+		'xliff',
+		{
+			xmlns: 'urn:oasis:names:tc:xliff:document:2.0',
+			'xmlns:slr': 'urn:oasis:names:tc:xliff:sizerestriction:2.0',
+			'xmlns:xt': EXTENSION_NAMESPACE,
+			version: '2.0',
+			srcLang: config.SOURCE_LANGUAGE.replace(/_/g, '-'),
+			trgLang: langCode.replace(/_/g, '-'),
+		},
+		0,
+	);
+
+	let fileCounter = 0;
+	let unitCounter = 0;
+	for (const [sizeUnit, fileRows] of rowsBySizeUnit) {
+		fileCounter++;
+		yield openTag('file', { id: `f${fileCounter}`, original: 'Salesforce' }, 1);
+		yield renderElement(
+			{ name: 'slr:profiles', attrs: { generalProfile: sizeUnit === 'char' ? 'xliff:codepoints' : sizeUnit } },
+			2,
+		);
+
+		for (const row of fileRows) {
+			unitCounter++;
+			const id = row.id || '';
+			const attrs = NMTOKEN_PATTERN.test(id) ? { id } : { id: `u${unitCounter}`, name: id, 'xt:id': id };
+			if (row.maxwidth) {
+				attrs['slr:sizeRestriction'] = row.maxwidth;
+			}
+			const notes = rowNotes(row);
+
+			yield renderElement(
+				{
+					name: 'unit',
+					attrs,
+					children: [
+						...(notes.length > 0
+							? [{ name: 'notes', children: notes.map((note) => ({ name: 'note', text: note })) }]
+							: []),
+						{
+							name: 'segment',
+							children: [
+								{ name: 'source', text: row[config.SOURCE_COLUMN] },
+								{ name: 'target', text: row[targetLang] },
+							],
+						},
+					],
+				},
+				2,
+			);
+		}
+
+		yield closeTag('file', 1);
+	}
+
+	yield '</xliff>';
+}
+
+/**
+ * Renders an XLIFF document for the rows of one language
+ * @param {string} version - '1.2' or '2.0'
+ * @param {string} langCode - Target language code
+ * @param {Array} rows - Rows to export
+ * @param {string} targetLang - Language display name (column with translations)
+ * @returns {Generator<string>} - Text chunks of the document
+ */
+function renderXliff(version, langCode, rows, targetLang) {
+	return version === '2.0' ? renderXliff20(langCode, rows, targetLang) : renderXliff12(langCode, rows, targetLang);
+}
+
+/**
+ * Wraps rendered text chunks in a byte stream (chunks are rendered as the stream is read)
+ * @param {Iterable<string>} chunks - Text chunks, e.g. from renderXliff
+ * @returns {Readable} - UTF-8 stream
+ */
+function toStream(chunks) {
+	return Readable.from(chunks, { objectMode: false });
+}
+
+module.exports = {
+	checkRows,
+	renderXliff,
+	toStream,
+};
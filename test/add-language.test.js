@@ -0,0 +1,56 @@
+const { useLocalStore } = require('./setup');
+const fs = require('fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { addLanguage } = require('../src/main');
+const config = require('../src/config');
+
+const HEADERS = ['id', 'category', 'maxwidth', 'size-unit', 'English', 'active', 'French'];
+
+test('a language gets its column and is registered in the projects file', async () => {
+	const store = useLocalStore(HEADERS, [{ id: 'CustomLabel.A', English: 'A', French: 'A fr' }]);
+
+	const result = await addLanguage('Russian', 'ru');
+
+	assert.equal(result.success, true, result.error);
+	assert.equal(result.columnAdded, true);
+	assert.equal(result.registered, true);
+	assert.deepEqual(store.read().headers, [...HEADERS, 'Russian']);
+	assert.equal(config.LANGUAGES.Russian, 'ru');
+	const projects = JSON.parse(fs.readFileSync(config.PROJECTS_CONFIG_PATH, 'utf-8'));
+	assert.equal(projects.projects.test.languages.Russian, 'ru');
+});
+
+test('an existing column is only registered', async () => {
+	const store = useLocalStore([...HEADERS, 'Italian'], []);
+
+	const result = await addLanguage('Italian', 'it');
+
+	assert.equal(result.success, true, result.error);
+	assert.equal(result.columnAdded, false);
+	assert.equal(result.registered, true);
+	assert.deepEqual(store.read().headers, [...HEADERS, 'Italian']);
+});
+
+test('names of companion and glossary columns are rejected', async () => {
+	const store = useLocalStore(HEADERS, []);
+
+	for (const name of ['French-state', 'French-status', 'French-forbidden', 'Other-State', 'active']) {
+		const result = await addLanguage(name, 'fr_CA');
+		assert.equal(result.success, false, name);
+		assert.match(result.error, /reserved/);
+	}
+	assert.deepEqual(store.read().headers, HEADERS);
+});
+
+test('a language code maps to one column only', async () => {
+	useLocalStore(HEADERS, []);
+
+	const duplicateCode = await addLanguage('Français', 'fr');
+	assert.equal(duplicateCode.success, false);
+	assert.match(duplicateCode.error, /already mapped to "French"/);
+
+	const existing = await addLanguage('French', 'fr');
+	assert.equal(existing.success, false);
+	assert.match(existing.error, /already exists/);
+});
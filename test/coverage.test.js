@@ -0,0 +1,22 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeCoverage } = require('../src/coverage');
+
+test('rows with an empty category cell are counted in the category of their ID', () => {
+	const rows = [
+		{ id: 'CustomLabel.A', category: 'CustomLabel', active: 'TRUE', French: 'A' },
+		{ id: 'CustomLabel.B', category: '', active: 'TRUE', French: '' },
+		{ id: 'WebLink.Account.Map', active: 'TRUE', French: 'Carte' },
+	];
+
+	const [french] = computeCoverage(rows, ['French']).languages;
+
+	assert.deepEqual(
+		french.categories.map(({ category, total, translated, missingIds }) => ({ category, total, translated, missingIds })),
+		[
+			{ category: 'CustomLabel', total: 2, translated: 1, missingIds: ['CustomLabel.B'] },
+			{ category: 'WebLink', total: 1, translated: 1, missingIds: [] },
+		],
+	);
+});
@@ -0,0 +1,70 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffSegments, formatDiffText, formatDiffMarkdown } = require('../src/diff');
+
+function segment(id, source, maxwidth = '', sizeUnit = '') {
+	return { id, source, maxwidth, sizeUnit };
+}
+
+const oldSegments = [
+	segment('CustomLabel.Kept', 'Kept'),
+	segment('CustomLabel.Changed', 'Save the record'),
+	segment('CustomLabel.Removed', 'Removed'),
+	segment('CustomField.Account.Name.FieldLabel', 'Name', '40', 'char'),
+];
+const newSegments = [
+	segment('CustomLabel.Kept', 'Kept'),
+	segment('CustomLabel.Changed', 'Save the records'),
+	segment('CustomLabel.Added', 'Added'),
+	segment('CustomField.Account.Name.FieldLabel', 'Name', '80', 'char'),
+	segment('CustomLabel.Added', 'Duplicate, ignored'),
+];
+
+test('diffs are counted and grouped by category', () => {
+	const diff = diffSegments(oldSegments, newSegments);
+
+	assert.deepEqual(diff.summary, {
+		added: 1,
+		removed: 1,
+		sourceChanged: 1,
+		maxwidthChanged: 1,
+		sizeUnitChanged: 0,
+		unchanged: 1,
+	});
+	assert.deepEqual(
+		diff.categories.map((entry) => entry.category),
+		['CustomField', 'CustomLabel'],
+	);
+
+	const labels = diff.categories[1];
+	assert.deepEqual(labels.added, [{ id: 'CustomLabel.Added', source: 'Added' }]);
+	assert.deepEqual(labels.removed, [{ id: 'CustomLabel.Removed', source: 'Removed' }]);
+	assert.equal(labels.sourceChanged[0].oldSource, 'Save the record');
+	assert.equal(labels.sourceChanged[0].newSource, 'Save the records');
+	assert.ok(labels.sourceChanged[0].similarity > 0.9 && labels.sourceChanged[0].similarity < 1);
+	assert.deepEqual(diff.categories[0].maxwidthChanged, [
+		{ id: 'CustomField.Account.Name.FieldLabel', old: '40', new: '80' },
+	]);
+});
+
+test('attributes missing from a file (STF) are not reported as changes', () => {
+	const stfSegments = oldSegments.map((s) => ({ ...s, maxwidth: null, sizeUnit: null }));
+	const diff = diffSegments(oldSegments, stfSegments);
+
+	assert.equal(diff.summary.maxwidthChanged, 0);
+	assert.equal(diff.summary.sizeUnitChanged, 0);
+	assert.equal(diff.summary.unchanged, oldSegments.length);
+});
+
+test('text and Markdown reports list the changes', () => {
+	const diff = diffSegments(oldSegments, newSegments);
+	const text = formatDiffText(diff);
+	const markdown = formatDiffMarkdown(diff);
+
+	assert.match(text, /^Changes: 1 added, 1 removed, 1 source changed, 1 maxwidth changed, 0 size-unit changed/);
+	assert.match(text, /\n {2}\+ CustomLabel\.Added: "Added"\n/);
+	assert.match(text, /\n {2}maxwidth CustomField\.Account\.Name\.FieldLabel: 40 -> 80\n/);
+	assert.match(markdown, /\| Added \| 1 \|/);
+	assert.match(markdown, /### CustomLabel/);
+});
@@ -0,0 +1,99 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSheet, repairSheet } = require('../src/main');
+
+const EMPTY = { id: '', category: '', maxwidth: '', English: '', French: '' };
+
+function store() {
+	return useLocalStore(
+		['id', 'category', 'maxwidth', 'English', 'French', 'French-state', 'Notes', 'source-review'],
+		[
+			{ id: 'CustomLabel.A', English: 'A', French: 'A1', 'French-state': 'approved' },
+			EMPTY,
+			{ id: 'CustomLabel.B', English: 'B', French: '' },
+			{ id: 'CustomLabel.A', English: 'A', French: 'A2' },
+			{ id: 'CustomLabel.B', English: 'B', French: 'B1' },
+		],
+	);
+}
+
+test('schema problems are found', async () => {
+	store();
+
+	const result = await checkSheet();
+
+	assert.equal(result.success, true, result.error);
+	assert.deepEqual(
+		result.problems.map((p) => [p.type, p.column || p.id || p.row]),
+		[
+			['missing-column', 'size-unit'],
+			['missing-column', 'active'],
+			['partial-review-columns', undefined],
+			['unknown-column', 'Notes'],
+			['missing-language-column', 'German'],
+			['blank-id', 3],
+			['duplicate-id', 'CustomLabel.A'],
+			['duplicate-id', 'CustomLabel.B'],
+		],
+	);
+	assert.equal(result.errors, 4);
+});
+
+test('repairs add columns, merge duplicates and remove empty rows', async () => {
+	const stored = store();
+
+	const result = await repairSheet();
+
+	assert.equal(result.success, true, result.error);
+	assert.deepEqual(result.addedColumns, ['size-unit', 'active']);
+	assert.deepEqual(result.merged, [
+		{ id: 'CustomLabel.A', rows: [2, 5] },
+		{ id: 'CustomLabel.B', rows: [4, 6] },
+	]);
+	assert.deepEqual(result.conflicts, [{ id: 'CustomLabel.A', column: 'French', values: ['A1', 'A2'] }]);
+	assert.deepEqual(result.removedRows, [3, 5, 6]);
+	assert.deepEqual(
+		result.problems.map((p) => p.type),
+		['partial-review-columns', 'unknown-column', 'missing-language-column'],
+	);
+
+	const { headers, rows } = stored.read();
+	assert.deepEqual(headers.slice(-2), ['size-unit', 'active']);
+	assert.deepEqual(
+		rows.map((row) => [row.id, row.French, row.active]),
+		[
+			['CustomLabel.A', 'A1', 'FALSE'],
+			['CustomLabel.B', 'B1', 'FALSE'],
+		],
+	);
+});
+
+test('a dry run repairs nothing', async () => {
+	const stored = store();
+	const before = stored.read();
+
+	const result = await repairSheet(true);
+
+	assert.deepEqual(result.addedColumns, ['size-unit', 'active']);
+	assert.deepEqual(stored.read(), before);
+});
+
+test('active values are normalized to TRUE and FALSE', async () => {
+	const stored = useLocalStore(
+		['id', 'category', 'maxwidth', 'size-unit', 'English', 'active'],
+		[
+			{ id: 'CustomLabel.A', English: 'A', active: 'yes' },
+			{ id: 'CustomLabel.B', English: 'B', active: 'false' },
+			{ id: 'CustomLabel.C', English: 'C', active: 'TRUE' },
+		],
+	);
+
+	const result = await repairSheet();
+
+	assert.equal(result.activeNormalized, 2);
+	assert.deepEqual(
+		stored.read().rows.map((row) => row.active),
+		['TRUE', 'FALSE', 'TRUE'],
+	);
+});
@@ -0,0 +1,70 @@
+const { useLocalStore } = require('./setup');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGlossary, loadGlossary, checkTerms, lintTerms, describeTermError } = require('../src/glossary');
+
+const glossary = parseGlossary([
+	{ English: 'Reservation', French: 'Réservation', 'French-forbidden': 'Booking; Résa' },
+	{ English: 'Room Type', French: 'Type de chambre' },
+	{ English: 'Room', French: 'Chambre', German: 'Zimmer' },
+	{ English: ' ', French: 'Ignored' },
+]);
+
+test('glossary rows become entries, longest term first', () => {
+	assert.deepEqual(glossary, [
+		{ term: 'Reservation', approved: { French: ['Réservation'] }, forbidden: { French: ['Booking', 'Résa'] } },
+		{ term: 'Room Type', approved: { French: ['Type de chambre'] }, forbidden: {} },
+		{ term: 'Room', approved: { French: ['Chambre'], German: ['Zimmer'] }, forbidden: {} },
+	]);
+});
+
+test('approved renderings match inflected forms, case-insensitively', () => {
+	assert.deepEqual(checkTerms(glossary, 'Reservations', 'Vos réservations', 'French'), []);
+	assert.deepEqual(checkTerms(glossary, 'Reservation', 'Votre commande', 'French'), [
+		{ term: 'Reservation', type: 'missing', expected: ['Réservation'], found: [] },
+	]);
+});
+
+test('forbidden renderings match like approved ones', () => {
+	assert.deepEqual(checkTerms(glossary, 'New reservation', 'Nouvelle réservation (Bookings)', 'French'), [
+		{ term: 'Reservation', type: 'forbidden', expected: ['Réservation'], found: ['Booking'] },
+	]);
+	// A rendering only matches at the start of a word
+	assert.deepEqual(checkTerms(glossary, 'Reservation', 'Réservation Surésa', 'French'), []);
+});
+
+test('terms inside a longer matching term are not checked on their own', () => {
+	// Room Type has no German rendering, Room has one
+	assert.deepEqual(checkTerms(glossary, 'Room Type', 'Kategorie', 'German'), []);
+	assert.deepEqual(checkTerms(glossary, 'Room Types and Rooms', 'Kategorien', 'German'), [
+		{ term: 'Room', type: 'missing', expected: ['Zimmer'], found: [] },
+	]);
+});
+
+test('sheet rows are linted per language and errors are described', () => {
+	const rows = [
+		{ id: 'CustomLabel.A', English: 'Reservation', French: 'Booking' },
+		{ id: 'CustomLabel.B', English: 'Room', French: '' },
+		{ id: 'CustomLabel.C', English: 'Room', French: 'Chambre' },
+	];
+	const errors = lintTerms(rows, 'French', glossary);
+
+	assert.deepEqual(
+		errors.map((error) => error.id),
+		['CustomLabel.A'],
+	);
+	assert.equal(describeTermError(errors[0]), 'forbidden "Booking" for "Reservation" (use "Réservation")');
+	assert.deepEqual(lintTerms(rows, 'French', []), []);
+});
+
+test('the glossary is loaded from the Glossary tab of the store', async () => {
+	const store = useLocalStore(['id', 'English', 'French'], []);
+	fs.writeFileSync(
+		path.join(path.dirname(store.path), 'glossary.json'),
+		JSON.stringify({ headers: ['English', 'French'], rows: [{ English: 'Room', French: 'Chambre' }] }),
+	);
+
+	assert.deepEqual(await loadGlossary(), [{ term: 'Room', approved: { French: ['Chambre'] }, forbidden: {} }]);
+});
@@ -0,0 +1,100 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listRows, saveEdits } = require('../src/main');
+const { validateTranslation } = require('../src/validation');
+
+const HEADERS = [
+	'id',
+	'category',
+	'maxwidth',
+	'size-unit',
+	'English',
+	'active',
+	'French',
+	'French-status',
+	'French-state',
+];
+
+function row(id, English, French, extra = {}) {
+	return { id, category: id.split('.')[0], English, active: 'TRUE', French, ...extra };
+}
+
+function store() {
+	return useLocalStore(HEADERS, [
+		row('CustomLabel.Hello', 'Hello {0}', '', { maxwidth: '12' }),
+		row('CustomLabel.Bye', 'Bye', 'Salut', { 'French-status': 'machine', 'French-state': 'approved' }),
+		row('CustomField.Account.Rating__c.FieldLabel', 'Rating', '', { active: 'FALSE' }),
+		row('CustomLabel.Twice', 'Twice', ''),
+		row('CustomLabel.Twice', 'Twice', ''),
+	]);
+}
+
+test('translations are validated like the export validates them', () => {
+	const context = { source: 'Hello {0}', maxwidth: '8', sizeUnit: 'char' };
+
+	assert.deepEqual(validateTranslation(context, ''), []);
+	assert.deepEqual(validateTranslation(context, 'Salut'), [{ type: 'placeholders', missing: ['{0}'], extra: [] }]);
+	assert.deepEqual(
+		validateTranslation(context, 'Bonjour {0}').map((error) => error.type),
+		['maxwidth'],
+	);
+});
+
+test('rows are filtered and paginated', async () => {
+	store();
+
+	const page = await listRows({ category: 'CustomLabel', missing: true, pageSize: 2 });
+
+	assert.equal(page.success, true, page.error);
+	assert.equal(page.total, 3);
+	assert.equal(page.pages, 2);
+	assert.deepEqual(
+		page.rows.map((r) => r.id),
+		['CustomLabel.Hello', 'CustomLabel.Twice'],
+	);
+	assert.deepEqual(page.categories, ['CustomField', 'CustomLabel']);
+
+	const inactive = await listRows({ active: 'false' });
+	assert.deepEqual(
+		inactive.rows.map((r) => r.id),
+		['CustomField.Account.Rating__c.FieldLabel'],
+	);
+});
+
+test('valid edits are saved and invalid ones rejected', async () => {
+	const stored = store();
+
+	const result = await saveEdits([
+		{ id: 'CustomLabel.Hello', language: 'French', value: 'Salut {0}' },
+		{ id: 'CustomLabel.Bye', language: 'French', value: 'Au revoir' },
+		{ id: 'CustomLabel.Hello', language: 'German', value: 'Hallo {0}' },
+		{ id: 'CustomLabel.Missing', language: 'French', value: 'Absent' },
+		{ id: 'CustomLabel.Twice', language: 'French', value: 'Deux fois' },
+		{ id: 'CustomField.Account.Rating__c.FieldLabel', language: 'French', value: 'Note {1}' },
+	]);
+
+	assert.equal(result.success, true, result.error);
+	assert.deepEqual(result.updated, [
+		{ id: 'CustomLabel.Hello', language: 'French' },
+		{ id: 'CustomLabel.Bye', language: 'French' },
+	]);
+	assert.deepEqual(
+		result.rejected.map((r) => [r.id, r.errors.map((error) => error.type)]),
+		[
+			['CustomLabel.Hello', ['language']],
+			['CustomLabel.Missing', ['not-found']],
+			['CustomLabel.Twice', ['duplicate-id']],
+			['CustomField.Account.Rating__c.FieldLabel', ['placeholders']],
+		],
+	);
+
+	// An edited translation is no longer machine output and goes back to draft
+	assert.deepEqual(
+		stored.read().rows.slice(0, 2).map((r) => [r.French, r['French-status'], r['French-state']]),
+		[
+			['Salut {0}', '', ''],
+			['Au revoir', '', ''],
+		],
+	);
+});
@@ -0,0 +1,90 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { importTranslations } = require('../src/main');
+
+const HEADERS = ['id', 'category', 'maxwidth', 'size-unit', 'English', 'active', 'French', 'French-state'];
+
+// Translated XLIFF 1.2 file with the given trans-units ({ id, source, target })
+function translatedXLF(language, units) {
+	const transUnits = units
+		.map(
+			({ id, source, target }) =>
+				`<trans-unit id="${id}"><source>${source}</source><target>${target}</target></trans-unit>`,
+		)
+		.join('');
+	return (
+		'<?xml version="1.0" encoding="UTF-8"?><xliff version="1.2">' +
+		`<file source-language="en_US" target-language="${language}"><body>${transUnits}</body></file></xliff>`
+	);
+}
+
+const rows = [
+	{ id: 'CustomLabel.Empty', English: 'Hello', French: '', 'French-state': 'approved' },
+	{ id: 'CustomLabel.Same', English: 'Yes', French: 'Oui' },
+	{ id: 'CustomLabel.Other', English: 'No', French: 'Non' },
+	{ id: 'CustomLabel.Changed', English: 'New source', French: '' },
+	{ id: 'CustomField.Account.Rating__c.FieldLabel', English: 'Rating', French: '' },
+];
+
+const file = translatedXLF('fr', [
+	{ id: 'CustomLabel.Empty', source: 'Hello', target: 'Bonjour' },
+	{ id: 'CustomLabel.Same', source: 'Yes', target: 'Oui' },
+	{ id: 'CustomLabel.Other', source: 'No', target: 'Pas du tout' },
+	{ id: 'CustomLabel.Changed', source: 'Old source', target: 'Ancienne source' },
+	{ id: 'CustomLabel.Unknown', source: 'Unknown', target: 'Inconnu' },
+	{ id: 'CustomField.Account.ns__Rating__c.FieldLabel', source: 'Rating', target: 'Note' },
+	{ id: 'CustomLabel.Untranslated', source: 'Later', target: '' },
+]);
+
+test('translations fill empty cells only and report everything else', async () => {
+	const store = useLocalStore(HEADERS, rows);
+
+	const result = await importTranslations(file);
+
+	assert.equal(result.success, true, result.error);
+	assert.equal(result.language, 'French');
+	assert.deepEqual(result.stats, {
+		filled: 2,
+		unchanged: 1,
+		conflicts: 1,
+		sourceMismatches: 1,
+		notInSheet: 1,
+		outOfDate: 0,
+		untranslated: 1,
+	});
+	assert.deepEqual(result.conflicts, [{ id: 'CustomLabel.Other', sheetValue: 'Non', xlfValue: 'Pas du tout' }]);
+	assert.deepEqual(result.sourceMismatches, [
+		{ id: 'CustomLabel.Changed', sheetSource: 'New source', xlfSource: 'Old source' },
+	]);
+	assert.deepEqual(result.notInSheet, ['CustomLabel.Unknown']);
+
+	const stored = store.read().rows;
+	assert.deepEqual(
+		stored.map((row) => row.French),
+		['Bonjour', 'Oui', 'Non', '', 'Note'],
+	);
+	// A filled translation starts as draft
+	assert.equal(stored[0]['French-state'], '');
+});
+
+test('a dry run writes nothing', async () => {
+	const store = useLocalStore(HEADERS, rows);
+	const before = store.read();
+
+	const result = await importTranslations(file, true);
+
+	assert.equal(result.stats.filled, 2);
+	assert.deepEqual(store.read(), before);
+});
+
+test('files for languages outside the project are rejected', async () => {
+	useLocalStore(HEADERS, rows);
+
+	const result = await importTranslations(
+		translatedXLF('ja', [{ id: 'CustomLabel.Empty', source: 'Hello', target: 'こんにちは' }]),
+	);
+
+	assert.equal(result.success, false);
+	assert.match(result.error, /Unknown target language: ja/);
+});
@@ -0,0 +1,44 @@
+const { tempDir } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createLocalStore, parseCSV, stringifyCSV } = require('../src/local-store');
+
+test('CSV cells with quotes, commas and line breaks round-trip', () => {
+	const rows = [
+		['id', 'English'],
+		['CustomLabel.A', 'Say "hi", then\nleave'],
+		['CustomLabel.B', ''],
+	];
+
+	assert.deepEqual(parseCSV(stringifyCSV(rows)), rows);
+});
+
+test('rows are updated, appended and columns added in place', async () => {
+	const filePath = path.join(tempDir, 'local-store.csv');
+	fs.writeFileSync(filePath, 'id,English,active\nCustomLabel.A,Hello,TRUE\n');
+	const store = createLocalStore(filePath);
+
+	await store.addColumn('French');
+	await store.updateRows([{ row: 2, data: { id: 'CustomLabel.A', English: 'Hello', active: true, French: 'Bonjour' } }]);
+	await store.appendRows([{ id: 'CustomLabel.B', English: 'Bye', active: false }]);
+
+	assert.deepEqual(await store.readSheetData(), {
+		headers: ['id', 'English', 'active', 'French'],
+		rows: [
+			{ id: 'CustomLabel.A', English: 'Hello', active: 'TRUE', French: 'Bonjour' },
+			{ id: 'CustomLabel.B', English: 'Bye', active: 'FALSE', French: '' },
+		],
+	});
+	await assert.rejects(store.addColumn('French'), /already exists/);
+});
+
+test('tabs are read from files next to the store file', async () => {
+	const filePath = path.join(tempDir, 'tabs.csv');
+	fs.writeFileSync(path.join(tempDir, 'glossary.csv'), 'English,French\nRoom,Chambre\n');
+	const store = createLocalStore(filePath);
+
+	assert.deepEqual(await store.readTab('Glossary'), [{ English: 'Room', French: 'Chambre' }]);
+	assert.deepEqual(await store.readTab('Missing'), []);
+});
@@ -0,0 +1,56 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { machineTranslate } = require('../src/main');
+
+const HEADERS = ['id', 'category', 'maxwidth', 'size-unit', 'English', 'active', 'French'];
+
+function row(id, English, French = '', extra = {}) {
+	return { id, category: id.split('.')[0], English, active: 'TRUE', French, ...extra };
+}
+
+test('untranslated active rows are filled and marked as machine translations', async () => {
+	const store = useLocalStore(HEADERS, [
+		row('CustomLabel.Greeting', 'Hello {0} & welcome'),
+		row('CustomLabel.Done', 'Done', 'Fait'),
+		row('CustomLabel.Short', 'Long text', '', { maxwidth: '5' }),
+		row('CustomLabel.Inactive', 'Gone', '', { active: 'FALSE' }),
+		row('CustomField.Account.Rating__c.FieldLabel', 'Rating'),
+	]);
+
+	const result = await machineTranslate('French', { provider: 'mock', category: 'CustomLabel' });
+
+	assert.equal(result.success, true, result.error);
+	assert.equal(result.provider, 'mock');
+	assert.deepEqual(result.filled, [{ id: 'CustomLabel.Greeting', value: '[fr] Hello {0} & welcome' }]);
+	assert.deepEqual(
+		result.skipped.map((skip) => [skip.id, skip.reason]),
+		[['CustomLabel.Short', 'maxwidth']],
+	);
+	assert.equal(result.statusColumnAdded, true);
+
+	const { headers, rows } = store.read();
+	assert.equal(headers.at(-1), 'French-status');
+	assert.deepEqual(
+		rows.map((r) => [r.French, r['French-status']]),
+		[
+			['[fr] Hello {0} & welcome', 'machine'],
+			['Fait', ''],
+			['', ''],
+			['', ''],
+			['', ''],
+		],
+	);
+});
+
+test('a dry run and unknown languages write nothing', async () => {
+	const store = useLocalStore(HEADERS, [row('CustomLabel.A', 'A')]);
+	const before = store.read();
+
+	const dryRun = await machineTranslate('French', { provider: 'mock', dryRun: true });
+	assert.equal(dryRun.filled.length, 1);
+
+	const unknown = await machineTranslate('Japanese', { provider: 'mock' });
+	assert.equal(unknown.success, false);
+	assert.deepEqual(store.read(), before);
+});
@@ -0,0 +1,90 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { parseIdList, parseMaskFile, createExportMask, applyExportMask, findUnmatchedMaskIds } = require('../src/mask');
+
+const rows = [
+	{ id: 'CustomLabel.Welcome', category: 'CustomLabel' },
+	{ id: 'CustomField.Account.Rating__c.FieldLabel', category: 'CustomField' },
+	{ id: 'PicklistValue.Account.Rating__c.Hot', category: 'PicklistValue' },
+	{ id: 'WebLink.Account.Open', category: '' },
+];
+
+test('ID lists take one ID per line or comma-separated and skip comments', () => {
+	assert.deepEqual(parseIdList('﻿# Release 2\nCustomLabel.A, CustomLabel.B\n\n  WebLink.Account.Open  \n'), [
+		'CustomLabel.A',
+		'CustomLabel.B',
+		'WebLink.Account.Open',
+	]);
+});
+
+test('mask files are read as XLIFF, STF or ID list', async () => {
+	const xliff = '<?xml version="1.0"?><xliff version="1.2"><file source-language="en_US"><body>' +
+		'<trans-unit id="CustomLabel.A"><source>A</source></trans-unit></body></file></xliff>';
+	const stf = '# Source\nLanguage code: en_US\nType: Source\n\nCustomLabel.B\tB\n';
+
+	assert.deepEqual(await parseMaskFile(xliff), ['CustomLabel.A']);
+	assert.deepEqual(await parseMaskFile(stf), ['CustomLabel.B']);
+	assert.deepEqual(await parseMaskFile(Readable.from(['# IDs\n', 'CustomLabel.C\nCustom', 'Label.D\n'])), [
+		'CustomLabel.C',
+		'CustomLabel.D',
+	]);
+});
+
+test('masks without any part are null', () => {
+	assert.equal(createExportMask({ ids: [' '], categories: [], patterns: [] }), null);
+	assert.equal(applyExportMask(rows, null), rows);
+});
+
+test('mask IDs match namespaced sheet IDs and are used in the output', () => {
+	const mask = createExportMask({ ids: ['CustomField.Account.ns__Rating__c.FieldLabel', 'CustomLabel.Welcome'] });
+
+	assert.deepEqual(
+		applyExportMask(rows, mask).map((row) => row.id),
+		['CustomLabel.Welcome', 'CustomField.Account.ns__Rating__c.FieldLabel'],
+	);
+});
+
+test('categories, excluded categories and patterns combine', () => {
+	const ids = (spec) => applyExportMask(rows, createExportMask(spec)).map((row) => row.id);
+
+	assert.deepEqual(ids({ categories: ['CustomField', 'PicklistValue'] }), [
+		'CustomField.Account.Rating__c.FieldLabel',
+		'PicklistValue.Account.Rating__c.Hot',
+	]);
+	// Rows without a category cell fall back to the ID prefix
+	assert.deepEqual(ids({ excludeCategories: ['WebLink', 'PicklistValue'] }), [
+		'CustomLabel.Welcome',
+		'CustomField.Account.Rating__c.FieldLabel',
+	]);
+	assert.deepEqual(ids({ categories: ['CustomField', 'PicklistValue'], patterns: ['\\.Hot$'] }), [
+		'PicklistValue.Account.Rating__c.Hot',
+	]);
+});
+
+test('unsafe and invalid mask patterns are rejected', () => {
+	assert.throws(() => createExportMask({ patterns: ['(a+)+$'] }), /nested quantifiers/);
+	assert.throws(() => createExportMask({ patterns: ['((a+))+$'] }), /nested quantifiers/);
+	assert.throws(() => createExportMask({ patterns: ['(?:\\d{2})*x'] }), /nested quantifiers/);
+	for (const pattern of ['(a|a)+$', '(a|aa)+$', '(\\w|\\d)*x', '((a|b)c){2,}$']) {
+		assert.throws(() => createExportMask({ patterns: [pattern] }), /repeated alternations/, pattern);
+	}
+	assert.throws(() => createExportMask({ patterns: ['x'.repeat(201)] }), /longer than 200 characters/);
+	assert.throws(() => createExportMask({ patterns: ['(unclosed'] }), /Invalid mask pattern/);
+});
+
+test('patterns with alternations or quantifiers outside of repeated groups are accepted', () => {
+	const mask = createExportMask({ patterns: ['^(CustomLabel|WebLink)\\.', '(\\.Hot)?$', '[(|+)]+', '\\(a|b\\)+'] });
+
+	assert.equal(mask.patterns.length, 4);
+});
+
+test('unmatched mask IDs are the ones without any sheet row', () => {
+	const mask = createExportMask({
+		ids: ['CustomLabel.Missing', 'ns__CustomLabel.Welcome', 'CustomField.Account.ns__Rating__c.FieldLabel', 'A.B'],
+		categories: ['WebLink'],
+	});
+
+	assert.deepEqual(findUnmatchedMaskIds(rows, mask), ['A.B', 'CustomLabel.Missing']);
+});
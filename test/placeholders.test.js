@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+	extractPlaceholders,
+	checkPlaceholders,
+	describePlaceholderError,
+	maskPlaceholders,
+	unmaskPlaceholders,
+} = require('../src/placeholders');
+
+test('placeholders of every kind are extracted in order', () => {
+	assert.deepEqual(extractPlaceholders('{0} of {1,number} for {!Account.Name}: %s %1$d %% &amp; &#39;'), [
+		'{0}',
+		'{1,number}',
+		'{!Account.Name}',
+		'%s',
+		'%1$d',
+		'%%',
+		'&amp;',
+		'&#39;',
+	]);
+	assert.deepEqual(extractPlaceholders(null), []);
+});
+
+test('translations must keep the placeholders of the source, in any order', () => {
+	assert.equal(checkPlaceholders('{0} of {1}', '{1} sur {0}'), null);
+
+	const result = checkPlaceholders('{0} of {0} and {!Name}', '{0} sur {1}');
+	assert.deepEqual(result, { missing: ['{0}', '{!Name}'], extra: ['{1}'] });
+	assert.equal(describePlaceholderError(result), 'missing {0} {!Name}; extra {1}');
+});
+
+test('masked placeholders survive machine translation tags', () => {
+	const { masked, tokens } = maskPlaceholders('Hello {!Contact.Name} <b>{0}</b>');
+
+	assert.equal(masked, 'Hello <ph id="0"/> &lt;b&gt;<ph id="1"/>&lt;/b&gt;');
+	assert.equal(
+		unmaskPlaceholders('Bonjour <ph id=0 /> &lt;b&gt;<ph id="1"></ph>&lt;/b&gt;', tokens),
+		'Bonjour {!Contact.Name} <b>{0}</b>',
+	);
+});
@@ -0,0 +1,66 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setReviewState, getReviewStates } = require('../src/main');
+const { exportXLF } = require('../src/xlf-exporter');
+
+const HEADERS = ['id', 'category', 'maxwidth', 'size-unit', 'English', 'active', 'French'];
+
+function row(id, French, extra = {}) {
+	return { id, category: id.split('.')[0], English: id, active: 'TRUE', French, ...extra };
+}
+
+test('review states are set on translated rows and the state column is added', async () => {
+	const store = useLocalStore(HEADERS, [
+		row('CustomLabel.A', 'A'),
+		row('CustomLabel.B', 'B'),
+		row('CustomLabel.Empty', ''),
+	]);
+
+	const result = await setReviewState('French', 'Reviewed', { ids: ['CustomLabel.A', 'CustomLabel.Empty'] });
+
+	assert.equal(result.success, true, result.error);
+	assert.deepEqual(result.updated, ['CustomLabel.A']);
+	assert.equal(result.stateColumnAdded, true);
+
+	const approved = await setReviewState('French', 'approved', { from: 'reviewed' });
+	assert.deepEqual(approved.updated, ['CustomLabel.A']);
+
+	const states = await getReviewStates('French');
+	assert.deepEqual(states.counts, { draft: 1, reviewed: 0, approved: 1 });
+	assert.deepEqual(
+		store.read().rows.map((r) => r['French-state']),
+		['approved', '', ''],
+	);
+});
+
+test('unknown states are rejected', async () => {
+	useLocalStore(HEADERS, [row('CustomLabel.A', 'A')]);
+
+	const result = await setReviewState('French', 'done');
+
+	assert.equal(result.success, false);
+	assert.match(result.error, /Unknown review state: done/);
+});
+
+test('exports leave out translations below the state policy', async () => {
+	const rows = [
+		row('CustomLabel.Draft', 'A'),
+		row('CustomLabel.Reviewed', 'B', { 'French-state': 'reviewed' }),
+		row('CustomLabel.Approved', 'C', { 'French-state': 'Approved' }),
+	];
+
+	const result = await exportXLF('French', rows, null, { statePolicy: 'reviewed' });
+
+	assert.equal(result.unitCount, 2);
+	assert.deepEqual(result.stateExcluded, [{ id: 'CustomLabel.Draft', value: 'A', state: 'draft' }]);
+});
+
+test('the category filter falls back to the category of the ID when the cell is empty', async () => {
+	useLocalStore(HEADERS, [row('CustomLabel.A', 'A', { category: '' }), row('WebLink.B', 'B')]);
+
+	const states = await getReviewStates('French', { category: 'CustomLabel' });
+
+	assert.equal(states.success, true, states.error);
+	assert.deepEqual(states.rows.map((r) => [r.id, r.category]), [['CustomLabel.A', 'CustomLabel']]);
+});
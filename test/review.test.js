@@ -0,0 +1,105 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { syncXLFtoSheet, getReviewQueue, resolveReviews } = require('../src/main');
+
+const HEADERS = [
+	'id',
+	'category',
+	'maxwidth',
+	'size-unit',
+	'English',
+	'active',
+	'source-review',
+	'previous-source',
+	'source-similarity',
+	'French',
+	'French-state',
+];
+
+function sourceXLF(units) {
+	const transUnits = units.map(({ id, source }) => `<trans-unit id="${id}"><source>${source}</source></trans-unit>`);
+	return `<xliff version="1.2"><file source-language="en_US"><body>${transUnits.join('')}</body></file></xliff>`;
+}
+
+function row(id, English, French, extra = {}) {
+	return { id, category: id.split('.')[0], English, active: 'TRUE', French, ...extra };
+}
+
+test('a changed source keeps the translations for review and a reverted source clears the review', async () => {
+	const store = useLocalStore(HEADERS, [
+		row('CustomLabel.Save', 'Save the record', 'Enregistrer', { 'French-state': 'approved' }),
+		row('CustomLabel.Empty', 'Empty', ''),
+	]);
+
+	const changed = await syncXLFtoSheet(
+		sourceXLF([
+			{ id: 'CustomLabel.Save', source: 'Save the records' },
+			{ id: 'CustomLabel.Empty', source: 'Nothing' },
+		]),
+	);
+	assert.equal(changed.stats.needsReview, 1);
+
+	let [saved, empty] = store.read().rows;
+	assert.equal(saved.French, 'Enregistrer');
+	assert.equal(saved['source-review'], 'needs-review');
+	assert.equal(saved['previous-source'], 'Save the record');
+	assert.ok(Number(saved['source-similarity']) > 0.9);
+	// The approval was given for the old source
+	assert.equal(saved['French-state'], '');
+	// Rows without translations have nothing to review
+	assert.equal(empty['source-review'], '');
+
+	await syncXLFtoSheet(
+		sourceXLF([
+			{ id: 'CustomLabel.Save', source: 'Save the record' },
+			{ id: 'CustomLabel.Empty', source: 'Nothing' },
+		]),
+	);
+	[saved] = store.read().rows;
+	assert.equal(saved['source-review'], '');
+	assert.equal(saved['previous-source'], '');
+	assert.equal(saved.French, 'Enregistrer');
+});
+
+test('reviews are listed and accepted or rejected in bulk', async () => {
+	const review = { 'source-review': 'needs-review', 'previous-source': 'Old', 'source-similarity': '0.5' };
+	const store = useLocalStore(HEADERS, [
+		row('CustomLabel.A', 'New A', 'A', review),
+		row('CustomLabel.B', 'New B', 'B', { ...review, 'source-similarity': '0.95' }),
+		row('CustomField.Account.C.FieldLabel', 'New C', 'C', review),
+	]);
+
+	const queue = await getReviewQueue({ category: 'CustomLabel' });
+	assert.deepEqual(
+		queue.rows.map((r) => [r.id, r.previousSource, r.source, r.similarity]),
+		[
+			['CustomLabel.A', 'Old', 'New A', 0.5],
+			['CustomLabel.B', 'Old', 'New B', 0.95],
+		],
+	);
+
+	const accepted = await resolveReviews('accept', { minSimilarity: 0.9 });
+	assert.deepEqual(accepted.ids, ['CustomLabel.B']);
+
+	const rejected = await resolveReviews('reject', { category: 'CustomLabel' });
+	assert.deepEqual(rejected.ids, ['CustomLabel.A']);
+
+	assert.deepEqual(
+		store.read().rows.map((r) => [r.id, r.French, r['source-review']]),
+		[
+			['CustomLabel.A', '', ''],
+			['CustomLabel.B', 'B', ''],
+			['CustomField.Account.C.FieldLabel', 'C', 'needs-review'],
+		],
+	);
+});
+
+test('reviews need the review columns', async () => {
+	useLocalStore(['id', 'category', 'maxwidth', 'size-unit', 'English', 'active', 'French'], []);
+
+	const result = await resolveReviews('accept');
+
+	assert.equal(result.success, false);
+	assert.match(result.error, /Review columns missing/);
+});
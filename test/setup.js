@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test setup
+ * Tests run against a copy of the fixture project in a temporary directory, whatever projects.json or .env the
+ * working copy has (add-language writes the projects file), and against local store files in the same directory.
+ * Require this module before any module of src/.
+ */
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xlf-translator-test-'));
+process.on('exit', () => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+process.env.PROJECTS_CONFIG = path.join(tempDir, 'projects.json');
+fs.copyFileSync(path.join(__dirname, 'fixtures', 'projects.json'), process.env.PROJECTS_CONFIG);
+process.env.TRANSLATION_STORE = 'local';
+process.env.GLOSSARY_PATH = '';
+process.env.GLOSSARY_CACHE_TTL = '0';
+
+let storeCounter = 0;
+
+/**
+ * Creates a local store file with the given content and makes it the active store
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Object>} rows - Rows (objects keyed by column name)
+ * @returns {Object} - { path, read: () => { headers, rows } as stored in the file }
+ */
+function useLocalStore(headers, rows = []) {
+	storeCounter++;
+	const filePath = path.join(tempDir, `store-${storeCounter}.json`);
+	fs.writeFileSync(filePath, JSON.stringify({ headers, rows }));
+	require('../src/store').configureStore({ backend: 'local', filePath });
+
+	return {
+		path: filePath,
+		read: () => JSON.parse(fs.readFileSync(filePath, 'utf-8')),
+	};
+}
+
+module.exports = {
+	tempDir,
+	useLocalStore,
+};
@@ -0,0 +1,97 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { exportSTF } = require('../src/stf-exporter');
+const { isSTF, parseSTF } = require('../src/stf-parser');
+const { parseTranslationFile, importTranslations } = require('../src/main');
+
+const rows = [
+	{ id: 'CustomLabel.Lines', English: 'Line 1\nTab\there \\', French: 'Ligne 1\nTab\tici \\', active: 'TRUE' },
+	{
+		id: 'CustomLabel.Old',
+		English: 'Old text',
+		French: 'Ancien texte',
+		active: 'TRUE',
+		'source-review': 'needs-review',
+	},
+	{ id: 'CustomLabel.New', English: 'New text', French: '', active: 'TRUE' },
+	{ id: 'CustomLabel.Gone', English: 'Gone', French: 'Parti', active: 'FALSE' },
+];
+
+test('bilingual STF round trip keeps escaped texts, sections and out-of-date marks', async () => {
+	const { stf } = await exportSTF('French', rows, null, { unreviewedPolicy: 'include' });
+	const parsed = await parseSTF(stf);
+
+	assert.equal(parsed.type, 'Bilingual');
+	assert.equal(parsed.targetLanguage, 'fr');
+	assert.deepEqual(
+		parsed.segments.map(({ id, source, target, outOfDate, groupPath }) => ({ id, source, target, outOfDate, groupPath })),
+		[
+			{
+				id: 'CustomLabel.Lines',
+				source: 'Line 1\nTab\there \\',
+				target: 'Ligne 1\nTab\tici \\',
+				outOfDate: false,
+				groupPath: ['TRANSLATED'],
+			},
+			{ id: 'CustomLabel.Old', source: 'Old text', target: 'Ancien texte', outOfDate: true, groupPath: ['TRANSLATED'] },
+			{ id: 'CustomLabel.New', source: 'New text', target: '', outOfDate: false, groupPath: ['UNTRANSLATED'] },
+		],
+	);
+});
+
+test('STF is detected by its header, not by the absence of XML', () => {
+	assert.equal(isSTF('# Comment\n\nLanguage code: en_US\nType: Source\nCustomLabel.A\tHello\n'), true);
+	assert.equal(isSTF('﻿------------------TRANSLATED-------------------\nCustomLabel.A\tHello\tBonjour\t-\n'), true);
+	assert.equal(isSTF('<?xml version="1.0"?>\n<xliff version="1.2"/>'), false);
+	assert.equal(isSTF('CustomLabel.A\nCustomLabel.B\n'), false);
+	assert.equal(isSTF(''), false);
+});
+
+test('parse warnings are returned, not logged', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+
+	const parsed = await parseSTF('Language code: en_US\nType: Source\n');
+
+	assert.deepEqual(parsed.warnings, ['No KEY/LABEL lines found. Unrecognised STF structure']);
+	assert.equal(warn.mock.callCount(), 0);
+});
+
+test('streamed files are detected when the header spans several chunks', async () => {
+	const chunks = ['# Source', ' file\nLangu', 'age code: en_US\nType: Source\n', 'CustomLabel.A\tHello\n'];
+	const parsed = await parseTranslationFile(Readable.from(chunks));
+
+	assert.equal(parsed.version, 'stf');
+	assert.deepEqual(
+		parsed.segments.map((segment) => segment.id),
+		['CustomLabel.A'],
+	);
+});
+
+test('translations marked out of date are not imported', async () => {
+	const store = useLocalStore(
+		['id', 'category', 'maxwidth', 'size-unit', 'English', 'active', 'French'],
+		[
+			{ id: 'CustomLabel.Current', English: 'Current', active: 'TRUE', French: '' },
+			{ id: 'CustomLabel.Old', English: 'Old text', active: 'TRUE', French: '' },
+		],
+	);
+	const stf = [
+		'Language code: fr',
+		'Type: Bilingual',
+		'------------------TRANSLATED-------------------',
+		'CustomLabel.Current\tCurrent\tActuel\t-',
+		'CustomLabel.Old\tOld text\tAncien texte\t*',
+	].join('\n');
+
+	const result = await importTranslations(stf);
+
+	assert.equal(result.stats.filled, 1);
+	assert.equal(result.stats.outOfDate, 1);
+	assert.deepEqual(result.outOfDate, ['CustomLabel.Old']);
+	assert.deepEqual(
+		store.read().rows.map((row) => row.French),
+		['Actuel', ''],
+	);
+});
@@ -0,0 +1,104 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { syncXLFtoSheet } = require('../src/main');
+
+const HEADERS = ['id', 'category', 'maxwidth', 'size-unit', 'English', 'active', 'French', 'German'];
+
+// Source XLIFF 1.2 file with the given trans-units ({ id, source, maxwidth })
+function sourceXLF(units) {
+	const transUnits = units
+		.map(
+			({ id, source, maxwidth = '' }) =>
+				`<trans-unit id="${id}" maxwidth="${maxwidth}" size-unit="char"><source>${source}</source></trans-unit>`,
+		)
+		.join('');
+	return (
+		'<?xml version="1.0" encoding="UTF-8"?><xliff version="1.2">' +
+		`<file original="Salesforce" source-language="en_US" datatype="xml"><body>${transUnits}</body></file></xliff>`
+	);
+}
+
+function row(id, English, translations = {}, active = 'TRUE') {
+	return { id, category: id.split('.')[0], maxwidth: '', 'size-unit': 'char', English, active, ...translations };
+}
+
+test('sync adds new units, clears translations of changed sources and deactivates missing units', async () => {
+	const store = useLocalStore(HEADERS, [
+		row('CustomLabel.Kept', 'Kept', { French: 'Gardé' }),
+		row('CustomLabel.Changed', 'Old text', { French: 'Ancien texte', German: 'Alter Text' }),
+		row('CustomLabel.Removed', 'Removed', { French: 'Supprimé' }),
+		row('CustomLabel.Back', 'Back', {}, 'FALSE'),
+	]);
+
+	const result = await syncXLFtoSheet(
+		sourceXLF([
+			{ id: 'CustomLabel.Kept', source: 'Kept' },
+			{ id: 'CustomLabel.Changed', source: 'New text' },
+			{ id: 'CustomLabel.Back', source: 'Back' },
+			{ id: 'CustomLabel.Added', source: 'Added', maxwidth: '20' },
+		]),
+	);
+
+	assert.equal(result.success, true, result.error);
+	assert.deepEqual(result.stats, {
+		added: 1,
+		updated: 1,
+		activated: 1,
+		unchanged: 1,
+		deactivated: 1,
+		needsReview: 0,
+		normalized: 0,
+		namespaceCollisions: 0,
+	});
+
+	const rows = store.read().rows;
+	assert.deepEqual(
+		rows.map((r) => [r.id, r.English, r.active, r.French, r.German]),
+		[
+			['CustomLabel.Kept', 'Kept', 'TRUE', 'Gardé', ''],
+			['CustomLabel.Changed', 'New text', 'TRUE', '', ''],
+			['CustomLabel.Removed', 'Removed', 'FALSE', 'Supprimé', ''],
+			['CustomLabel.Back', 'Back', 'TRUE', '', ''],
+			['CustomLabel.Added', 'Added', 'TRUE', '', ''],
+		],
+	);
+	assert.equal(rows[4].maxwidth, '20');
+	assert.equal(rows[4].category, 'CustomLabel');
+});
+
+test('a dry run reports the changes without writing', async () => {
+	const store = useLocalStore(HEADERS, [row('CustomLabel.A', 'A')]);
+	const before = store.read();
+
+	const result = await syncXLFtoSheet(sourceXLF([{ id: 'CustomLabel.B', source: 'B' }]), true);
+
+	assert.equal(result.stats.added, 1);
+	assert.equal(result.stats.deactivated, 1);
+	assert.deepEqual(store.read(), before);
+});
+
+test('files without trans-units are rejected instead of deactivating every row', async () => {
+	const store = useLocalStore(HEADERS, [row('CustomLabel.A', 'A')]);
+
+	const result = await syncXLFtoSheet(sourceXLF([]));
+
+	assert.equal(result.success, false);
+	assert.equal(store.read().rows[0].active, 'TRUE');
+});
+
+test('notes and extra trans-unit data are kept in columns added on first use', async () => {
+	const store = useLocalStore(HEADERS, [row('CustomLabel.A', 'A')]);
+	const file =
+		'<xliff version="1.2"><file source-language="en_US"><body>' +
+		'<trans-unit id="CustomLabel.A" resname="a"><source>A</source><note>Button text</note></trans-unit>' +
+		'</body></file></xliff>';
+
+	const result = await syncXLFtoSheet(file);
+
+	assert.deepEqual(result.addedColumns, ['note', 'unit-metadata']);
+	const { headers, rows } = store.read();
+	assert.deepEqual(headers.slice(-2), ['note', 'unit-metadata']);
+	assert.equal(rows[0].note, 'Button text');
+	assert.deepEqual(JSON.parse(rows[0]['unit-metadata']), { attributes: { resname: 'a' } });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { textChunks, peekText, textLines } = require('../src/text-stream');
+
+async function collect(iterable) {
+	const items = [];
+	for await (const item of iterable) items.push(item);
+	return items;
+}
+
+test('characters split across Buffer chunks are decoded whole', async () => {
+	const bytes = Buffer.from('Réservation', 'utf-8');
+	const chunks = await collect(textChunks(Readable.from([bytes.subarray(0, 2), bytes.subarray(2)])));
+
+	assert.equal(chunks.join(''), 'Réservation');
+});
+
+test('peeked text is read again from the start', async () => {
+	const { head, chunks } = await peekText(Readable.from(['\n', '  ', '<xliff>', '</xliff>']));
+
+	assert.equal(head.trim(), '<xliff>');
+	assert.equal((await collect(chunks)).join(''), '\n  <xliff></xliff>');
+});
+
+test('peekText reads until the given predicate holds', async () => {
+	const { head } = await peekText(Readable.from(['a', 'b', '\n', 'c']), (text) => text.includes('\n'));
+
+	assert.equal(head, 'ab\n');
+});
+
+test('lines are split on any line break, across chunks', async () => {
+	assert.deepEqual(await collect(textLines(Readable.from(['one\r', '\ntwo\nthr', 'ee']))), ['one', 'two', 'three']);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { measureWidth, checkWidth, describeOverflow } = require('../src/width');
+
+test('characters are counted as grapheme clusters', () => {
+	assert.equal(measureWidth('Café'), 4);
+	assert.equal(measureWidth('👍🏽 ok'), 4);
+	assert.equal(measureWidth(''), 0);
+});
+
+test('bytes are counted in UTF-8', () => {
+	assert.equal(measureWidth('Café', 'byte'), 5);
+});
+
+test('pixel widths grow with wide characters', () => {
+	assert.ok(measureWidth('WWW', 'pixel') > measureWidth('iii', 'pixel'));
+	assert.ok(measureWidth('日本', 'pixel') > measureWidth('ab', 'pixel'));
+});
+
+test('maxwidth is checked in the row unit', () => {
+	assert.equal(checkWidth('Hello', '5', 'char'), null);
+	assert.equal(checkWidth('Hello', '', 'char'), null);
+	assert.equal(checkWidth('Hello', 'n/a', 'char'), null);
+
+	const error = checkWidth('Héllo', 5, 'byte');
+	assert.deepEqual(error, { width: 6, maxwidth: 5, sizeUnit: 'byte', overflow: 1 });
+	assert.equal(describeOverflow(error), '6/5 byte, 1 over');
+	// Unknown units are measured as characters
+	assert.equal(checkWidth('Hello!', 5, 'words').sizeUnit, 'char');
+});
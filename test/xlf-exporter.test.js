@@ -0,0 +1,110 @@
+const { useLocalStore } = require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportXLF } = require('../src/xlf-exporter');
+const { parseXLF } = require('../src/xlf-parser');
+const { countGaps, skippedGaps } = require('../src/bundle');
+const { generateXLF } = require('../src/main');
+
+function row(id, English, French, extra = {}) {
+	return { id, category: id.split('.')[0], English, French, active: 'TRUE', maxwidth: '', 'size-unit': '', ...extra };
+}
+
+async function exportedIds(result) {
+	return (await parseXLF(result.xlf)).segments.map((segment) => segment.id);
+}
+
+test('translations with broken placeholders are skipped and reported', async () => {
+	const rows = [
+		row('CustomLabel.Ok', 'Hello {0}', 'Bonjour {0}'),
+		row('CustomLabel.Broken', 'Hello {!Contact.Name}', 'Bonjour {!Contact.Nom}'),
+	];
+
+	const result = await exportXLF('French', rows);
+
+	assert.deepEqual(await exportedIds(result), ['CustomLabel.Ok']);
+	assert.deepEqual(result.placeholderErrors, [
+		{
+			id: 'CustomLabel.Broken',
+			value: 'Bonjour {!Contact.Nom}',
+			source: 'Hello {!Contact.Name}',
+			missing: ['{!Contact.Name}'],
+			extra: ['{!Contact.Nom}'],
+			included: false,
+		},
+	]);
+	assert.deepEqual(
+		result.gaps.map((gap) => [gap.id, gap.reason]),
+		[['CustomLabel.Broken', 'placeholders']],
+	);
+});
+
+test('includePlaceholderErrors exports the broken translations', async () => {
+	const rows = [row('CustomLabel.Broken', 'Hello {0}', 'Bonjour')];
+
+	const result = await exportXLF('French', rows, null, { includePlaceholderErrors: true });
+
+	assert.deepEqual(await exportedIds(result), ['CustomLabel.Broken']);
+	assert.equal(result.placeholderErrors[0].included, true);
+	assert.deepEqual(result.gaps, [
+		{
+			id: 'CustomLabel.Broken',
+			reason: 'placeholders',
+			source: 'Hello {0}',
+			value: 'Bonjour',
+			detail: 'exported anyway: missing {0}',
+			included: true,
+		},
+	]);
+	assert.deepEqual(skippedGaps(result.gaps), []);
+	assert.equal(countGaps(result.gaps).placeholders, 0);
+});
+
+test('translations over maxwidth in their size-unit are skipped and reported', async () => {
+	const rows = [
+		row('CustomLabel.Fits', 'Coffee', 'Café', { maxwidth: '4', 'size-unit': 'char' }),
+		row('CustomLabel.Bytes', 'Coffee', 'Café', { maxwidth: '4', 'size-unit': 'byte' }),
+	];
+
+	const result = await exportXLF('French', rows);
+
+	assert.deepEqual(await exportedIds(result), ['CustomLabel.Fits']);
+	assert.deepEqual(result.maxwidthErrors, [
+		{ id: 'CustomLabel.Bytes', value: 'Café', maxwidth: '4', sizeUnit: 'byte', width: 5, overflow: 1 },
+	]);
+	assert.deepEqual(result.gaps, [
+		{ id: 'CustomLabel.Bytes', reason: 'maxwidth', source: 'Coffee', value: 'Café', detail: '5/4 byte, 1 over' },
+	]);
+});
+
+test('characters XML cannot hold fail the export before the first chunk is rendered', async () => {
+	const rows = [
+		row('CustomLabel.Ok', 'Hello', 'Bonjour'),
+		row('CustomLabel.Bell', 'Ring', 'Sonner\u0007'),
+	];
+
+	await assert.rejects(
+		exportXLF('French', rows, null, { stream: true }),
+		/Invalid character U\+0007 in French of CustomLabel\.Bell/,
+	);
+	await assert.rejects(
+		exportXLF('French', [row('CustomLabel.Meta', 'A', 'B', { 'unit-metadata': '{"attributes":{"x":"\\u0001"}}' })]),
+		/Invalid character U\+0001 in unit-metadata of CustomLabel\.Meta/,
+	);
+});
+
+test('generateXLF counts the units in the file, not the sheet rows', async () => {
+	useLocalStore(
+		['id', 'category', 'maxwidth', 'size-unit', 'English', 'active', 'French'],
+		[
+			row('CustomLabel.A', 'A', 'A fr'),
+			row('CustomLabel.Empty', 'B', ''),
+			row('CustomLabel.Off', 'C', 'C fr', { active: 'FALSE' }),
+		],
+	);
+
+	const result = await generateXLF('French');
+
+	assert.equal(result.success, true, result.error);
+	assert.equal(result.unitCount, 1);
+});
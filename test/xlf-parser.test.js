@@ -0,0 +1,92 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { parseXLF } = require('../src/xlf-parser');
+
+const multiFile =
+	'<?xml version="1.0" encoding="UTF-8"?><xliff version="1.2">' +
+	'<file original="A" source-language="en_US" target-language="fr"><body>' +
+	'<group id="outer"><group resname="inner"><trans-unit id="A.1"><source>One</source></trans-unit></group></group>' +
+	'<trans-unit id="A.2"><source>Two</source><target>Deux</target></trans-unit>' +
+	'</body></file>' +
+	'<file original="B" source-language="en-US" target-language="fr"><body>' +
+	'<trans-unit id="B.1"><source>Three</source></trans-unit>' +
+	'</body></file></xliff>';
+
+test('units of every file and nested group are read in document order', async () => {
+	const parsed = await parseXLF(multiFile);
+
+	assert.deepEqual(
+		parsed.segments.map(({ id, source, target, original, groupPath }) => ({ id, source, target, original, groupPath })),
+		[
+			{ id: 'A.1', source: 'One', target: '', original: 'A', groupPath: ['outer', 'inner'] },
+			{ id: 'A.2', source: 'Two', target: 'Deux', original: 'A', groupPath: [] },
+			{ id: 'B.1', source: 'Three', target: '', original: 'B', groupPath: [] },
+		],
+	);
+	assert.deepEqual(
+		parsed.files.map(({ original, segmentCount }) => [original, segmentCount]),
+		[
+			['A', 2],
+			['B', 1],
+		],
+	);
+	assert.equal(parsed.targetLanguage, 'fr');
+});
+
+test('streams are parsed like text', async () => {
+	const chunks = multiFile.match(/[\s\S]{1,17}/g);
+	const parsed = await parseXLF(Readable.from(chunks));
+
+	assert.deepEqual(
+		parsed.segments.map((segment) => segment.id),
+		['A.1', 'A.2', 'B.1'],
+	);
+});
+
+test('files in another source language are rejected', async () => {
+	await assert.rejects(
+		parseXLF('<xliff version="1.2"><file source-language="de"><body></body></file></xliff>'),
+		/Invalid source language: de/,
+	);
+});
+
+test('malformed XML rejects instead of throwing', async () => {
+	await assert.rejects(parseXLF('<xliff version="1.2"><file><body><trans-unit id="a"></file>'));
+});
+
+test('text of inline elements is kept and reported as a warning, not logged', async (t) => {
+	const warn = t.mock.method(console, 'warn', () => {});
+	const parsed = await parseXLF(
+		'<xliff version="1.2"><file source-language="en_US" target-language="fr"><body>' +
+			'<trans-unit id="A.1"><source>Hello <g id="1">dear <mrk mtype="x">friend</mrk></g>!</source>' +
+			'<target>Bonjour <g id="1">cher ami</g> !</target></trans-unit>' +
+			'<trans-unit id="A.2"><source>Plain</source></trans-unit>' +
+			'</body></file></xliff>',
+	);
+
+	assert.deepEqual(
+		parsed.segments.map(({ id, source, target }) => [id, source, target]),
+		[
+			['A.1', 'Hello dear friend!', 'Bonjour cher ami !'],
+			['A.2', 'Plain', ''],
+		],
+	);
+	assert.equal(parsed.warnings.length, 1);
+	assert.match(parsed.warnings[0], /^2 texts contain inline elements/);
+	assert.equal(warn.mock.callCount(), 0);
+});
+
+test('XLIFF 2.0 inline elements keep their text', async () => {
+	const parsed = await parseXLF(
+		'<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en-US" trgLang="fr">' +
+			'<file id="f1"><unit id="A.1"><segment><source>Save <pc id="1">now</pc></source>' +
+			'<target>Enregistrer <pc id="1">maintenant</pc></target></segment></unit></file></xliff>',
+	);
+
+	assert.deepEqual(
+		parsed.segments.map(({ source, target }) => [source, target]),
+		[['Save now', 'Enregistrer maintenant']],
+	);
+});
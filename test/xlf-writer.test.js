@@ -0,0 +1,107 @@
+require('./setup');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderXliff } = require('../src/xlf-writer');
+const { parseXLF } = require('../src/xlf-parser');
+
+const rows = [
+	{
+		id: 'CustomLabel.Greeting',
+		English: 'Hello & <welcome>',
+		French: 'Bonjour & <bienvenue>',
+		maxwidth: '40',
+		'size-unit': 'char',
+		note: 'Shown on the start page\nKeep it short',
+	},
+	{ id: 'Layout.Account Layout', English: 'Account', French: '', maxwidth: '', 'size-unit': '' },
+	{ id: 'CustomLabel.Banner', English: 'Banner', French: 'Bannière', maxwidth: '120', 'size-unit': 'pixel' },
+];
+
+function render(version, exportRows) {
+	return Array.from(renderXliff(version, 'fr', exportRows, 'French')).join('');
+}
+
+test('XLIFF 1.2 round trip keeps texts, notes, extra attributes and context groups', async () => {
+	const metadata = {
+		attributes: { resname: 'greeting' },
+		contextGroups: [
+			{
+				attributes: { purpose: 'location' },
+				contexts: [{ attributes: { 'context-type': 'sourcefile' }, text: 'Start.page' }],
+			},
+		],
+	};
+	const parsed = await parseXLF(render('1.2', [{ ...rows[0], 'unit-metadata': JSON.stringify(metadata) }, rows[1]]));
+
+	assert.equal(parsed.version, '1.2');
+	assert.equal(parsed.targetLanguage, 'fr');
+	assert.deepEqual(
+		parsed.segments.map(({ id, source, target, maxwidth, sizeUnit, note, attributes, contextGroups }) => ({
+			id,
+			source,
+			target,
+			maxwidth,
+			sizeUnit,
+			note,
+			attributes,
+			contextGroups,
+		})),
+		[
+			{
+				id: 'CustomLabel.Greeting',
+				source: 'Hello & <welcome>',
+				target: 'Bonjour & <bienvenue>',
+				maxwidth: '40',
+				sizeUnit: 'char',
+				note: 'Shown on the start page\nKeep it short',
+				...metadata,
+			},
+			{
+				id: 'Layout.Account Layout',
+				source: 'Account',
+				target: '',
+				maxwidth: '',
+				sizeUnit: '',
+				note: '',
+				attributes: {},
+				contextGroups: [],
+			},
+		],
+	);
+});
+
+test('XLIFF 2.0 round trip keeps texts, size restrictions, notes and IDs that are not NMTOKENs', async () => {
+	const xml = render('2.0', rows);
+	const parsed = await parseXLF(xml);
+
+	assert.match(xml, /<unit id="u2" name="Layout.Account Layout" xt:id="Layout.Account Layout">/);
+	assert.equal(parsed.version, '2.0');
+	assert.equal(parsed.sourceLanguage, 'en_US');
+	assert.equal(parsed.targetLanguage, 'fr');
+	assert.deepEqual(
+		parsed.segments.map(({ id, source, target, maxwidth, sizeUnit, note }) => ({
+			id,
+			source,
+			target,
+			maxwidth,
+			sizeUnit,
+			note,
+		})),
+		[
+			{
+				id: 'CustomLabel.Greeting',
+				source: 'Hello & <welcome>',
+				target: 'Bonjour & <bienvenue>',
+				maxwidth: '40',
+				sizeUnit: 'char',
+				note: 'Shown on the start page\nKeep it short',
+			},
+			{ id: 'Layout.Account Layout', source: 'Account', target: '', maxwidth: '', sizeUnit: '', note: '' },
+			{ id: 'CustomLabel.Banner', source: 'Banner', target: 'Bannière', maxwidth: '120', sizeUnit: 'pixel', note: '' },
+		],
+	);
+});
+
+test('XLIFF 2.0 files are never written without units', () => {
+	assert.throws(() => render('2.0', []), /at least one unit/);
+});